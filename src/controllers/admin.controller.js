@@ -0,0 +1,148 @@
+const User = require("../models/user.model");
+const Impersonation = require("../models/impersonation.model");
+const {
+    startImpersonation,
+    endImpersonation,
+} = require("../utils/impersonation.utils");
+
+// Helper to shape an impersonation record for API responses
+const formatImpersonation = (impersonation) => ({
+    _id: impersonation._id,
+    admin: impersonation.admin,
+    user: impersonation.user,
+    reason: impersonation.reason,
+    readOnly: impersonation.readOnly,
+    createdAt: impersonation.createdAt,
+    expiresAt: impersonation.expiresAt,
+    endedAt: impersonation.endedAt,
+    active:
+        !impersonation.endedAt &&
+        new Date(impersonation.expiresAt) > new Date(),
+    requestCount: impersonation.requestCount,
+});
+
+/**
+ * Start impersonating a user to see the app as they do. Issues a short-lived
+ * impersonation token, read-only unless readOnly is false. Admins cannot be
+ * impersonated.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const impersonateUser = async (req, res, next) => {
+    try {
+        const { reason, readOnly = true } = req.body;
+
+        const user = await User.findOne({ _id: req.params.id, isActive: true });
+        if (!user) {
+            const err = new Error("User not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        if (user._id.equals(req.user._id) || user.role === "admin") {
+            const err = new Error("This user cannot be impersonated");
+            err.statusCode = 403;
+            throw err;
+        }
+
+        const { impersonation, token } = await startImpersonation(
+            req.user,
+            user,
+            { reason, readOnly },
+            req
+        );
+
+        res.status(201).json({
+            status: "success",
+            data: {
+                impersonation: formatImpersonation(impersonation),
+                token,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List impersonations (newest first), optionally for one user or admin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getImpersonations = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.user) filter.user = req.query.user;
+        if (req.query.admin) filter.admin = req.query.admin;
+
+        const [impersonations, total] = await Promise.all([
+            Impersonation.find(filter)
+                .populate("admin", "username name")
+                .populate("user", "username name")
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Impersonation.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                impersonations: impersonations.map((impersonation) => ({
+                    ...formatImpersonation(impersonation),
+                    ip: impersonation.ip,
+                    userAgent: impersonation.userAgent,
+                    requests: impersonation.requests,
+                })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * End an impersonation; its token stops working immediately
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const stopImpersonation = async (req, res, next) => {
+    try {
+        const impersonation = await endImpersonation(req.params.id);
+        if (!impersonation) {
+            const err = new Error("Impersonation not found or already ended");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Impersonation ended",
+            data: {
+                impersonation: formatImpersonation(impersonation),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    impersonateUser,
+    getImpersonations,
+    stopImpersonation,
+};
@@ -1,9 +1,350 @@
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const Token = require("../models/token.model");
+const PersonalAccessToken = require("../models/personalAccessToken.model");
+const SecurityEvent = require("../models/securityEvent.model");
+const Impersonation = require("../models/impersonation.model");
 const {
-    generateAccessToken,
-    generateRefreshToken,
     verifyRefreshToken,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
 } = require("../utils/jwt.utils");
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    markSessionAuthenticated,
+    getSudoModeExpiresAt,
+} = require("../utils/session.utils");
+const {
+    hashToken,
+    createActionToken,
+    consumeActionToken,
+    invalidateActionTokens,
+} = require("../utils/token.utils");
+const {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+} = require("../utils/totp.utils");
+const { sendMail, buildFrontendUrl } = require("../utils/mail.utils");
+const {
+    createPersonalAccessToken,
+} = require("../utils/personalAccessToken.utils");
+const { SCOPES } = require("../utils/scope.utils");
+const {
+    deactivateAccount,
+    canReactivateAccount,
+    reactivateAccount,
+} = require("../utils/account.utils");
+const {
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+} = require("../utils/loginThrottle.utils");
+const {
+    REFRESH_TOKEN_COOKIE,
+    CSRF_TOKEN_COOKIE,
+    getCookie,
+    wantsCookieAuth,
+    generateCsrfToken,
+    setCsrfCookie,
+    setAuthCookies,
+    clearAuthCookies,
+} = require("../utils/cookie.utils");
+const {
+    recordSecurityEvent,
+    recordLogin,
+} = require("../utils/securityEvent.utils");
+const {
+    getUsernameUnavailableReason,
+    getNextUsernameChangeAt,
+    updateUsername,
+} = require("../utils/username.utils");
+
+// Lifetime of password reset links
+const PASSWORD_RESET_TTL_MS =
+    (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+// Lifetime of email verification links
+const EMAIL_VERIFICATION_TTL_MS =
+    (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Minimum delay between two verification emails
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+// Lifetime of email change confirmation links
+const EMAIL_CHANGE_TTL_MS = EMAIL_VERIFICATION_TTL_MS;
+// Lifetime of passwordless sign-in links
+const MAGIC_LINK_TTL_MS =
+    (parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Email a verification link for the user's current address
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    // Only the most recent link should work
+    await invalidateActionTokens(user._id, "email_verification");
+    const token = await createActionToken(
+        user._id,
+        "email_verification",
+        EMAIL_VERIFICATION_TTL_MS,
+        { email: user.email } // The link only verifies this address
+    );
+    const verifyUrl = buildFrontendUrl("/verify-email", { token });
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text:
+            `Hi ${user.name},\n\n` +
+            `Please confirm that this is your email address by opening the link below:\n\n` +
+            `${verifyUrl}\n\n` +
+            `If you didn't create an account, you can ignore this email.`,
+    });
+};
+
+/**
+ * Hand a new token pair to the client: in the response body, or as HttpOnly
+ * cookies when the client uses cookie auth mode (X-Auth-Mode: cookie)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - Access/refresh token pair
+ * @returns {Object} Response data fields ({ tokens } or { csrfToken })
+ */
+const deliverTokens = (req, res, tokens) => {
+    if (wantsCookieAuth(req)) {
+        return { csrfToken: setAuthCookies(res, tokens) };
+    }
+    return { tokens };
+};
+
+/**
+ * Start a session for a user who passed authentication and send the
+ * standard login response (user + token pair). Logging in to a deactivated
+ * account within its grace period reactivates it. The login is recorded in
+ * the user's security events.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user document
+ * @param {String} method - How the user authenticated ("password",
+ * "two_factor" or "magic_link")
+ */
+const sendLoginResponse = async (req, res, user, method) => {
+    const reactivated = !user.isActive;
+    if (reactivated) {
+        await reactivateAccount(user);
+    }
+
+    // Start a session and generate tokens
+    const { session, tokens } = await createSession(user, req);
+    await recordLogin(req, user, session, method);
+
+    // Remove password from response
+    user.password = undefined;
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user,
+            ...deliverTokens(req, res, tokens),
+            ...(reactivated && { reactivated: true }),
+        },
+    });
+};
+
+/**
+ * Check a second factor (TOTP code or one-time recovery code) for a user
+ * with two-factor authentication enabled. Accepted codes are consumed so
+ * they cannot be replayed.
+ * @param {String} userId - User ID
+ * @param {Object} factors
+ * @param {String} [factors.code] - TOTP code from the authenticator app
+ * @param {String} [factors.recoveryCode] - One-time recovery code
+ * @returns {Promise<String|null>} "totp" or "recovery_code" if accepted,
+ * null otherwise
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    if (code) {
+        const user = await User.findById(userId).select("+twoFactor.secret");
+        if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+        const step = verifyTotp(user.twoFactor.secret, code);
+        if (step === null) return null;
+
+        // Only accept a code newer than the last one used
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                "twoFactor.lastUsedStep": { $not: { $gte: step } },
+            },
+            { "twoFactor.lastUsedStep": step }
+        );
+        return result.modifiedCount === 1 ? "totp" : null;
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                "twoFactor.enabled": true,
+                "twoFactor.recoveryCodes": codeHash,
+            },
+            { $pull: { "twoFactor.recoveryCodes": codeHash } }
+        );
+        return result.modifiedCount === 1 ? "recovery_code" : null;
+    }
+
+    return null;
+};
+
+/**
+ * Respond to a login attempt refused by the brute-force protection
+ * @param {Object} res - Express response object
+ * @param {Object} throttle - Result of checkLoginAllowed()
+ */
+const sendThrottledResponse = (res, throttle) => {
+    res.set("Retry-After", String(throttle.retryAfterSeconds));
+    res.status(throttle.statusCode).json({
+        status: "error",
+        message: throttle.message,
+        retryAfter: throttle.retryAfterSeconds,
+    });
+};
+
+/**
+ * Record a failed login (in the throttle and, for existing accounts, the
+ * security events) and tell the owner if it locked their account
+ * @param {Object} req - Express request object
+ * @param {Object|null} user - Targeted user, if the account exists
+ * @param {String} accountId - User ID or the normalized identifier typed
+ * @param {String} reason - What was wrong (e.g. "incorrect_password")
+ */
+const handleFailedLogin = async (req, user, accountId, reason) => {
+    const { locked, lockedUntil } = await recordFailedLogin({
+        ip: req.ip,
+        accountId,
+    });
+
+    if (user) {
+        await recordSecurityEvent(req, user._id, "login_failed", {
+            details: { reason, ...(locked && { locked: true }) },
+        });
+    }
+
+    if (locked && user) {
+        try {
+            await sendMail({
+                to: user.email,
+                subject: "Your account has been temporarily locked",
+                text:
+                    `Hi ${user.name},\n\n` +
+                    `We temporarily locked your account @${user.username} after too many failed ` +
+                    `login attempts (most recent from IP ${req.ip}). You can try again after ` +
+                    `${lockedUntil.toUTCString()}.\n\n` +
+                    `If this wasn't you, we recommend resetting your password and enabling ` +
+                    `two-factor authentication: ${buildFrontendUrl(
+                        "/forgot-password"
+                    )}`,
+            });
+        } catch (mailError) {
+            console.error("Error sending lockout notification:", mailError);
+        }
+    }
+};
+
+/**
+ * Check the authenticated user's current credentials before a sensitive
+ * action. Wrong guesses count towards the same lockout as failed logins.
+ * @param {Object} req - Express request object
+ * @param {Object} credentials
+ * @param {String} credentials.password - Current password
+ * @param {String} [credentials.code] - TOTP code
+ * @param {String} [credentials.recoveryCode] - One-time recovery code
+ * @param {Boolean} [requireSecondFactor] - Also require a second factor when
+ * two-factor authentication is enabled
+ * @returns {Promise<Object>} { user } on success, { throttle } if refused by
+ * the brute-force protection, or { message } if the credentials are wrong
+ */
+const verifyCurrentCredentials = async (
+    req,
+    { password, code, recoveryCode },
+    requireSecondFactor = false
+) => {
+    const accountId = req.user._id;
+    const throttle = await checkLoginAllowed({ ip: req.ip, accountId });
+    if (!throttle.allowed) return { throttle };
+
+    const user = await User.findById(accountId).select("+password");
+
+    let message = null;
+    let reason = null;
+    if (!(await user.comparePassword(password))) {
+        message = "Incorrect password";
+        reason = "incorrect_password";
+    } else if (requireSecondFactor && user.twoFactor?.enabled) {
+        if (!(await verifySecondFactor(accountId, { code, recoveryCode }))) {
+            message = "Invalid two-factor authentication code";
+            reason = "invalid_two_factor_code";
+        }
+    }
+
+    if (message) {
+        await handleFailedLogin(req, user, accountId, reason);
+        return { message };
+    }
+
+    await recordSuccessfulLogin({ accountId });
+    return { user };
+};
+
+/**
+ * Check a fresh second factor from the authenticated user before changing
+ * their two-factor settings. Wrong guesses count towards the same lockout
+ * as failed logins.
+ * @param {Object} req - Express request object
+ * @param {Object} factors
+ * @param {String} [factors.code] - TOTP code
+ * @param {String} [factors.recoveryCode] - One-time recovery code
+ * @returns {Promise<Object>} {} on success, { throttle } if refused by the
+ * brute-force protection, or { message } if the code is wrong
+ */
+const verifyCurrentSecondFactor = async (req, { code, recoveryCode }) => {
+    const accountId = req.user._id;
+    const throttle = await checkLoginAllowed({ ip: req.ip, accountId });
+    if (!throttle.allowed) return { throttle };
+
+    if (!(await verifySecondFactor(accountId, { code, recoveryCode }))) {
+        await handleFailedLogin(
+            req,
+            req.user,
+            accountId,
+            "invalid_two_factor_code"
+        );
+        return { message: "Invalid two-factor authentication code" };
+    }
+
+    await recordSuccessfulLogin({ accountId });
+    return {};
+};
+
+/**
+ * Email a short security notice to an address, logging delivery failures
+ * @param {String} to - Recipient address
+ * @param {String} subject - Subject line
+ * @param {String} text - Plain-text body
+ * @returns {Promise<void>}
+ */
+const sendAccountNotice = async (to, subject, text) => {
+    try {
+        await sendMail({ to, subject, text });
+    } catch (mailError) {
+        console.error(`Error sending "${subject}" notice:`, mailError);
+    }
+};
 
 // Helper function to normalize Gmail addresses (mirrors the one in user.model.js)
 const normalizeGmail = (email) => {
@@ -41,6 +382,15 @@ const register = async (req, res) => {
             });
         }
 
+        // Reserved names and handles other accounts recently gave up
+        const unavailableReason = await getUsernameUnavailableReason(username);
+        if (unavailableReason) {
+            return res.status(409).json({
+                status: "error",
+                message: unavailableReason,
+            });
+        }
+
         // Create new user instance (model's setter will normalize the email)
         const newUser = new User({
             username,
@@ -60,9 +410,17 @@ const register = async (req, res) => {
             `Register: User successfully saved with ID: ${user._id}, Email: ${user.email}`
         );
 
-        // Generate tokens
-        const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user._id);
+        // Ask the user to confirm their email address
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error("Error sending verification email:", mailError);
+        }
+
+        // Start a session and generate tokens; the device the account was
+        // created on counts as known
+        const { session, tokens } = await createSession(user, req);
+        await recordLogin(req, user, session, "register");
 
         // Remove password from response
         user.password = undefined;
@@ -71,10 +429,7 @@ const register = async (req, res) => {
             status: "success",
             data: {
                 user,
-                tokens: {
-                    access: accessToken,
-                    refresh: refreshToken,
-                },
+                ...deliverTokens(req, res, tokens),
             },
         });
     } catch (error) {
@@ -125,13 +480,6 @@ const login = async (req, res) => {
             );
         }
 
-        // Log the values being used for lookup
-        console.log("Login Attempt - Original Input:", usernameOrEmail);
-        console.log(
-            "Login Attempt - Normalized Input for Query:",
-            normalizedInput
-        );
-
         // Determine query conditions
         const queryConditions = isLikelyEmail
             ? { email: normalizedInput } // Only query by normalized email if input contained '@'
@@ -145,57 +493,58 @@ const login = async (req, res) => {
         // Find user
         const user = await User.findOne(queryConditions).select("+password");
 
-        // Log whether user was found
+        // Unknown identifiers get their own counter so lockouts behave the
+        // same whether or not the account exists
+        const accountId = user ? user._id : normalizedInput;
+        const throttle = await checkLoginAllowed({ ip: req.ip, accountId });
+        if (!throttle.allowed) {
+            return sendThrottledResponse(res, throttle);
+        }
+
         if (!user) {
-            console.log(
-                "Login Attempt - User Found: Not Found (using normalized input)"
-            );
+            await handleFailedLogin(req, null, accountId, "unknown_account");
             return res.status(401).json({
                 // Return early if not found
                 status: "error",
                 message: "Invalid credentials",
             });
-        } else {
-            console.log("Login Attempt - User Found: Yes, ID:", user._id);
         }
 
         // Check if password is correct
         if (!(await user.comparePassword(password))) {
-            console.log(
-                "Login Attempt - Password Check: Failed for User:",
-                user._id
-            );
+            await handleFailedLogin(req, user, accountId, "incorrect_password");
             return res.status(401).json({
                 status: "error",
                 message: "Invalid credentials",
             });
         }
-        console.log(
-            "Login Attempt - Password Check: Passed for User:",
-            user._id
-        );
+        await recordSuccessfulLogin({ accountId: user._id });
+
+        // Deactivated accounts may only log back in during the grace period
+        if (!user.isActive && !canReactivateAccount(user)) {
+            return res.status(403).json({
+                status: "error",
+                message: "This account is no longer available",
+            });
+        }
 
         // // Update last login - Temporarily commented out for testing
         // user.lastLogin = new Date();
         // await user.save({ validateBeforeSave: false, hooks: false });
 
-        // Generate tokens
-        const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user._id);
-
-        // Remove password from response
-        user.password = undefined;
-
-        res.status(200).json({
-            status: "success",
-            data: {
-                user,
-                tokens: {
-                    access: accessToken,
-                    refresh: refreshToken,
+        // With 2FA enabled the password only earns a short-lived challenge
+        // that must be exchanged with a second factor
+        if (user.twoFactor?.enabled) {
+            return res.status(200).json({
+                status: "success",
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: generateTwoFactorChallengeToken(user._id),
                 },
-            },
-        });
+            });
+        }
+
+        await sendLoginResponse(req, res, user, "password");
     } catch (error) {
         console.error("Login Error:", error);
         res.status(400).json({
@@ -206,13 +555,19 @@ const login = async (req, res) => {
 };
 
 /**
- * Refresh access token using refresh token
+ * Refresh access token using refresh token.
+ * The refresh token is rotated: the presented token is invalidated and a new
+ * one is returned alongside the access token. In cookie auth mode the token
+ * is read from (and the new pair written to) cookies.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const refreshToken = async (req, res) => {
+    const useCookies = !req.body?.refreshToken || wantsCookieAuth(req);
+
     try {
-        const { refreshToken } = req.body;
+        const refreshToken =
+            req.body?.refreshToken || getCookie(req, REFRESH_TOKEN_COOKIE);
 
         if (!refreshToken) {
             return res.status(400).json({
@@ -221,41 +576,67 @@ const refreshToken = async (req, res) => {
             });
         }
 
-        // Verify refresh token
-        const decoded = verifyRefreshToken(refreshToken);
-        if (!decoded) {
-            return res.status(401).json({
-                status: "error",
-                message: "Invalid or expired refresh token",
-            });
-        }
+        // Verify, rotate and detect reuse of the refresh token
+        const { user, session, tokens } = await rotateSession(
+            refreshToken,
+            req
+        );
+        await recordSecurityEvent(req, user._id, "token_refreshed", {
+            session: session._id,
+        });
 
-        // Find user
-        const user = await User.findById(decoded.id);
-        if (!user || !user.isActive) {
-            return res.status(401).json({
-                status: "error",
-                message: "User not found or inactive",
+        if (useCookies) {
+            return res.status(200).json({
+                status: "success",
+                data: {
+                    csrfToken: setAuthCookies(res, tokens),
+                },
             });
         }
 
-        // Generate new access token
-        const accessToken = generateAccessToken(user);
-
         res.status(200).json({
             status: "success",
             data: {
-                access: accessToken,
+                access: tokens.access,
+                refresh: tokens.refresh,
             },
         });
     } catch (error) {
-        res.status(400).json({
+        // Drop cookies holding a refresh token that can no longer be used
+        if (useCookies && error.statusCode === 401) {
+            clearAuthCookies(res);
+        }
+        res.status(error.statusCode || 400).json({
             status: "error",
             message: error.message,
         });
     }
 };
 
+/**
+ * Get the CSRF token cookie-authenticated clients must send in the
+ * X-CSRF-Token header, e.g. after a page reload. A new token is issued when
+ * the browser has none.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCsrfToken = (req, res) => {
+    let csrfToken = getCookie(req, CSRF_TOKEN_COOKIE);
+    if (!csrfToken) {
+        csrfToken = generateCsrfToken();
+        setCsrfCookie(res, csrfToken);
+    }
+
+    // Never cache: the token is only readable by the allowed frontend origin
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+        status: "success",
+        data: {
+            csrfToken,
+        },
+    });
+};
+
 /**
  * Get current user
  * @param {Object} req - Express request object
@@ -263,9 +644,8 @@ const refreshToken = async (req, res) => {
  */
 const getCurrentUser = async (req, res) => {
     try {
-        const user = await User.findById(req.user._id)
-            .populate("following", "username name avatar")
-            .populate("followers", "username name avatar");
+        // Follower and following lists are paginated under /api/users
+        const user = await User.findById(req.user._id);
 
         res.status(200).json({
             status: "success",
@@ -282,24 +662,1354 @@ const getCurrentUser = async (req, res) => {
 };
 
 /**
- * Logout user (client-side - invalidate tokens)
+ * Logout user by revoking the current session server-side and clearing the
+ * auth cookies, if any.
+ * The session is taken from the access token, or from a refresh token in the
+ * body (or cookie) for tokens issued without a session ID.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-const logout = (req, res) => {
-    // In a stateless JWT system, logout is handled client-side
-    // by removing the tokens from storage
+const logout = async (req, res, next) => {
+    try {
+        let sessionId = req.auth?.sessionId;
 
-    res.status(200).json({
-        status: "success",
-        message: "Logged out successfully",
-    });
+        const refreshToken =
+            req.body?.refreshToken || getCookie(req, REFRESH_TOKEN_COOKIE);
+        if (!sessionId && refreshToken) {
+            const decoded = verifyRefreshToken(refreshToken);
+            if (decoded && decoded.id === req.user._id.toString()) {
+                sessionId = decoded.sid;
+            }
+        }
+
+        if (sessionId && (await revokeSession(sessionId, "logout"))) {
+            await recordSecurityEvent(req, req.user._id, "session_revoked", {
+                session: sessionId,
+                details: { reason: "logout" },
+            });
+        }
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            status: "success",
+            message: "Logged out successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the authenticated user's active sessions (logged-in devices)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getSessions = async (req, res, next) => {
+    try {
+        // Third-party app sessions are listed under /api/oauth/authorizations
+        const sessions = await Session.find({
+            user: req.user._id,
+            client: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .select("userAgent ip createdAt lastUsedAt")
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        const currentSessionId = req.auth?.sessionId?.toString();
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                sessions: sessions.map((session) => ({
+                    ...session,
+                    current: session._id.toString() === currentSessionId,
+                })),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke one of the authenticated user's sessions (sign out a device)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteSession = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        // Make sure the session belongs to the current user
+        const session = await Session.findOne({
+            _id: id,
+            user: req.user._id,
+            client: null,
+            revokedAt: null,
+        });
+
+        if (!session) {
+            const err = new Error("Session not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        await revokeSession(session._id, "revoked_by_user");
+        await recordSecurityEvent(req, req.user._id, "session_revoked", {
+            session: session._id,
+            details: { reason: "revoked_by_user" },
+        });
+
+        res.status(200).json({
+            status: "success",
+            message: "Session revoked successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke all of the authenticated user's sessions except the current one.
+ * Authorizations granted to third-party apps are kept.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const revokeOtherSessions = async (req, res, next) => {
+    try {
+        const revokedCount = await revokeAllSessions(
+            req.user._id,
+            "revoked_by_user",
+            { exceptSessionId: req.auth?.sessionId, includeApps: false }
+        );
+        if (revokedCount > 0) {
+            await recordSecurityEvent(req, req.user._id, "session_revoked", {
+                details: { reason: "revoked_by_user", count: revokedCount },
+            });
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: `Signed out of ${revokedCount} other session(s).`,
+            data: { revokedCount },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the authenticated user's security events (logins, failed attempts,
+ * credential changes, refreshes and sign-outs), newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getSecurityEvents = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user._id };
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
+
+        const [events, total] = await Promise.all([
+            SecurityEvent.find(filter)
+                .select("-user -deviceId")
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            SecurityEvent.countDocuments(filter),
+        ]);
+
+        const currentSessionId = req.auth?.sessionId?.toString();
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                events: events.map((event) => ({
+                    ...event,
+                    currentSession:
+                        Boolean(event.session) &&
+                        event.session.toString() === currentSessionId,
+                })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the times support staff impersonated the authenticated user, with the
+ * requests they made, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getImpersonations = async (req, res, next) => {
+    try {
+        const impersonations = await Impersonation.find({
+            user: req.user._id,
+        })
+            .select("-user -ip -userAgent")
+            .populate("admin", "username name")
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                impersonations,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the scopes personal access tokens can be granted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAccessTokenScopes = (req, res) => {
+    res.status(200).json({
+        status: "success",
+        data: {
+            scopes: Object.entries(SCOPES).map(([name, description]) => ({
+                name,
+                description,
+            })),
+        },
+    });
+};
+
+/**
+ * List the authenticated user's personal access tokens (never the secrets)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getAccessTokens = async (req, res, next) => {
+    try {
+        const tokens = await PersonalAccessToken.find({
+            user: req.user._id,
+            revokedAt: null,
+        })
+            .select("name tokenPrefix scopes expiresAt lastUsedAt createdAt")
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const now = new Date();
+        res.status(200).json({
+            status: "success",
+            data: {
+                tokens: tokens.map((token) => ({
+                    ...token,
+                    expired: Boolean(token.expiresAt && token.expiresAt <= now),
+                })),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a personal access token. The token is only returned in this
+ * response. Requires sudo mode, so tokens cannot mint other tokens.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createAccessToken = async (req, res, next) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+            : null;
+
+        const { token, personalAccessToken } = await createPersonalAccessToken(
+            req.user._id,
+            { name, scopes, expiresAt }
+        );
+
+        await sendAccountNotice(
+            req.user.email,
+            "A personal access token was created",
+            `Hi ${req.user.name},\n\n` +
+                `A personal access token named "${name}" was created for your account ` +
+                `@${
+                    req.user.username
+                } with these scopes: ${personalAccessToken.scopes.join(
+                    ", "
+                )}.\n\n` +
+                `If you didn't do this, revoke it in your security settings and change your password.`
+        );
+
+        res.status(201).json({
+            status: "success",
+            message:
+                "Personal access token created. Copy it now; it will not be shown again.",
+            data: {
+                token,
+                tokenInfo: {
+                    _id: personalAccessToken._id,
+                    name: personalAccessToken.name,
+                    tokenPrefix: personalAccessToken.tokenPrefix,
+                    scopes: personalAccessToken.scopes,
+                    expiresAt: personalAccessToken.expiresAt,
+                    createdAt: personalAccessToken.createdAt,
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke one of the authenticated user's personal access tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const revokeAccessToken = async (req, res, next) => {
+    try {
+        const token = await PersonalAccessToken.findOneAndUpdate(
+            { _id: req.params.id, user: req.user._id, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        if (!token) {
+            const err = new Error("Access token not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Access token revoked successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Request a password reset link by email.
+ * Always responds with success so the endpoint cannot be used to discover
+ * which email addresses have an account.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const forgotPassword = async (req, res, next) => {
+    try {
+        const email = normalizeGmail(req.body.email.trim().toLowerCase());
+        const user = await User.findOne({ email });
+
+        if (user && (user.isActive || canReactivateAccount(user))) {
+            // Only the most recent link should work
+            await invalidateActionTokens(user._id, "password_reset");
+            const token = await createActionToken(
+                user._id,
+                "password_reset",
+                PASSWORD_RESET_TTL_MS
+            );
+            const resetUrl = buildFrontendUrl("/reset-password", { token });
+            const ttlMinutes = Math.round(PASSWORD_RESET_TTL_MS / 60000);
+
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: "Reset your password",
+                    text:
+                        `Hi ${user.name},\n\n` +
+                        `Someone requested a password reset for your account @${user.username}. ` +
+                        `Use the link below to choose a new password. It expires in ${ttlMinutes} minutes ` +
+                        `and can only be used once.\n\n${resetUrl}\n\n` +
+                        `If you didn't request this, you can ignore this email.`,
+                });
+            } catch (mailError) {
+                console.error("Error sending password reset email:", mailError);
+            }
+        }
+
+        res.status(200).json({
+            status: "success",
+            message:
+                "If an account exists for that email, a password reset link has been sent.",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reset the password using a token from a reset link.
+ * Signs the user out of every existing session.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const resetToken = await consumeActionToken(token, "password_reset");
+        if (!resetToken) {
+            const err = new Error("Password reset token is invalid or expired");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const user = await User.findById(resetToken.user).select("+password");
+        if (!user || (!user.isActive && !canReactivateAccount(user))) {
+            const err = new Error("Password reset token is invalid or expired");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        // Pre-save hook hashes the new password
+        user.password = password;
+        await user.save();
+
+        // A reset means the old credentials may be compromised
+        await Promise.all([
+            revokeAllSessions(user._id, "password_reset"),
+            invalidateActionTokens(user._id, "password_reset"),
+        ]);
+        await recordSecurityEvent(req, user._id, "password_reset");
+
+        res.status(200).json({
+            status: "success",
+            message: "Password has been reset. Please log in again.",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Email a single-use sign-in link (passwordless login). Always responds with
+ * success so the endpoint cannot be used to discover accounts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requestMagicLink = async (req, res, next) => {
+    try {
+        const email = normalizeGmail(req.body.email.trim().toLowerCase());
+        const user = await User.findOne({ email });
+
+        // Locked accounts get no links until the lockout is over
+        const throttle = user
+            ? await checkLoginAllowed({ ip: req.ip, accountId: user._id })
+            : null;
+
+        if (
+            user &&
+            throttle.allowed &&
+            (user.isActive || canReactivateAccount(user))
+        ) {
+            // Only the most recent link should work
+            await invalidateActionTokens(user._id, "magic_link");
+            const token = await createActionToken(
+                user._id,
+                "magic_link",
+                MAGIC_LINK_TTL_MS
+            );
+            const signInUrl = buildFrontendUrl("/magic-link", { token });
+            const ttlMinutes = Math.round(MAGIC_LINK_TTL_MS / 60000);
+
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: "Your sign-in link",
+                    text:
+                        `Hi ${user.name},\n\n` +
+                        `Use the link below to log in to your account @${user.username}. ` +
+                        `It expires in ${ttlMinutes} minutes and can only be used once.\n\n` +
+                        `${signInUrl}\n\n` +
+                        `If you didn't request this, you can ignore this email.`,
+                });
+            } catch (mailError) {
+                console.error("Error sending sign-in link email:", mailError);
+            }
+        }
+
+        res.status(200).json({
+            status: "success",
+            message:
+                "If an account exists for that email, a sign-in link has been sent.",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Log in with a token from a sign-in link. Responds like login: a token
+ * pair, or a two-factor challenge when two-factor authentication is enabled.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyMagicLink = async (req, res, next) => {
+    try {
+        // Guessing links counts towards the per-IP limit
+        const ipThrottle = await checkLoginAllowed({ ip: req.ip });
+        if (!ipThrottle.allowed) {
+            return sendThrottledResponse(res, ipThrottle);
+        }
+
+        const magicLink = await consumeActionToken(
+            req.body.token,
+            "magic_link"
+        );
+        if (!magicLink) {
+            await recordFailedLogin({ ip: req.ip });
+            const err = new Error("Sign-in link is invalid or expired");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const throttle = await checkLoginAllowed({
+            ip: req.ip,
+            accountId: magicLink.user,
+        });
+        if (!throttle.allowed) {
+            return sendThrottledResponse(res, throttle);
+        }
+
+        const user = await User.findById(magicLink.user);
+        if (!user) {
+            const err = new Error("Sign-in link is invalid or expired");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        // Deactivated accounts may only log back in during the grace period
+        if (!user.isActive && !canReactivateAccount(user)) {
+            const err = new Error("This account is no longer available");
+            err.statusCode = 403;
+            throw err;
+        }
+        await recordSuccessfulLogin({ accountId: user._id });
+
+        // Following the link proves the user controls the address
+        if (!user.emailVerified) {
+            user.emailVerifiedAt = new Date();
+            await User.updateOne(
+                { _id: user._id },
+                { emailVerified: true, emailVerifiedAt: user.emailVerifiedAt }
+            );
+            user.emailVerified = true;
+        }
+
+        // The link replaces the password, not the second factor
+        if (user.twoFactor?.enabled) {
+            return res.status(200).json({
+                status: "success",
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: generateTwoFactorChallengeToken(user._id),
+                },
+            });
+        }
+
+        await sendLoginResponse(req, res, user, "magic_link");
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify the user's email address using a token from a verification link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyEmail = async (req, res, next) => {
+    try {
+        const verificationToken = await consumeActionToken(
+            req.body.token,
+            "email_verification"
+        );
+
+        const user =
+            verificationToken && (await User.findById(verificationToken.user));
+
+        // The link is only valid for the address it was sent to
+        if (!user || user.email !== verificationToken.data?.email) {
+            const err = new Error("Verification token is invalid or expired");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save({ validateBeforeSave: false });
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Email address verified successfully",
+            data: {
+                emailVerified: true,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Send a new verification email to the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resendVerificationEmail = async (req, res, next) => {
+    try {
+        const user = req.user;
+
+        if (user.emailVerified) {
+            const err = new Error("Email address is already verified");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        // Throttle resends to protect the mail transport and the inbox
+        const lastToken = await Token.findOne({
+            user: user._id,
+            purpose: "email_verification",
+        })
+            .sort({ createdAt: -1 })
+            .select("createdAt")
+            .lean();
+
+        if (
+            lastToken &&
+            Date.now() - lastToken.createdAt.getTime() <
+                VERIFICATION_RESEND_COOLDOWN_MS
+        ) {
+            const err = new Error(
+                "A verification email was sent recently. Please wait a minute before requesting another."
+            );
+            err.statusCode = 429;
+            throw err;
+        }
+
+        await sendVerificationEmail(user);
+
+        res.status(200).json({
+            status: "success",
+            message: "Verification email sent",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Re-enter the password (and a second factor when 2FA is enabled) to open a
+ * "sudo mode" window for sensitive account actions in the current session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const reauthenticate = async (req, res, next) => {
+    try {
+        const sessionId = req.auth?.sessionId;
+        if (!sessionId) {
+            const err = new Error("Please log in again to continue");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const result = await verifyCurrentCredentials(req, req.body, true);
+        if (result.throttle) {
+            return sendThrottledResponse(res, result.throttle);
+        }
+        if (result.message) {
+            const err = new Error(result.message);
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const authenticatedAt = await markSessionAuthenticated(sessionId);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                sudoModeExpiresAt: getSudoModeExpiresAt(authenticatedAt),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Change the password of the authenticated user. Requires the current
+ * password and signs out every other session.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const result = await verifyCurrentCredentials(req, {
+            password: currentPassword,
+        });
+        if (result.throttle) {
+            return sendThrottledResponse(res, result.throttle);
+        }
+        if (result.message) {
+            const err = new Error("Current password is incorrect");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const { user } = result;
+        if (await user.comparePassword(newPassword)) {
+            const err = new Error(
+                "New password must be different from the current password"
+            );
+            err.statusCode = 400;
+            throw err;
+        }
+
+        // Pre-save hook hashes the new password
+        user.password = newPassword;
+        await user.save();
+
+        const sessionId = req.auth?.sessionId;
+        const [revokedCount] = await Promise.all([
+            revokeAllSessions(user._id, "password_changed", {
+                exceptSessionId: sessionId,
+            }),
+            invalidateActionTokens(user._id, "password_reset"),
+            // Typing the current password counts as a fresh authentication
+            sessionId && markSessionAuthenticated(sessionId),
+        ]);
+        await recordSecurityEvent(req, user._id, "password_changed", {
+            session: sessionId,
+            details: { revokedSessions: revokedCount },
+        });
+
+        await sendAccountNotice(
+            user.email,
+            "Your password was changed",
+            `Hi ${user.name},\n\n` +
+                `The password for your account @${user.username} was just changed and ` +
+                `your other devices were signed out.\n\n` +
+                `If you didn't do this, reset your password right away: ` +
+                `${buildFrontendUrl("/forgot-password")}`
+        );
+
+        res.status(200).json({
+            status: "success",
+            message: "Password changed successfully",
+            data: { revokedSessions: revokedCount },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start changing the authenticated user's email address. A confirmation link
+ * is sent to the new address; the address only changes once it is opened.
+ * Requires sudo mode.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requestEmailChange = async (req, res, next) => {
+    try {
+        const user = req.user;
+        const newEmail = normalizeGmail(req.body.newEmail.trim().toLowerCase());
+
+        if (newEmail === user.email) {
+            const err = new Error(
+                "New email must be different from the current email"
+            );
+            err.statusCode = 400;
+            throw err;
+        }
+
+        if (await User.exists({ email: newEmail })) {
+            const err = new Error("Email already in use");
+            err.statusCode = 409;
+            throw err;
+        }
+
+        // Only the most recent link should work
+        await invalidateActionTokens(user._id, "email_change");
+        const token = await createActionToken(
+            user._id,
+            "email_change",
+            EMAIL_CHANGE_TTL_MS,
+            { newEmail }
+        );
+        const confirmUrl = buildFrontendUrl("/confirm-email-change", {
+            token,
+        });
+
+        await sendMail({
+            to: newEmail,
+            subject: "Confirm your new email address",
+            text:
+                `Hi ${user.name},\n\n` +
+                `Open the link below to use this address for your account @${user.username}:\n\n` +
+                `${confirmUrl}\n\n` +
+                `If you didn't request this, you can ignore this email.`,
+        });
+        await sendAccountNotice(
+            user.email,
+            "Email change requested",
+            `Hi ${user.name},\n\n` +
+                `Someone asked to change the email address of your account @${user.username} ` +
+                `to ${newEmail}. It will only change once the link sent to that address is opened.\n\n` +
+                `If this wasn't you, change your password right away.`
+        );
+
+        res.status(200).json({
+            status: "success",
+            message:
+                "A confirmation link has been sent to the new email address.",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm an email change using a token from the confirmation link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const confirmEmailChange = async (req, res, next) => {
+    try {
+        const changeToken = await consumeActionToken(
+            req.body.token,
+            "email_change"
+        );
+
+        const user = changeToken && (await User.findById(changeToken.user));
+        const newEmail = changeToken?.data?.newEmail;
+
+        if (!user || !user.isActive || !newEmail) {
+            const err = new Error("Email change token is invalid or expired");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const oldEmail = user.email;
+        user.email = newEmail;
+        // Opening the link proves ownership of the new address
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+
+        try {
+            await user.save({ validateBeforeSave: false });
+        } catch (saveError) {
+            // Someone registered the address after the link was sent
+            if (saveError.code === 11000) {
+                const err = new Error("Email already in use");
+                err.statusCode = 409;
+                throw err;
+            }
+            throw saveError;
+        }
+
+        // Links sent to the previous address must not verify it any more
+        await invalidateActionTokens(user._id, "email_verification");
+        await recordSecurityEvent(req, user._id, "email_changed", {
+            details: { from: oldEmail, to: user.email },
+        });
+
+        await sendAccountNotice(
+            oldEmail,
+            "Your email address was changed",
+            `Hi ${user.name},\n\n` +
+                `The email address of your account @${user.username} was changed to ${user.email}. ` +
+                `This address will no longer receive account emails.\n\n` +
+                `If you didn't do this, please contact support.`
+        );
+
+        res.status(200).json({
+            status: "success",
+            message: "Email address changed successfully",
+            data: {
+                email: user.email,
+                emailVerified: true,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Check whether a username can be taken (by the authenticated user, if any)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const checkUsernameAvailability = async (req, res, next) => {
+    try {
+        const { username } = req.query;
+        const reason =
+            req.user && req.user.username === username
+                ? "This is already your username"
+                : await getUsernameUnavailableReason(username, req.user?._id);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                username,
+                available: !reason,
+                ...(reason && { reason }),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Change the authenticated user's username. The old username keeps
+ * resolving to the account (and stays reserved for it) for a grace period,
+ * and changes are rate limited. Requires sudo mode.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const changeUsername = async (req, res, next) => {
+    try {
+        const { newUsername } = req.body;
+        const user = req.user;
+        const oldUsername = user.username;
+
+        if (newUsername === oldUsername) {
+            const err = new Error("This is already your username");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const reason = await getUsernameUnavailableReason(
+            newUsername,
+            user._id
+        );
+        if (reason) {
+            const err = new Error(reason);
+            err.statusCode = 409;
+            throw err;
+        }
+
+        const nextChangeAt = await getNextUsernameChangeAt(user._id);
+        if (nextChangeAt) {
+            res.set(
+                "Retry-After",
+                String(Math.ceil((nextChangeAt - Date.now()) / 1000))
+            );
+            const err = new Error(
+                `You have changed your username too often. Try again after ${nextChangeAt.toISOString()}.`
+            );
+            err.statusCode = 429;
+            throw err;
+        }
+
+        let redirectUntil;
+        try {
+            redirectUntil = await updateUsername(user, newUsername);
+        } catch (saveError) {
+            // Someone took the username in the meantime
+            if (saveError.code === 11000) {
+                const err = new Error("Username already taken");
+                err.statusCode = 409;
+                throw err;
+            }
+            throw saveError;
+        }
+
+        await recordSecurityEvent(req, user._id, "username_changed", {
+            details: { from: oldUsername, to: user.username },
+        });
+
+        res.status(200).json({
+            status: "success",
+            message: "Username changed successfully",
+            data: {
+                username: user.username,
+                previousUsername: oldUsername,
+                previousUsernameRedirectsUntil: redirectUntil,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Deactivate the authenticated user's account. Every session is signed out
+ * and the account is permanently deleted after the grace period unless the
+ * user logs in again. Requires sudo mode.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deactivate = async (req, res, next) => {
+    try {
+        const user = req.user;
+        const scheduledDeletionAt = await deactivateAccount(user);
+
+        await sendAccountNotice(
+            user.email,
+            "Your account has been deactivated",
+            `Hi ${user.name},\n\n` +
+                `Your account @${user.username} has been deactivated. It will be permanently ` +
+                `deleted on ${scheduledDeletionAt.toUTCString()}, together with your tweets, ` +
+                `likes and followers.\n\n` +
+                `Changed your mind? Just log in again before then to reactivate it.`
+        );
+
+        res.status(200).json({
+            status: "success",
+            message:
+                "Account deactivated. Log in again before the deletion date to reactivate it.",
+            data: { scheduledDeletionAt },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Complete a two-factor login by exchanging the challenge token and a TOTP
+ * or recovery code for a token pair
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const decoded = verifyTwoFactorChallengeToken(challengeToken);
+        if (!decoded) {
+            const err = new Error(
+                "Two-factor challenge is invalid or expired. Please log in again."
+            );
+            err.statusCode = 401;
+            throw err;
+        }
+
+        if (!code && !recoveryCode) {
+            const err = new Error(
+                "Please provide an authentication code or a recovery code"
+            );
+            err.statusCode = 400;
+            throw err;
+        }
+
+        // Guessing codes counts towards the same lockout as passwords
+        const throttle = await checkLoginAllowed({
+            ip: req.ip,
+            accountId: decoded.id,
+        });
+        if (!throttle.allowed) {
+            return sendThrottledResponse(res, throttle);
+        }
+
+        if (!(await verifySecondFactor(decoded.id, { code, recoveryCode }))) {
+            await handleFailedLogin(
+                req,
+                await User.findById(decoded.id),
+                decoded.id,
+                "invalid_two_factor_code"
+            );
+            const err = new Error("Invalid two-factor authentication code");
+            err.statusCode = 401;
+            throw err;
+        }
+        await recordSuccessfulLogin({ accountId: decoded.id });
+
+        const user = await User.findById(decoded.id);
+        if (!user || (!user.isActive && !canReactivateAccount(user))) {
+            const err = new Error("User not found or inactive");
+            err.statusCode = 401;
+            throw err;
+        }
+
+        await sendLoginResponse(req, res, user, "two_factor");
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start two-factor enrollment: generate a secret and the otpauth URI to show
+ * as a QR code. Nothing changes until the setup is confirmed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            const err = new Error(
+                "Two-factor authentication is already enabled"
+            );
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const secret = generateTotpSecret();
+        await User.findByIdAndUpdate(req.user._id, {
+            "twoFactor.pendingSecret": secret,
+        });
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                secret,
+                otpauthUri: buildOtpauthUri({
+                    secret,
+                    accountName: req.user.username,
+                    issuer: process.env.TOTP_ISSUER || "Twitter Clone",
+                }),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm two-factor enrollment with a first code from the authenticator app.
+ * Returns the one-time recovery codes; they are not retrievable later.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const confirmTwoFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select(
+            "+twoFactor.pendingSecret"
+        );
+
+        if (user.twoFactor?.enabled) {
+            const err = new Error(
+                "Two-factor authentication is already enabled"
+            );
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const pendingSecret = user.twoFactor?.pendingSecret;
+        if (!pendingSecret) {
+            const err = new Error("Please start two-factor setup first");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const step = verifyTotp(pendingSecret, req.body.code);
+        if (step === null) {
+            const err = new Error("Invalid two-factor authentication code");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    "twoFactor.enabled": true,
+                    "twoFactor.enabledAt": new Date(),
+                    "twoFactor.secret": pendingSecret,
+                    "twoFactor.recoveryCodes": recoveryCodes.map((code) =>
+                        hashToken(normalizeRecoveryCode(code))
+                    ),
+                    "twoFactor.lastUsedStep": step,
+                },
+                $unset: { "twoFactor.pendingSecret": 1 },
+            }
+        );
+        await recordSecurityEvent(req, req.user._id, "two_factor_enabled");
+
+        res.status(200).json({
+            status: "success",
+            message:
+                "Two-factor authentication enabled. Store your recovery codes in a safe place; each can be used once.",
+            data: {
+                recoveryCodes,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Disable two-factor authentication. Requires a fresh TOTP or recovery code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        const { code, recoveryCode } = req.body;
+
+        if (!req.user.twoFactor?.enabled) {
+            const err = new Error("Two-factor authentication is not enabled");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const result = await verifyCurrentSecondFactor(req, {
+            code,
+            recoveryCode,
+        });
+        if (result.throttle) {
+            return sendThrottledResponse(res, result.throttle);
+        }
+        if (result.message) {
+            const err = new Error(result.message);
+            err.statusCode = 400;
+            throw err;
+        }
+
+        await User.updateOne(
+            { _id: req.user._id },
+            {
+                $set: { "twoFactor.enabled": false },
+                $unset: {
+                    "twoFactor.enabledAt": 1,
+                    "twoFactor.secret": 1,
+                    "twoFactor.pendingSecret": 1,
+                    "twoFactor.recoveryCodes": 1,
+                    "twoFactor.lastUsedStep": 1,
+                },
+            }
+        );
+        await recordSecurityEvent(req, req.user._id, "two_factor_disabled");
+
+        res.status(200).json({
+            status: "success",
+            message: "Two-factor authentication disabled",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the recovery codes with a new set. Requires a fresh TOTP code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        if (!req.user.twoFactor?.enabled) {
+            const err = new Error("Two-factor authentication is not enabled");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const result = await verifyCurrentSecondFactor(req, {
+            code: req.body.code,
+        });
+        if (result.throttle) {
+            return sendThrottledResponse(res, result.throttle);
+        }
+        if (result.message) {
+            const err = new Error(result.message);
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await User.updateOne(
+            { _id: req.user._id },
+            {
+                "twoFactor.recoveryCodes": recoveryCodes.map((code) =>
+                    hashToken(normalizeRecoveryCode(code))
+                ),
+            }
+        );
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                recoveryCodes,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
 };
 
 module.exports = {
     register,
     login,
     refreshToken,
+    getCsrfToken,
     getCurrentUser,
     logout,
+    getSessions,
+    deleteSession,
+    revokeOtherSessions,
+    getSecurityEvents,
+    getImpersonations,
+    getAccessTokenScopes,
+    getAccessTokens,
+    createAccessToken,
+    revokeAccessToken,
+    forgotPassword,
+    resetPassword,
+    requestMagicLink,
+    verifyMagicLink,
+    verifyEmail,
+    resendVerificationEmail,
+    reauthenticate,
+    changePassword,
+    requestEmailChange,
+    confirmEmailChange,
+    checkUsernameAvailability,
+    changeUsername,
+    deactivate,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
 };
@@ -0,0 +1,589 @@
+const List = require("../models/list.model");
+const Tweet = require("../models/tweet.model");
+const User = require("../models/user.model");
+const Notification = require("../models/notification.model");
+const { getIoInstance } = require("../socketHandler");
+const {
+    getBlockedUserIds,
+    isBlockedEitherWay,
+    assertNotBlocked,
+} = require("../utils/block.utils");
+const {
+    getActiveMutes,
+    buildMuteQuery,
+    isNotificationMuted,
+} = require("../utils/mute.utils");
+const {
+    buildVisibilityQuery,
+    hideUnviewableQuotes,
+} = require("../utils/visibility.utils");
+
+// Most members a list can have (keeps the list timeline query bounded)
+const MAX_LIST_MEMBERS = 5000;
+
+// Helper to shape a list (with its owner populated) for API responses
+const formatList = (list, viewerId) => ({
+    _id: list._id,
+    owner: list.owner,
+    name: list.name,
+    description: list.description,
+    isPrivate: list.isPrivate,
+    memberCount: list.members.length,
+    subscriberCount: list.subscribers.length,
+    subscribed: list.subscribers.some((id) => id.equals(viewerId)),
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt,
+});
+
+// Helper to find a list the current user may see. Private lists, and lists
+// of accounts blocking (or blocked by) the user, are reported as not found.
+const findViewableList = async (req) => {
+    const list = await List.findById(req.params.id).populate(
+        "owner",
+        "username name avatar"
+    );
+    const isOwner = list && list.owner._id.equals(req.user._id);
+    if (
+        !list ||
+        (!isOwner &&
+            (list.isPrivate ||
+                (await isBlockedEitherWay(req.user._id, list.owner._id))))
+    ) {
+        const err = new Error("List not found");
+        err.statusCode = 404;
+        throw err;
+    }
+    return list;
+};
+
+// Helper to find a list the current user owns
+const findOwnedList = async (req) => {
+    const list = await findViewableList(req);
+    if (!list.owner._id.equals(req.user._id)) {
+        const err = new Error("Only the list owner can do this");
+        err.statusCode = 403;
+        throw err;
+    }
+    return list;
+};
+
+// Helper to notify a user they were added to a public list
+const notifyListAdded = async (list, memberId) => {
+    try {
+        if (await isNotificationMuted(memberId, list.owner._id)) {
+            return;
+        }
+        const notification = await Notification.create({
+            recipient: memberId,
+            sender: list.owner._id,
+            type: "list_added",
+            list: list._id,
+        });
+        const populatedNotification = await Notification.findById(
+            notification._id
+        )
+            .populate("sender", "username name avatar")
+            .populate("list", "name description")
+            .lean();
+
+        const io = getIoInstance();
+        io.to(memberId.toString()).emit(
+            "notification:new",
+            populatedNotification
+        );
+    } catch (notificationError) {
+        console.error(
+            "Error creating/emitting list notification:",
+            notificationError
+        );
+    }
+};
+
+/**
+ * Create a list owned by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createList = async (req, res, next) => {
+    try {
+        const { name, description, isPrivate } = req.body;
+
+        const list = await List.create({
+            owner: req.user._id,
+            name,
+            description,
+            isPrivate,
+        });
+        await list.populate("owner", "username name avatar");
+
+        res.status(201).json({
+            status: "success",
+            data: { list: formatList(list, req.user._id) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the lists the current user owns or subscribes to (most recently
+ * created first)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getMyLists = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = {
+            $or: [{ owner: req.user._id }, { subscribers: req.user._id }],
+        };
+
+        const [lists, total] = await Promise.all([
+            List.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate("owner", "username name avatar"),
+            List.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                lists: lists.map((list) => formatList(list, req.user._id)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the lists a user owns. Private lists are only included for their
+ * owner.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getUserLists = async (req, res, next) => {
+    try {
+        const { username } = req.params;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const user = await User.findOne({ username, isActive: true }).select(
+            "_id"
+        );
+        if (!user || (await isBlockedEitherWay(req.user._id, user._id))) {
+            const err = new Error("User not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        const query = { owner: user._id };
+        if (!user._id.equals(req.user._id)) {
+            query.isPrivate = false;
+        }
+
+        const [lists, total] = await Promise.all([
+            List.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate("owner", "username name avatar"),
+            List.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                lists: lists.map((list) => formatList(list, req.user._id)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getList = async (req, res, next) => {
+    try {
+        const list = await findViewableList(req);
+
+        res.status(200).json({
+            status: "success",
+            data: { list: formatList(list, req.user._id) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a list's name, description or privacy (owner only). Making a list
+ * private removes its subscribers.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const updateList = async (req, res, next) => {
+    try {
+        const list = await findOwnedList(req);
+
+        ["name", "description", "isPrivate"].forEach((field) => {
+            if (req.body[field] !== undefined) {
+                list[field] = req.body[field];
+            }
+        });
+        if (list.isPrivate) {
+            list.subscribers = [];
+        }
+        await list.save();
+
+        res.status(200).json({
+            status: "success",
+            data: { list: formatList(list, req.user._id) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a list (owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteList = async (req, res, next) => {
+    try {
+        const list = await findOwnedList(req);
+
+        await List.deleteOne({ _id: list._id });
+        await Notification.deleteMany({ list: list._id });
+
+        res.status(200).json({
+            status: "success",
+            message: "List deleted successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the members of a list (most recently added first)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getListMembers = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const list = await findViewableList(req);
+        const memberIds = [...list.members].reverse().slice(skip, skip + limit);
+
+        // Leave out blocked (and blocking) accounts
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const users = await User.find({
+            _id: { $in: memberIds, $nin: blockedIds },
+        })
+            .select("username name avatar bio")
+            .lean();
+
+        // Keep the order members were added in
+        const usersById = new Map(
+            users.map((user) => [user._id.toString(), user])
+        );
+        const members = memberIds
+            .map((id) => usersById.get(id.toString()))
+            .filter(Boolean);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                users: members,
+                pagination: {
+                    page,
+                    limit,
+                    total: list.members.length,
+                    pages: Math.ceil(list.members.length / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add a user to a list (owner only). Users are notified when they are added
+ * to a public list. Accounts blocking (or blocked by) the owner cannot be
+ * added.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const addListMember = async (req, res, next) => {
+    try {
+        const { username } = req.body;
+        const list = await findOwnedList(req);
+
+        const member = await User.findOne({ username, isActive: true }).select(
+            "_id"
+        );
+        if (!member) {
+            const err = new Error("User to add not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        await assertNotBlocked(req.user._id, member._id);
+
+        if (list.members.some((id) => id.equals(member._id))) {
+            const err = new Error("User is already a member of this list");
+            err.statusCode = 400;
+            throw err;
+        }
+        if (list.members.length >= MAX_LIST_MEMBERS) {
+            const err = new Error(
+                `A list cannot have more than ${MAX_LIST_MEMBERS} members`
+            );
+            err.statusCode = 400;
+            throw err;
+        }
+
+        await List.updateOne(
+            { _id: list._id },
+            { $addToSet: { members: member._id } }
+        );
+
+        if (!list.isPrivate && !member._id.equals(req.user._id)) {
+            await notifyListAdded(list, member._id);
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: `${username} added to the list`,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove a user from a list (owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const removeListMember = async (req, res, next) => {
+    try {
+        const { username } = req.params;
+        const list = await findOwnedList(req);
+
+        const member = await User.findOne({ username }).select("_id");
+        if (!member || !list.members.some((id) => id.equals(member._id))) {
+            const err = new Error("User is not a member of this list");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        await List.updateOne(
+            { _id: list._id },
+            { $pull: { members: member._id } }
+        );
+
+        res.status(200).json({
+            status: "success",
+            message: `${username} removed from the list`,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Subscribe to another user's list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const subscribeToList = async (req, res, next) => {
+    try {
+        const list = await findViewableList(req);
+
+        if (list.owner._id.equals(req.user._id)) {
+            const err = new Error("You cannot subscribe to your own list");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const result = await List.updateOne(
+            { _id: list._id },
+            { $addToSet: { subscribers: req.user._id } }
+        );
+        if (result.modifiedCount === 0) {
+            const err = new Error("You are already subscribed to this list");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Subscribed to the list",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unsubscribe from a list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const unsubscribeFromList = async (req, res, next) => {
+    try {
+        const result = await List.updateOne(
+            { _id: req.params.id, subscribers: req.user._id },
+            { $pull: { subscribers: req.user._id } }
+        );
+        if (result.modifiedCount === 0) {
+            const err = new Error("You are not subscribed to this list");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Unsubscribed from the list",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a list's timeline: tweets by its members, newest first, in the same
+ * shape as the home timeline
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getListTweets = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const includeReplies = req.query.includeReplies === "true";
+
+        const list = await findViewableList(req);
+
+        // Leave out blocked (and blocking) accounts, muted tweets and
+        // protected tweets the user may not see
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const mutes = await getActiveMutes(req.user._id);
+
+        const baseQuery = {
+            author: { $in: list.members, $nin: blockedIds },
+            isDeleted: false,
+            ...buildMuteQuery(mutes),
+            ...(await buildVisibilityQuery(req.user)),
+        };
+        if (!includeReplies) {
+            baseQuery.inReplyTo = null;
+        }
+
+        const tweets = await Tweet.find(baseQuery)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate("author", "username name avatar")
+            .populate({
+                path: "quotedTweet",
+                populate: {
+                    path: "author",
+                    select: "username name avatar",
+                },
+            })
+            .populate({
+                path: "inReplyTo",
+                populate: {
+                    path: "author",
+                    select: "username name avatar",
+                },
+            });
+        await hideUnviewableQuotes(req.user, tweets, blockedIds);
+
+        const total = await Tweet.countDocuments(baseQuery);
+
+        const bookmarkedTweetIds = req.user.bookmarks.map((id) =>
+            id.toString()
+        );
+        const tweetsWithBookmarkStatus = tweets.map((tweet) => {
+            const tweetObj = tweet.toObject();
+            tweetObj.bookmarked = bookmarkedTweetIds.includes(
+                tweet._id.toString()
+            );
+            return tweetObj;
+        });
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                tweets: tweetsWithBookmarkStatus,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createList,
+    getMyLists,
+    getUserLists,
+    getList,
+    updateList,
+    deleteList,
+    getListMembers,
+    addListMember,
+    removeListMember,
+    subscribeToList,
+    unsubscribeFromList,
+    getListTweets,
+};
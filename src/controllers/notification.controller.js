@@ -1,4 +1,6 @@
 const Notification = require("../models/notification.model");
+const { getBlockedUserIds } = require("../utils/block.utils");
+const { getActiveMutes } = require("../utils/mute.utils");
 
 /**
  * Get notifications for the authenticated user
@@ -13,8 +15,20 @@ const getNotifications = async (req, res, next) => {
         const limit = parseInt(req.query.limit) || 15; // Default to 15 per page
         const skip = (page - 1) * limit;
 
-        const notifications = await Notification.find({ recipient: userId })
+        // Notifications from blocked (and blocking) or muted accounts are hidden
+        const [blockedIds, mutes] = await Promise.all([
+            getBlockedUserIds(userId),
+            getActiveMutes(userId),
+        ]);
+        const filter = {
+            recipient: userId,
+            sender: { $nin: [...blockedIds, ...mutes.userIds] },
+        };
+
+        const notifications = await Notification.find(filter)
             .populate("sender", "username name avatar") // Populate sender details
+            .populate("securityEvent", "ip userAgent createdAt") // Security alerts
+            .populate("list", "name description") // List additions
             // Optionally populate tweet details if needed, but can be large
             // .populate("tweet", "content")
             .sort({ createdAt: -1 }) // Newest first
@@ -22,9 +36,9 @@ const getNotifications = async (req, res, next) => {
             .limit(limit)
             .lean(); // Use lean for performance
 
-        const total = await Notification.countDocuments({ recipient: userId });
+        const total = await Notification.countDocuments(filter);
         const unreadCount = await Notification.countDocuments({
-            recipient: userId,
+            ...filter,
             read: false,
         });
 
@@ -0,0 +1,730 @@
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const Token = require("../models/token.model");
+const OAuthClient = require("../models/oauthClient.model");
+const {
+    verifyAccessToken,
+    verifyRefreshToken,
+    getTokenExpiry,
+} = require("../utils/jwt.utils");
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeClientSessions,
+} = require("../utils/session.utils");
+const {
+    generateRandomToken,
+    hashToken,
+    createActionToken,
+    consumeActionToken,
+} = require("../utils/token.utils");
+const {
+    createOAuthError,
+    sendOAuthError,
+    generateClientSecret,
+    buildRedirectUrl,
+    parseScopes,
+    verifyPkce,
+    authenticateClient,
+} = require("../utils/oauth.utils");
+const { SCOPES } = require("../utils/scope.utils");
+
+// Lifetime of authorization codes (RFC 6749 recommends at most 10 minutes)
+const AUTHORIZATION_CODE_TTL_MS = 10 * 60 * 1000;
+
+// Fields of an app that its owner may change
+const UPDATABLE_APP_FIELDS = ["name", "description", "website", "redirectUris"];
+
+/**
+ * Validate the parameters of an authorization request (shared by the
+ * consent screen lookup and the user's decision)
+ * @param {Object} params - Query or body parameters
+ * @returns {Promise<Object>} The client, redirect URI, scopes, state and
+ * PKCE challenge
+ * @throws {Error} OAuth error; redirectTo is set when the app may be told
+ */
+const validateAuthorizationRequest = async (params) => {
+    const client =
+        params.client_id &&
+        (await OAuthClient.findOne({ clientId: String(params.client_id) }));
+    if (!client) {
+        throw createOAuthError("invalid_client", "Unknown client_id");
+    }
+
+    // Never redirect to an unregistered URI, even to report an error
+    const redirectUri = params.redirect_uri;
+    if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+        throw createOAuthError(
+            "invalid_request",
+            "redirect_uri is not registered for this app"
+        );
+    }
+
+    const redirectError = (code, description) => {
+        const error = createOAuthError(code, description);
+        error.redirectTo = buildRedirectUrl(redirectUri, {
+            error: code,
+            error_description: description,
+            state: params.state,
+        });
+        return error;
+    };
+
+    if (params.response_type !== "code") {
+        throw redirectError(
+            "unsupported_response_type",
+            "Only response_type=code is supported"
+        );
+    }
+
+    if (
+        params.code_challenge_method !== "S256" ||
+        !/^[A-Za-z0-9\-_]{43}$/.test(params.code_challenge || "")
+    ) {
+        throw redirectError(
+            "invalid_request",
+            "PKCE is required: send a code_challenge with code_challenge_method=S256"
+        );
+    }
+
+    let scopes;
+    try {
+        scopes = parseScopes(params.scope);
+    } catch (error) {
+        throw redirectError(error.oauthError, error.message);
+    }
+
+    return {
+        client,
+        redirectUri,
+        scopes,
+        state: params.state,
+        codeChallenge: params.code_challenge,
+    };
+};
+
+/**
+ * Format issued tokens as an OAuth 2.0 token response
+ * @param {Object} tokens - Access/refresh token pair
+ * @param {String[]} scopes - Scopes granted to the app
+ * @returns {Object} Token response body
+ */
+const formatTokenResponse = (tokens, scopes) => ({
+    access_token: tokens.access,
+    token_type: "Bearer",
+    expires_in: Math.round(
+        (getTokenExpiry(tokens.access).getTime() - Date.now()) / 1000
+    ),
+    refresh_token: tokens.refresh,
+    scope: scopes.join(" "),
+});
+
+// Helper to pick the public fields of an app
+const formatApp = (client) => ({
+    _id: client._id,
+    name: client.name,
+    description: client.description,
+    website: client.website,
+    redirectUris: client.redirectUris,
+    clientId: client.clientId,
+    confidential: client.confidential,
+    createdAt: client.createdAt,
+    updatedAt: client.updatedAt,
+});
+
+/**
+ * Register a third-party app owned by the authenticated user. The client
+ * secret of confidential apps is only returned in this response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createApp = async (req, res, next) => {
+    try {
+        const { name, description, website, redirectUris } = req.body;
+        const confidential = req.body.confidential !== false;
+        const clientSecret = confidential ? generateClientSecret() : null;
+
+        const client = await OAuthClient.create({
+            owner: req.user._id,
+            name,
+            description,
+            website,
+            redirectUris: [...new Set(redirectUris)],
+            clientId: generateRandomToken(16),
+            confidential,
+            ...(clientSecret && { clientSecretHash: hashToken(clientSecret) }),
+        });
+
+        res.status(201).json({
+            status: "success",
+            message: confidential
+                ? "App registered. Copy the client secret now; it will not be shown again."
+                : "App registered.",
+            data: {
+                app: formatApp(client),
+                ...(clientSecret && { clientSecret }),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the apps registered by the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getApps = async (req, res, next) => {
+    try {
+        const clients = await OAuthClient.find({ owner: req.user._id }).sort({
+            createdAt: -1,
+        });
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                apps: clients.map(formatApp),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Helper to load an app owned by the authenticated user
+const findOwnApp = async (req) => {
+    const client = await OAuthClient.findOne({
+        _id: req.params.id,
+        owner: req.user._id,
+    });
+    if (!client) {
+        const err = new Error("App not found");
+        err.statusCode = 404;
+        throw err;
+    }
+    return client;
+};
+
+/**
+ * Get one of the authenticated user's apps
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getApp = async (req, res, next) => {
+    try {
+        const client = await findOwnApp(req);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                app: formatApp(client),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update one of the authenticated user's apps
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const updateApp = async (req, res, next) => {
+    try {
+        const client = await findOwnApp(req);
+
+        UPDATABLE_APP_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                client[field] = req.body[field];
+            }
+        });
+        client.redirectUris = [...new Set(client.redirectUris)];
+        await client.save();
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                app: formatApp(client),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the client secret of a confidential app. The old secret stops
+ * working immediately.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const rotateAppSecret = async (req, res, next) => {
+    try {
+        const client = await findOwnApp(req);
+
+        if (!client.confidential) {
+            const err = new Error("Public apps do not have a client secret");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const clientSecret = generateClientSecret();
+        await OAuthClient.updateOne(
+            { _id: client._id },
+            { clientSecretHash: hashToken(clientSecret) }
+        );
+
+        res.status(200).json({
+            status: "success",
+            message:
+                "Client secret replaced. Copy it now; it will not be shown again.",
+            data: {
+                clientSecret,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete one of the authenticated user's apps, revoking every token issued
+ * to it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteApp = async (req, res, next) => {
+    try {
+        const client = await findOwnApp(req);
+
+        await Promise.all([
+            revokeClientSessions(client._id, "app_deleted"),
+            Token.deleteMany({
+                purpose: "oauth_authorization_code",
+                "data.client": client._id,
+            }),
+        ]);
+        await OAuthClient.deleteOne({ _id: client._id });
+
+        res.status(200).json({
+            status: "success",
+            message: "App deleted successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Look up an authorization request for the consent screen: the app asking
+ * for access and the scopes it wants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAuthorizationRequest = async (req, res) => {
+    try {
+        const { client, redirectUri, scopes } =
+            await validateAuthorizationRequest(req.query);
+
+        // Scopes the user already granted the app in an active session
+        const grantedScopes = await Session.distinct("scopes", {
+            user: req.user._id,
+            client: client._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                app: {
+                    name: client.name,
+                    description: client.description,
+                    website: client.website,
+                    clientId: client.clientId,
+                },
+                redirectUri,
+                scopes: scopes.map((name) => ({
+                    name,
+                    description: SCOPES[name],
+                })),
+                previouslyAuthorized: scopes.every((scope) =>
+                    grantedScopes.includes(scope)
+                ),
+            },
+        });
+    } catch (error) {
+        sendOAuthError(res, error);
+    }
+};
+
+/**
+ * Record the user's decision on the consent screen. Returns the URL to send
+ * the user agent back to, carrying an authorization code or access_denied.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const decideAuthorization = async (req, res) => {
+    try {
+        const { client, redirectUri, scopes, state, codeChallenge } =
+            await validateAuthorizationRequest(req.body);
+
+        if (req.body.approve !== true) {
+            return res.status(200).json({
+                status: "success",
+                data: {
+                    redirectTo: buildRedirectUrl(redirectUri, {
+                        error: "access_denied",
+                        error_description: "The user denied the request",
+                        state,
+                    }),
+                },
+            });
+        }
+
+        const code = await createActionToken(
+            req.user._id,
+            "oauth_authorization_code",
+            AUTHORIZATION_CODE_TTL_MS,
+            { client: client._id, redirectUri, scopes, codeChallenge }
+        );
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                redirectTo: buildRedirectUrl(redirectUri, { code, state }),
+            },
+        });
+    } catch (error) {
+        sendOAuthError(res, error);
+    }
+};
+
+/**
+ * Exchange an authorization code (with its PKCE verifier) for tokens
+ * @param {Object} req - Express request object
+ * @param {Object} client - Authenticated OAuthClient document
+ * @returns {Promise<Object>} The new session and token pair
+ */
+const exchangeAuthorizationCode = async (req, client) => {
+    const { code, redirect_uri: redirectUri, code_verifier } = req.body;
+    if (!code) {
+        throw createOAuthError("invalid_request", "code is required");
+    }
+
+    const authorizationCode = await consumeActionToken(
+        code,
+        "oauth_authorization_code"
+    );
+
+    if (!authorizationCode) {
+        // A code presented twice may have been intercepted: revoke the
+        // tokens it was exchanged for
+        const usedCode = await Token.findOne({
+            tokenHash: hashToken(code),
+            purpose: "oauth_authorization_code",
+            usedAt: { $ne: null },
+        }).lean();
+        if (usedCode?.data?.sessionId) {
+            await revokeSession(usedCode.data.sessionId, "reuse_detected");
+        }
+        throw createOAuthError(
+            "invalid_grant",
+            "Authorization code is invalid, expired or already used"
+        );
+    }
+
+    const { data } = authorizationCode;
+    if (
+        String(data.client) !== String(client._id) ||
+        data.redirectUri !== redirectUri
+    ) {
+        throw createOAuthError(
+            "invalid_grant",
+            "Authorization code was issued to another app or redirect_uri"
+        );
+    }
+
+    if (!verifyPkce(code_verifier, data.codeChallenge)) {
+        throw createOAuthError("invalid_grant", "PKCE verification failed");
+    }
+
+    const user = await User.findById(authorizationCode.user);
+    if (!user || !user.isActive) {
+        throw createOAuthError("invalid_grant", "User not found or inactive");
+    }
+
+    const { session, tokens } = await createSession(user, req, {
+        client: client._id,
+        scopes: data.scopes,
+    });
+    // Remember what the code was exchanged for, in case it is replayed
+    await Token.updateOne(
+        { _id: authorizationCode._id },
+        { "data.sessionId": session._id }
+    );
+
+    return { session, tokens };
+};
+
+/**
+ * Exchange an app's refresh token for a new token pair
+ * @param {Object} req - Express request object
+ * @param {Object} client - Authenticated OAuthClient document
+ * @returns {Promise<Object>} The rotated session and token pair
+ */
+const exchangeRefreshToken = async (req, client) => {
+    if (!req.body.refresh_token) {
+        throw createOAuthError("invalid_request", "refresh_token is required");
+    }
+
+    try {
+        return await rotateSession(req.body.refresh_token, req, {
+            client: client._id,
+        });
+    } catch (error) {
+        if (error.statusCode === 401) {
+            throw createOAuthError("invalid_grant", error.message);
+        }
+        throw error;
+    }
+};
+
+/**
+ * OAuth 2.0 token endpoint (authorization_code and refresh_token grants)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const token = async (req, res) => {
+    // Token responses must never be cached
+    res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+
+    try {
+        const client = await authenticateClient(req);
+
+        let result;
+        switch (req.body.grant_type) {
+            case "authorization_code":
+                result = await exchangeAuthorizationCode(req, client);
+                break;
+            case "refresh_token":
+                result = await exchangeRefreshToken(req, client);
+                break;
+            default:
+                throw createOAuthError(
+                    "unsupported_grant_type",
+                    "Supported grant types: authorization_code, refresh_token"
+                );
+        }
+
+        res.status(200).json(
+            formatTokenResponse(result.tokens, result.session.scopes)
+        );
+    } catch (error) {
+        sendOAuthError(res, error);
+    }
+};
+
+/**
+ * Find the app session a token (access or refresh) belongs to
+ * @param {String} tokenValue - Token presented by the app
+ * @returns {Promise<Object|null>} The decoded token, its type and session
+ */
+const findTokenSession = async (tokenValue) => {
+    let decoded = verifyAccessToken(tokenValue);
+    let tokenType = "access_token";
+    if (!decoded) {
+        decoded = verifyRefreshToken(tokenValue);
+        tokenType = "refresh_token";
+    }
+    if (!decoded?.sid) return null;
+
+    const session = await Session.findById(decoded.sid)
+        .select("+tokenHash")
+        .lean();
+    if (!session || session.revokedAt || !session.client) return null;
+
+    // Only the latest refresh token of a family is valid
+    if (
+        tokenType === "refresh_token" &&
+        session.tokenHash !== hashToken(tokenValue)
+    ) {
+        return null;
+    }
+
+    return { decoded, tokenType, session };
+};
+
+/**
+ * OAuth 2.0 token introspection (RFC 7662). Apps can only introspect
+ * tokens issued to themselves.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const introspect = async (req, res) => {
+    try {
+        const client = await authenticateClient(req);
+
+        const found =
+            req.body.token && (await findTokenSession(req.body.token));
+        const user =
+            found &&
+            String(found.session.client) === String(client._id) &&
+            (await User.findById(found.session.user).select(
+                "username isActive"
+            ));
+
+        if (!user || !user.isActive) {
+            return res.status(200).json({ active: false });
+        }
+
+        res.status(200).json({
+            active: true,
+            scope: (found.session.scopes || []).join(" "),
+            client_id: client.clientId,
+            username: user.username,
+            sub: user._id.toString(),
+            ...(found.tokenType === "access_token" && {
+                token_type: "Bearer",
+            }),
+            exp: found.decoded.exp,
+            iat: found.decoded.iat,
+        });
+    } catch (error) {
+        sendOAuthError(res, error);
+    }
+};
+
+/**
+ * OAuth 2.0 token revocation (RFC 7009). Revoking either token of a pair
+ * ends the whole grant. Unknown tokens are not an error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revoke = async (req, res) => {
+    try {
+        const client = await authenticateClient(req);
+
+        const found =
+            req.body.token && (await findTokenSession(req.body.token));
+        if (found && String(found.session.client) === String(client._id)) {
+            await revokeSession(found.session._id, "revoked_by_client");
+        }
+
+        res.status(200).json({});
+    } catch (error) {
+        sendOAuthError(res, error);
+    }
+};
+
+/**
+ * List the apps the authenticated user has authorized, with the scopes
+ * granted to each
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getAuthorizations = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            client: { $ne: null },
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .select("client scopes createdAt lastUsedAt")
+            .populate("client", "name description website clientId")
+            .lean();
+
+        // An app may hold several grants; show one entry per app
+        const byClient = new Map();
+        sessions
+            .filter((session) => session.client)
+            .forEach((session) => {
+                const key = session.client._id.toString();
+                const entry = byClient.get(key) || {
+                    app: session.client,
+                    scopes: new Set(),
+                    authorizedAt: session.createdAt,
+                    lastUsedAt: session.lastUsedAt,
+                };
+                (session.scopes || []).forEach((scope) =>
+                    entry.scopes.add(scope)
+                );
+                if (session.createdAt < entry.authorizedAt) {
+                    entry.authorizedAt = session.createdAt;
+                }
+                if (session.lastUsedAt > entry.lastUsedAt) {
+                    entry.lastUsedAt = session.lastUsedAt;
+                }
+                byClient.set(key, entry);
+            });
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                authorizations: [...byClient.values()].map((entry) => ({
+                    ...entry,
+                    scopes: [...entry.scopes],
+                })),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke an app's access to the authenticated user's account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const revokeAuthorization = async (req, res, next) => {
+    try {
+        const revokedCount = await revokeAllSessions(
+            req.user._id,
+            "revoked_by_user",
+            { client: req.params.appId }
+        );
+
+        if (revokedCount === 0) {
+            const err = new Error("Authorization not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "App access revoked successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createApp,
+    getApps,
+    getApp,
+    updateApp,
+    rotateAppSecret,
+    deleteApp,
+    getAuthorizationRequest,
+    decideAuthorization,
+    token,
+    introspect,
+    revoke,
+    getAuthorizations,
+    revokeAuthorization,
+};
@@ -1,5 +1,11 @@
 const User = require("../models/user.model");
 const Tweet = require("../models/tweet.model");
+const { getBlockedUserIds } = require("../utils/block.utils");
+const { getActiveMutes, buildMuteQuery } = require("../utils/mute.utils");
+const {
+    buildVisibilityQuery,
+    hideUnviewableQuotes,
+} = require("../utils/visibility.utils");
 
 /**
  * Search for users, tweets, hashtags, or all
@@ -21,12 +27,30 @@ const search = async (req, res) => {
         let results = {};
         let total = 0;
 
+        // Blocked (and blocking) accounts and their tweets are left out, as
+        // are muted tweets
+        const blockedIds = req.user
+            ? await getBlockedUserIds(req.user._id)
+            : [];
+        const muteQuery = req.user
+            ? buildMuteQuery(await getActiveMutes(req.user._id))
+            : {};
+        const userQuery = { $text: { $search: q }, _id: { $nin: blockedIds } };
+        // Tweets the user may see, for tweet results and hashtags alike
+        const visibleTweetQuery = {
+            isDeleted: false,
+            author: { $nin: blockedIds },
+            ...muteQuery,
+            // Protected accounts' tweets are for their followers only
+            ...(await buildVisibilityQuery(req.user)),
+        };
+        const tweetQuery = { $text: { $search: q }, ...visibleTweetQuery };
+
         // Search users
         if (type === "users" || type === "all") {
-            const users = await User.find(
-                { $text: { $search: q } },
-                { score: { $meta: "textScore" } }
-            )
+            const users = await User.find(userQuery, {
+                score: { $meta: "textScore" },
+            })
                 .sort({ score: { $meta: "textScore" } })
                 .skip(type === "users" ? skip : 0)
                 .limit(type === "users" ? limit : 5)
@@ -35,19 +59,15 @@ const search = async (req, res) => {
             results.users = users;
 
             if (type === "users") {
-                total = await User.countDocuments({ $text: { $search: q } });
+                total = await User.countDocuments(userQuery);
             }
         }
 
         // Search tweets
         if (type === "tweets" || type === "all") {
-            const tweets = await Tweet.find(
-                {
-                    $text: { $search: q },
-                    isDeleted: false,
-                },
-                { score: { $meta: "textScore" } }
-            )
+            const tweets = await Tweet.find(tweetQuery, {
+                score: { $meta: "textScore" },
+            })
                 .sort({ score: { $meta: "textScore" } })
                 .skip(type === "tweets" ? skip : 0)
                 .limit(type === "tweets" ? limit : 5)
@@ -60,13 +80,14 @@ const search = async (req, res) => {
                     },
                 });
 
-            results.tweets = tweets;
+            results.tweets = await hideUnviewableQuotes(
+                req.user,
+                tweets,
+                blockedIds
+            );
 
             if (type === "tweets") {
-                total = await Tweet.countDocuments({
-                    $text: { $search: q },
-                    isDeleted: false,
-                });
+                total = await Tweet.countDocuments(tweetQuery);
             }
         }
 
@@ -79,6 +100,7 @@ const search = async (req, res) => {
                 {
                     $match: {
                         hashtags: { $regex: hashtagQuery, $options: "i" },
+                        ...visibleTweetQuery,
                     },
                 },
                 { $unwind: "$hashtags" },
@@ -102,6 +124,7 @@ const search = async (req, res) => {
                     {
                         $match: {
                             hashtags: { $regex: hashtagQuery, $options: "i" },
+                            ...visibleTweetQuery,
                         },
                     },
                     { $unwind: "$hashtags" },
@@ -123,13 +146,8 @@ const search = async (req, res) => {
 
         // For "all" type, calculate total differently
         if (type === "all") {
-            const userCount = await User.countDocuments({
-                $text: { $search: q },
-            });
-            const tweetCount = await Tweet.countDocuments({
-                $text: { $search: q },
-                isDeleted: false,
-            });
+            const userCount = await User.countDocuments(userQuery);
+            const tweetCount = await Tweet.countDocuments(tweetQuery);
 
             // Count hashtags
             const hashtagQuery = q.startsWith("#") ? q.substring(1) : q;
@@ -137,6 +155,7 @@ const search = async (req, res) => {
                 {
                     $match: {
                         hashtags: { $regex: hashtagQuery, $options: "i" },
+                        ...visibleTweetQuery,
                     },
                 },
                 { $unwind: "$hashtags" },
@@ -1,5 +1,12 @@
 const Tweet = require("../models/tweet.model");
 const User = require("../models/user.model");
+const { getActiveMutes, buildMuteQuery } = require("../utils/mute.utils");
+const { getBlockedUserIds } = require("../utils/block.utils");
+const {
+    buildVisibilityQuery,
+    hideUnviewableQuotes,
+} = require("../utils/visibility.utils");
+const { rankRecommendedUsers } = require("../utils/recommendation.utils");
 
 /**
  * Get trending hashtags from the last 7 days
@@ -19,6 +26,8 @@ const getTrendingHashtags = async (req, res) => {
                 $match: {
                     createdAt: { $gte: oneWeekAgo },
                     isDeleted: false,
+                    // Protected tweets don't count towards trends
+                    isPublic: { $ne: false },
                     hashtags: { $exists: true, $ne: [] },
                 },
             },
@@ -84,10 +93,22 @@ const getPopularTweets = async (req, res) => {
         // Get tweets with high engagement from the last 7 days
         const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
-        const popularTweets = await Tweet.find({
+        // Leave out blocked (and blocking) accounts and what the user muted
+        const blockedIds = req.user
+            ? await getBlockedUserIds(req.user._id)
+            : [];
+        const muteQuery = req.user
+            ? buildMuteQuery(await getActiveMutes(req.user._id))
+            : {};
+        const query = {
             createdAt: { $gte: oneWeekAgo },
             isDeleted: false,
-        })
+            author: { $nin: blockedIds },
+            ...muteQuery,
+            ...(await buildVisibilityQuery(req.user)),
+        };
+
+        const popularTweets = await Tweet.find(query)
             .sort({
                 "engagementCount.likes": -1,
                 "engagementCount.retweets": -1,
@@ -104,11 +125,9 @@ const getPopularTweets = async (req, res) => {
                     select: "username name avatar",
                 },
             });
+        await hideUnviewableQuotes(req.user, popularTweets, blockedIds);
 
-        const total = await Tweet.countDocuments({
-            createdAt: { $gte: oneWeekAgo },
-            isDeleted: false,
-        });
+        const total = await Tweet.countDocuments(query);
 
         // Add bookmark status if user is authenticated
         if (req.user) {
@@ -182,10 +201,22 @@ const getTweetsByHashtag = async (req, res) => {
             ? hashtag.substring(1)
             : hashtag;
 
-        const tweets = await Tweet.find({
+        // Leave out blocked (and blocking) accounts and what the user muted
+        const blockedIds = req.user
+            ? await getBlockedUserIds(req.user._id)
+            : [];
+        const muteQuery = req.user
+            ? buildMuteQuery(await getActiveMutes(req.user._id))
+            : {};
+        const query = {
             hashtags: cleanHashtag.toLowerCase(),
             isDeleted: false,
-        })
+            author: { $nin: blockedIds },
+            ...muteQuery,
+            ...(await buildVisibilityQuery(req.user)),
+        };
+
+        const tweets = await Tweet.find(query)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
@@ -197,11 +228,9 @@ const getTweetsByHashtag = async (req, res) => {
                     select: "username name avatar",
                 },
             });
+        await hideUnviewableQuotes(req.user, tweets, blockedIds);
 
-        const total = await Tweet.countDocuments({
-            hashtags: cleanHashtag.toLowerCase(),
-            isDeleted: false,
-        });
+        const total = await Tweet.countDocuments(query);
 
         // Add bookmark status if user is authenticated
         if (req.user) {
@@ -263,30 +292,11 @@ const getRecommendedUsers = async (req, res) => {
     try {
         const { limit = 5 } = req.query;
 
-        // Basic recommendation algorithm - users with most followers
-        // In a real app, this would use more complex signals
-        let recommendedUsers = await User.find({})
-            .sort({ followerCount: -1 })
-            .limit(parseInt(limit) + 50) // Fetch more to filter out followed users
-            .select("username name avatar bio followerCount");
-
-        // If user is logged in, filter out users they already follow and themselves
-        if (req.user) {
-            const currentUser = await User.findById(req.user._id);
-            const followingIds = currentUser.following.map((id) =>
-                id.toString()
-            );
-
-            // Filter out users that the current user already follows and the current user
-            recommendedUsers = recommendedUsers.filter(
-                (user) =>
-                    !followingIds.includes(user._id.toString()) &&
-                    user._id.toString() !== req.user._id.toString()
-            );
-        }
-
-        // Return only the requested number of users
-        recommendedUsers = recommendedUsers.slice(0, parseInt(limit));
+        // Graph-based suggestions for signed-in users, each with a reason
+        const recommendedUsers = (await rankRecommendedUsers(req.user)).slice(
+            0,
+            parseInt(limit)
+        );
 
         res.status(200).json({
             status: "success",
@@ -2,6 +2,34 @@ const Tweet = require("../models/tweet.model");
 const User = require("../models/user.model");
 const Notification = require("../models/notification.model"); // Import Notification model
 const { getIoInstance } = require("../socketHandler"); // Import Socket.IO instance getter
+const { getBlockedUserIds, assertNotBlocked } = require("../utils/block.utils");
+const {
+    getActiveMutes,
+    buildMuteQuery,
+    isNotificationMuted,
+    muteTarget,
+    unmuteTarget,
+    formatMute,
+} = require("../utils/mute.utils");
+const {
+    buildVisibilityQuery,
+    canViewTweet,
+    hideUnviewableQuotes,
+} = require("../utils/visibility.utils");
+const {
+    getFollowerIds,
+    iterateFollowingIds,
+} = require("../utils/follow.utils");
+
+// How many followed accounts each timeline query covers, so no query
+// matches every account a user follows
+const TIMELINE_BATCH_SIZE = 500;
+
+// Helper to tell whether a tweet's (populated) author is one of the given users
+const isAuthoredByAny = (tweet, userIds) => {
+    const authorId = tweet.author?._id;
+    return Boolean(authorId) && userIds.some((id) => id.equals(authorId));
+};
 
 /**
  * Create a new tweet
@@ -14,6 +42,34 @@ const createTweet = async (req, res, next) => {
         const { content, media = [], quotedTweetId, inReplyToId } = req.body;
         const currentUser = req.user;
 
+        // Protected tweets can only be replied to or quoted by followers,
+        // and replies, quotes and mentions never cross a block
+        const blockedIds = await getBlockedUserIds(currentUser._id);
+        const targetTweetIds = [inReplyToId, quotedTweetId].filter(Boolean);
+        const targetTweets =
+            targetTweetIds.length > 0
+                ? await Tweet.find({ _id: { $in: targetTweetIds } })
+                      .select("author isPublic")
+                      .lean()
+                : [];
+        const visible = await Promise.all(
+            targetTweets.map((target) => canViewTweet(currentUser, target))
+        );
+        if (visible.includes(false)) {
+            const err = new Error("Tweet not found");
+            err.statusCode = 404;
+            throw err;
+        }
+        if (
+            targetTweets.some((target) =>
+                blockedIds.some((id) => id.equals(target.author))
+            )
+        ) {
+            const err = new Error("You cannot interact with this account");
+            err.statusCode = 403;
+            throw err;
+        }
+
         // Create the tweet object
         let tweet = new Tweet({
             content,
@@ -21,11 +77,17 @@ const createTweet = async (req, res, next) => {
             media,
             quotedTweet: quotedTweetId || null,
             inReplyTo: inReplyToId || null,
+            // Tweets of protected accounts are for followers only
+            isPublic: !currentUser.isProtected,
             // Mentions will be populated by the pre-save hook
         });
 
         // Save the tweet (pre-save hook runs here)
         await tweet.save();
+        await User.updateOne(
+            { _id: currentUser._id },
+            { $inc: { tweetsCount: 1 } }
+        );
 
         // Re-fetch the tweet to ensure we have the populated mentions array
         // (Alternatively, the hook could potentially attach validated users to `this`)
@@ -54,10 +116,15 @@ const createTweet = async (req, res, next) => {
             }
             updatePromises.push(parentTweet); // Add promise
         }
-        // Create Reply Notification (if applicable and not replying to self)
+        // Create Reply Notification (if applicable, not replying to self and not muted)
         if (
             parentTweetAuthorId &&
-            parentTweetAuthorId.toString() !== currentUser._id.toString()
+            parentTweetAuthorId.toString() !== currentUser._id.toString() &&
+            !(await isNotificationMuted(
+                parentTweetAuthorId,
+                currentUser._id,
+                tweet
+            ))
         ) {
             try {
                 const snippet =
@@ -109,10 +176,15 @@ const createTweet = async (req, res, next) => {
             }
             updatePromises.push(quotedTweet); // Add promise
 
-            // Create Quote Notification (if applicable and not quoting self)
+            // Create Quote Notification (if applicable, not quoting self and not muted)
             if (
                 quotedTweetAuthorId &&
-                quotedTweetAuthorId.toString() !== currentUser._id.toString()
+                quotedTweetAuthorId.toString() !== currentUser._id.toString() &&
+                !(await isNotificationMuted(
+                    quotedTweetAuthorId,
+                    currentUser._id,
+                    tweet
+                ))
             ) {
                 try {
                     const snippet =
@@ -166,6 +238,18 @@ const createTweet = async (req, res, next) => {
                     ) {
                         return { status: "skipped", reason: "self-mention" };
                     }
+                    if (blockedIds.some((id) => id.equals(mentionedUserId))) {
+                        return { status: "skipped", reason: "blocked" };
+                    }
+                    if (
+                        await isNotificationMuted(
+                            mentionedUserId,
+                            currentUser._id,
+                            tweet
+                        )
+                    ) {
+                        return { status: "skipped", reason: "muted" };
+                    }
 
                     try {
                         const snippet =
@@ -229,6 +313,7 @@ const createTweet = async (req, res, next) => {
                     $match: {
                         createdAt: { $gte: oneWeekAgo },
                         isDeleted: false,
+                        isPublic: { $ne: false },
                         hashtags: { $exists: true, $ne: [] },
                     },
                 },
@@ -280,8 +365,16 @@ const createTweet = async (req, res, next) => {
         // --- Emit Socket.IO Event ---
         try {
             const io = getIoInstance();
-            // Emit to all connected clients initially
-            io.emit("tweet:new", { tweet: populatedTweetForResponse });
+            if (populatedTweetForResponse.isPublic === false) {
+                // Protected tweets only go to the author and their followers
+                const followerIds = await getFollowerIds(currentUser._id);
+                io.to(
+                    [currentUser._id, ...followerIds].map((id) => id.toString())
+                ).emit("tweet:new", { tweet: populatedTweetForResponse });
+            } else {
+                // Emit to all connected clients initially
+                io.emit("tweet:new", { tweet: populatedTweetForResponse });
+            }
             console.log(
                 `Socket event tweet:new emitted for tweet ${populatedTweetForResponse._id}`
             );
@@ -332,7 +425,17 @@ const getTweet = async (req, res) => {
                 },
             });
 
-        if (!tweet || tweet.isDeleted) {
+        // Tweets of blocked (and blocking) accounts are hidden
+        const blockedIds = req.user
+            ? await getBlockedUserIds(req.user._id)
+            : [];
+
+        if (
+            !tweet ||
+            tweet.isDeleted ||
+            !(await canViewTweet(req.user, tweet)) ||
+            isAuthoredByAny(tweet, blockedIds)
+        ) {
             return res.status(404).json({
                 status: "error",
                 message: "Tweet not found",
@@ -346,6 +449,14 @@ const getTweet = async (req, res) => {
 
         // Check if user is authenticated and has bookmarked this tweet
         let tweetResponse = tweet.toObject();
+        if (
+            tweet.inReplyTo &&
+            (!(await canViewTweet(req.user, tweet.inReplyTo)) ||
+                isAuthoredByAny(tweet.inReplyTo, blockedIds))
+        ) {
+            tweetResponse.inReplyTo = tweet.inReplyTo._id;
+        }
+        await hideUnviewableQuotes(req.user, [tweetResponse], blockedIds);
         if (req.user) {
             const user = await User.findById(req.user._id);
             tweetResponse.bookmarked = user.bookmarks.includes(tweet._id);
@@ -395,18 +506,32 @@ const getTweetThread = async (req, res) => {
                 },
             });
 
-        if (!tweet || tweet.isDeleted) {
+        // Tweets of blocked (and blocking) accounts are hidden
+        const blockedIds = req.user
+            ? await getBlockedUserIds(req.user._id)
+            : [];
+
+        if (
+            !tweet ||
+            tweet.isDeleted ||
+            !(await canViewTweet(req.user, tweet)) ||
+            isAuthoredByAny(tweet, blockedIds)
+        ) {
             return res.status(404).json({
                 status: "error",
                 message: "Tweet not found",
             });
         }
 
-        // Get replies to this tweet
-        const replies = await Tweet.find({
+        const repliesQuery = {
             inReplyTo: id,
             isDeleted: false,
-        })
+            author: { $nin: blockedIds },
+            ...(await buildVisibilityQuery(req.user)),
+        };
+
+        // Get replies to this tweet
+        const replies = await Tweet.find(repliesQuery)
             .sort({ createdAt: 1 }) // Oldest first for a conversation
             .skip(skip)
             .limit(limit)
@@ -427,15 +552,32 @@ const getTweetThread = async (req, res) => {
             });
 
         // Get the total count for pagination
-        const total = await Tweet.countDocuments({
-            inReplyTo: id,
-            isDeleted: false,
-        });
+        const total = await Tweet.countDocuments(repliesQuery);
 
         // Add bookmarked status if user is authenticated
         let tweetResponse = tweet.toObject();
         let repliesResponse = replies.map((reply) => reply.toObject());
         let parentTweetResponse = null;
+        await hideUnviewableQuotes(
+            req.user,
+            [tweetResponse, ...repliesResponse],
+            blockedIds
+        );
+
+        // Leave out a parent tweet the user may not see or written by a
+        // blocked account
+        let parentTweet =
+            tweet.inReplyTo && typeof tweet.inReplyTo === "object"
+                ? tweet.inReplyTo
+                : null;
+        if (
+            parentTweet &&
+            (!(await canViewTweet(req.user, parentTweet)) ||
+                isAuthoredByAny(parentTweet, blockedIds))
+        ) {
+            tweetResponse.inReplyTo = parentTweet._id;
+            parentTweet = null;
+        }
 
         if (req.user) {
             const user = await User.findById(req.user._id);
@@ -457,14 +599,14 @@ const getTweetThread = async (req, res) => {
             });
 
             // Check if parent tweet (if exists) is bookmarked
-            if (tweet.inReplyTo && typeof tweet.inReplyTo === "object") {
-                parentTweetResponse = tweet.inReplyTo.toObject();
+            if (parentTweet) {
+                parentTweetResponse = parentTweet.toObject();
                 parentTweetResponse.bookmarked = bookmarkedTweetIds.includes(
                     parentTweetResponse._id.toString()
                 );
             }
-        } else if (tweet.inReplyTo && typeof tweet.inReplyTo === "object") {
-            parentTweetResponse = tweet.inReplyTo.toObject();
+        } else if (parentTweet) {
+            parentTweetResponse = parentTweet.toObject();
         }
 
         // Increment impressions
@@ -520,8 +662,23 @@ const deleteTweet = async (req, res) => {
             });
         }
 
-        // Soft delete
-        await Tweet.findByIdAndUpdate(id, { isDeleted: true });
+        // Soft delete; the counter only changes if this request deleted it
+        const deleted = await Tweet.findOneAndUpdate(
+            { _id: id, isDeleted: false },
+            { isDeleted: true }
+        );
+        if (deleted) {
+            await User.updateOne(
+                { _id: tweet.author },
+                { $inc: { tweetsCount: -1 } }
+            );
+        }
+
+        // A deleted tweet no longer stays pinned
+        await User.updateOne(
+            { _id: tweet.author, pinnedTweet: tweet._id },
+            { $set: { pinnedTweet: null } }
+        );
 
         res.status(200).json({
             status: "success",
@@ -547,12 +704,18 @@ const likeTweet = async (req, res, next) => {
 
         const tweet = await Tweet.findById(id);
 
-        if (!tweet || tweet.isDeleted) {
+        if (
+            !tweet ||
+            tweet.isDeleted ||
+            !(await canViewTweet(currentUser, tweet))
+        ) {
             const err = new Error("Tweet not found");
             err.statusCode = 404;
             throw err;
         }
 
+        await assertNotBlocked(currentUser._id, tweet.author);
+
         // Check if user has already liked
         if (tweet.likes.includes(currentUser._id)) {
             const err = new Error("You have already liked this tweet");
@@ -571,8 +734,11 @@ const likeTweet = async (req, res, next) => {
             { new: true } // Return the updated document
         ).lean(); // Use lean() here to get plain object for snippet
 
-        // --- Create Notification (only if not liking own tweet) ---
-        if (updatedTweet.author.toString() !== currentUser._id.toString()) {
+        // --- Create Notification (only if not liking own tweet and not muted) ---
+        if (
+            updatedTweet.author.toString() !== currentUser._id.toString() &&
+            !(await isNotificationMuted(updatedTweet.author, currentUser._id))
+        ) {
             try {
                 // Create snippet from the liked tweet's content
                 const snippet =
@@ -679,12 +845,18 @@ const retweetTweet = async (req, res, next) => {
 
         const tweet = await Tweet.findById(id);
 
-        if (!tweet || tweet.isDeleted) {
+        if (
+            !tweet ||
+            tweet.isDeleted ||
+            !(await canViewTweet(currentUser, tweet))
+        ) {
             const err = new Error("Tweet not found");
             err.statusCode = 404;
             throw err;
         }
 
+        await assertNotBlocked(currentUser._id, tweet.author);
+
         if (tweet.retweets.includes(currentUser._id)) {
             const err = new Error("You have already retweeted this tweet");
             err.statusCode = 400;
@@ -700,7 +872,10 @@ const retweetTweet = async (req, res, next) => {
             { new: true }
         ).lean();
 
-        if (updatedTweet.author.toString() !== currentUser._id.toString()) {
+        if (
+            updatedTweet.author.toString() !== currentUser._id.toString() &&
+            !(await isNotificationMuted(updatedTweet.author, currentUser._id))
+        ) {
             try {
                 const snippet =
                     updatedTweet.content?.substring(0, 100) +
@@ -800,14 +975,14 @@ const getTimeline = async (req, res) => {
         const skip = (page - 1) * limit;
         const includeReplies = req.query.includeReplies === "true";
 
-        // Get users the authenticated user is following
-        const following = req.user.following;
-        following.push(req.user._id); // Include user's own tweets
+        // Leave out blocked (and blocking) accounts and muted tweets
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const mutes = await getActiveMutes(req.user._id);
 
         // Base query
         const baseQuery = {
-            author: { $in: following },
             isDeleted: false,
+            ...buildMuteQuery(mutes),
         };
 
         // If we should exclude replies, add that condition
@@ -815,29 +990,70 @@ const getTimeline = async (req, res) => {
             baseQuery.inReplyTo = null;
         }
 
-        // Get tweets from followed users and user's own tweets
-        const tweets = await Tweet.find(baseQuery)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .populate("author", "username name avatar")
-            .populate({
-                path: "quotedTweet",
-                populate: {
-                    path: "author",
-                    select: "username name avatar",
-                },
-            })
-            .populate({
-                path: "inReplyTo",
-                populate: {
-                    path: "author",
-                    select: "username name avatar",
-                },
-            });
+        // The user's own tweets and those of followed users, read per batch
+        // of followed accounts. The page is among the newest skip + limit
+        // tweets of the batches, which are merged as they come in.
+        const windowSize = skip + limit;
+        let newest = [];
+        let total = 0;
+        const addBatch = async (authorIds) => {
+            const batchQuery = {
+                ...baseQuery,
+                author: { $in: authorIds, $nin: blockedIds },
+            };
+            const [batchTweets, batchTotal] = await Promise.all([
+                Tweet.find(batchQuery)
+                    .sort({ createdAt: -1, _id: -1 })
+                    .limit(windowSize)
+                    .select("createdAt")
+                    .lean(),
+                Tweet.countDocuments(batchQuery),
+            ]);
+            total += batchTotal;
+            newest = [...newest, ...batchTweets]
+                .sort(
+                    (a, b) =>
+                        b.createdAt - a.createdAt ||
+                        b._id.toString().localeCompare(a._id.toString())
+                )
+                .slice(0, windowSize);
+        };
 
-        // Get total count for pagination
-        const total = await Tweet.countDocuments(baseQuery);
+        await addBatch([req.user._id]);
+        for await (const followingIds of iterateFollowingIds(
+            req.user._id,
+            TIMELINE_BATCH_SIZE
+        )) {
+            await addBatch(followingIds);
+        }
+
+        // Load the page's tweets, back in timeline order
+        const pageIds = newest.slice(skip).map((tweet) => tweet._id);
+        const order = new Map(
+            pageIds.map((id, index) => [id.toString(), index])
+        );
+        const tweets = (
+            await Tweet.find({ _id: { $in: pageIds } })
+                .populate("author", "username name avatar")
+                .populate({
+                    path: "quotedTweet",
+                    populate: {
+                        path: "author",
+                        select: "username name avatar",
+                    },
+                })
+                .populate({
+                    path: "inReplyTo",
+                    populate: {
+                        path: "author",
+                        select: "username name avatar",
+                    },
+                })
+        ).sort(
+            (a, b) => order.get(a._id.toString()) - order.get(b._id.toString())
+        );
+
+        await hideUnviewableQuotes(req.user, tweets, blockedIds);
 
         // Get user's bookmarks to check if tweets are bookmarked
         const user = await User.findById(req.user._id);
@@ -896,7 +1112,11 @@ const getUserLikedTweets = async (req, res) => {
         // Get tweets that the user has liked
         // First get the IDs of tweets user liked
         const likedTweetIds = await Tweet.find(
-            { likes: user._id, isDeleted: false },
+            {
+                likes: user._id,
+                isDeleted: false,
+                ...(await buildVisibilityQuery(req.user)),
+            },
             "_id"
         ).lean();
 
@@ -917,6 +1137,8 @@ const getUserLikedTweets = async (req, res) => {
                 },
             });
 
+        await hideUnviewableQuotes(req.user, tweets);
+
         // Get total count for pagination
         const total = likedTweetIds.length;
 
@@ -968,6 +1190,8 @@ const getUserTweets = async (req, res) => {
             isDeleted: false,
             // If there's a inReplyTo field, it's a reply, not a tweet
             inReplyTo: null,
+            // Protected accounts' tweets are for their followers only
+            ...(await buildVisibilityQuery(req.user)),
         };
 
         // If mediaOnly is true, only get tweets with media
@@ -975,27 +1199,60 @@ const getUserTweets = async (req, res) => {
             query["media.0"] = { $exists: true };
         }
 
-        // Get user's tweets
-        const tweets = await Tweet.find(query)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .populate("author", "username name avatar")
-            .populate({
-                path: "quotedTweet",
-                populate: {
-                    path: "author",
-                    select: "username name avatar",
-                },
-            });
+        // The pinned tweet (if it belongs in this list) comes first, so the
+        // other tweets shift back by one
+        const pinnedTweet = user.pinnedTweet
+            ? await Tweet.findOne({ ...query, _id: user.pinnedTweet })
+                  .populate("author", "username name avatar")
+                  .populate({
+                      path: "quotedTweet",
+                      populate: {
+                          path: "author",
+                          select: "username name avatar",
+                      },
+                  })
+            : null;
+        const offset = pinnedTweet ? 1 : 0;
+        if (pinnedTweet) {
+            query._id = { $ne: pinnedTweet._id };
+        }
+        const pageSkip = page === 1 ? 0 : skip - offset;
+        const pageLimit = page === 1 ? limit - offset : limit;
+
+        // Get user's tweets (limit(0) would mean no limit)
+        const tweets =
+            pageLimit > 0
+                ? await Tweet.find(query)
+                      .sort({ createdAt: -1 })
+                      .skip(pageSkip)
+                      .limit(pageLimit)
+                      .populate("author", "username name avatar")
+                      .populate({
+                          path: "quotedTweet",
+                          populate: {
+                              path: "author",
+                              select: "username name avatar",
+                          },
+                      })
+                : [];
+        await hideUnviewableQuotes(
+            req.user,
+            pinnedTweet ? [pinnedTweet, ...tweets] : tweets
+        );
 
         // Get total count for pagination
-        const total = await Tweet.countDocuments(query);
+        const total = (await Tweet.countDocuments(query)) + offset;
 
         res.status(200).json({
             status: "success",
             data: {
-                tweets,
+                tweets:
+                    pinnedTweet && page === 1
+                        ? [
+                              { ...pinnedTweet.toObject(), pinned: true },
+                              ...tweets,
+                          ]
+                        : tweets,
                 pagination: {
                     page,
                     limit,
@@ -1033,12 +1290,16 @@ const getUserReplies = async (req, res) => {
             });
         }
 
-        // Get user's replies
-        const tweets = await Tweet.find({
+        const query = {
             author: user._id,
             isDeleted: false,
             inReplyTo: { $ne: null }, // Must have inReplyTo field
-        })
+            // Protected accounts' replies are for their followers only
+            ...(await buildVisibilityQuery(req.user)),
+        };
+
+        // Get user's replies
+        const tweets = await Tweet.find(query)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
@@ -1052,11 +1313,7 @@ const getUserReplies = async (req, res) => {
             });
 
         // Get total count for pagination
-        const total = await Tweet.countDocuments({
-            author: user._id,
-            isDeleted: false,
-            inReplyTo: { $ne: null },
-        });
+        const total = await Tweet.countDocuments(query);
 
         res.status(200).json({
             status: "success",
@@ -1090,7 +1347,7 @@ const bookmarkTweet = async (req, res) => {
 
         // Verify the tweet exists and is not deleted
         const tweet = await Tweet.findOne({ _id: id, isDeleted: false });
-        if (!tweet) {
+        if (!tweet || !(await canViewTweet(req.user, tweet))) {
             return res.status(404).json({
                 status: "error",
                 message: "Tweet not found",
@@ -1161,6 +1418,149 @@ const unbookmarkTweet = async (req, res) => {
     }
 };
 
+/**
+ * Pin one of the current user's tweets to their profile, replacing any
+ * previously pinned tweet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const pinTweet = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const tweet = await Tweet.findOne({ _id: id, isDeleted: false });
+        if (!tweet) {
+            const err = new Error("Tweet not found");
+            err.statusCode = 404;
+            throw err;
+        }
+        if (!tweet.author.equals(req.user._id)) {
+            const err = new Error("You can only pin your own tweets");
+            err.statusCode = 403;
+            throw err;
+        }
+        if (tweet.inReplyTo) {
+            const err = new Error("Replies cannot be pinned");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        await User.updateOne(
+            { _id: req.user._id },
+            { $set: { pinnedTweet: tweet._id } }
+        );
+
+        res.status(200).json({
+            status: "success",
+            message: "Tweet pinned to your profile",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unpin the current user's pinned tweet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const unpinTweet = async (req, res, next) => {
+    try {
+        const result = await User.updateOne(
+            { _id: req.user._id, pinnedTweet: req.params.id },
+            { $set: { pinnedTweet: null } }
+        );
+        if (result.modifiedCount === 0) {
+            const err = new Error("This tweet is not pinned");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Tweet unpinned",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Mute the conversation a tweet belongs to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const muteConversation = async (req, res, next) => {
+    try {
+        const tweet = await Tweet.findOne({
+            _id: req.params.id,
+            isDeleted: false,
+        })
+            .select("author conversation isPublic")
+            .lean();
+        if (!tweet || !(await canViewTweet(req.user, tweet))) {
+            const err = new Error("Tweet not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        const mute = await muteTarget(
+            req.user._id,
+            "conversation",
+            tweet.conversation || tweet._id,
+            req.body.expiresInDays
+        );
+
+        res.status(200).json({
+            status: "success",
+            message: "Conversation muted",
+            data: { mute: formatMute(mute) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unmute the conversation a tweet belongs to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const unmuteConversation = async (req, res, next) => {
+    try {
+        const tweet = await Tweet.findById(req.params.id)
+            .select("conversation")
+            .lean();
+        if (!tweet) {
+            const err = new Error("Tweet not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        const removed = await unmuteTarget(
+            req.user._id,
+            "conversation",
+            tweet.conversation || tweet._id
+        );
+        if (!removed) {
+            const err = new Error("You have not muted this conversation");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Conversation unmuted",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     createTweet,
     getTweet,
@@ -1176,4 +1576,8 @@ module.exports = {
     getUserLikedTweets,
     bookmarkTweet,
     unbookmarkTweet,
+    pinTweet,
+    unpinTweet,
+    muteConversation,
+    unmuteConversation,
 };
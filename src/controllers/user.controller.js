@@ -2,6 +2,75 @@ const User = require("../models/user.model");
 const Tweet = require("../models/tweet.model");
 const Notification = require("../models/notification.model");
 const { getIoInstance } = require("../socketHandler");
+const Block = require("../models/block.model");
+const Mute = require("../models/mute.model");
+const Follow = require("../models/follow.model");
+const FollowRequest = require("../models/followRequest.model");
+const {
+    getBlockedUserIds,
+    isBlockedEitherWay,
+    assertNotBlocked,
+    createBlock,
+    removeBlock,
+} = require("../utils/block.utils");
+const {
+    normalizeKeyword,
+    normalizeHashtag,
+    muteTarget,
+    unmuteTarget,
+    isNotificationMuted,
+    formatMute,
+} = require("../utils/mute.utils");
+const {
+    addFollow,
+    removeFollow,
+    isFollowing,
+    getFollowedBySummary,
+    createFollowRequest,
+    cancelFollowRequest,
+    acceptFollowRequest,
+    applyAccountProtection,
+} = require("../utils/follow.utils");
+const {
+    buildVisibilityQuery,
+    hideUnviewableQuotes,
+} = require("../utils/visibility.utils");
+const { getRelationships } = require("../utils/relationship.utils");
+const {
+    rankRecommendedUsers,
+    dismissRecommendation,
+} = require("../utils/recommendation.utils");
+const { getSimilarAccounts } = require("../utils/similarAccounts.utils");
+
+// Helper to notify a protected account of a new follow request
+const notifyFollowRequest = async (requesterId, targetId) => {
+    try {
+        if (await isNotificationMuted(targetId, requesterId)) {
+            return;
+        }
+        const notification = await Notification.create({
+            recipient: targetId,
+            sender: requesterId,
+            type: "follow_request",
+        });
+        const populatedNotification = await Notification.findById(
+            notification._id
+        )
+            .populate("sender", "username name avatar")
+            .lean();
+
+        const io = getIoInstance();
+        io.to(targetId.toString()).emit(
+            "notification:new",
+            populatedNotification
+        );
+    } catch (notificationError) {
+        console.error(
+            "Error creating/emitting follow request notification:",
+            notificationError
+        );
+    }
+};
 
 /**
  * Get user profile by username
@@ -12,9 +81,9 @@ const getUserProfile = async (req, res) => {
     try {
         const { username } = req.params;
 
-        const user = await User.findOne({ username })
-            .populate("following", "username name avatar")
-            .populate("followers", "username name avatar");
+        // Follower and following lists have their own paginated routes;
+        // the profile only carries the counts
+        const user = await User.findOne({ username, isActive: true });
 
         if (!user) {
             return res.status(404).json({
@@ -23,17 +92,42 @@ const getUserProfile = async (req, res) => {
             });
         }
 
-        // Get tweet count
-        const tweetCount = await Tweet.countDocuments({
-            author: user._id,
-            isDeleted: false,
-        });
+        // Pinned tweet, unless the viewer may not see it
+        const pinnedTweet = user.pinnedTweet
+            ? await Tweet.findOne({
+                  _id: user.pinnedTweet,
+                  isDeleted: false,
+                  ...(await buildVisibilityQuery(req.user)),
+              })
+                  .populate("author", "username name avatar")
+                  .populate({
+                      path: "quotedTweet",
+                      populate: {
+                          path: "author",
+                          select: "username name avatar",
+                      },
+                  })
+            : null;
+        if (pinnedTweet) {
+            await hideUnviewableQuotes(req.user, [pinnedTweet]);
+        }
+
+        // "Followed by people you follow", for other users' profiles
+        const isOtherUser = req.user && !req.user._id.equals(user._id);
+        const knownFollowers = isOtherUser
+            ? await getFollowedBySummary(req.user._id, user._id)
+            : null;
 
         res.status(200).json({
             status: "success",
             data: {
                 user,
-                tweetCount,
+                tweetCount: user.tweetsCount,
+                isFollowing: req.user
+                    ? await isFollowing(req.user._id, user._id)
+                    : false,
+                knownFollowers,
+                pinnedTweet,
             },
         });
     } catch (error) {
@@ -57,6 +151,7 @@ const updateUserProfile = async (req, res) => {
             "location",
             "website",
             "birthdate",
+            "isProtected",
         ];
 
         // Filter out non-allowed fields
@@ -73,6 +168,14 @@ const updateUserProfile = async (req, res) => {
             runValidators: true,
         });
 
+        // Switching protection on or off updates tweets and pending requests
+        if (
+            filteredBody.isProtected !== undefined &&
+            Boolean(req.user.isProtected) !== user.isProtected
+        ) {
+            await applyAccountProtection(user._id, user.isProtected);
+        }
+
         res.status(200).json({
             status: "success",
             data: {
@@ -87,6 +190,60 @@ const updateUserProfile = async (req, res) => {
     }
 };
 
+/**
+ * Get the current user's relationship with several users at once
+ * (?usernames=a,b,c), for rendering follow buttons on user cards. Unknown
+ * usernames are left out.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getUserRelationships = async (req, res, next) => {
+    try {
+        const usernames = [
+            ...new Set(
+                req.query.usernames
+                    .split(",")
+                    .map((username) => username.trim())
+                    .filter(Boolean)
+            ),
+        ];
+
+        const users = await User.find({
+            username: { $in: usernames },
+            isActive: true,
+        })
+            .select("_id username")
+            .lean();
+        const relationships = await getRelationships(
+            req.user._id,
+            users.map((user) => user._id)
+        );
+
+        // Keep the order the usernames were asked in
+        const byUsername = new Map(users.map((user) => [user.username, user]));
+        const results = usernames
+            .filter((username) => byUsername.has(username))
+            .map((username) => {
+                const user = byUsername.get(username);
+                return {
+                    _id: user._id,
+                    username,
+                    ...relationships.get(user._id.toString()),
+                };
+            });
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                relationships: results,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Follow another user
  * @param {Object} req - Express request object
@@ -96,7 +253,7 @@ const followUser = async (req, res, next) => {
     try {
         const { username } = req.params;
         const currentUser = req.user; // Authenticated user
-        const userToFollow = await User.findOne({ username }); // Fetch full user to get ID
+        const userToFollow = await User.findOne({ username, isActive: true }); // Fetch full user to get ID
 
         if (!userToFollow) {
             const err = new Error("User to follow not found");
@@ -112,55 +269,72 @@ const followUser = async (req, res, next) => {
             throw err;
         }
 
-        if (currentUser.following.includes(userIdToFollow)) {
+        await assertNotBlocked(currentUser._id, userIdToFollow);
+
+        if (await isFollowing(currentUser._id, userIdToFollow)) {
             const err = new Error("You are already following this user");
             err.statusCode = 400;
             throw err;
         }
 
-        // Update both users simultaneously
-        await Promise.all([
-            User.findByIdAndUpdate(currentUser._id, {
-                $addToSet: { following: userIdToFollow },
-                $inc: { followingCount: 1 }, // Increment following count
-            }),
-            User.findByIdAndUpdate(userIdToFollow, {
-                $addToSet: { followers: currentUser._id },
-                $inc: { followerCount: 1 }, // Increment follower count
-            }),
-        ]);
+        // Protected accounts approve their followers first
+        if (userToFollow.isProtected) {
+            const requested = await createFollowRequest(
+                currentUser._id,
+                userIdToFollow
+            );
+            if (!requested) {
+                const err = new Error(
+                    "You have already requested to follow this user"
+                );
+                err.statusCode = 400;
+                throw err;
+            }
+            await notifyFollowRequest(currentUser._id, userIdToFollow);
 
-        // --- Create Notification ---
-        try {
-            const notification = new Notification({
-                recipient: userIdToFollow,
-                sender: currentUser._id,
-                type: "follow",
+            return res.status(202).json({
+                status: "success",
+                message: `Follow request sent to ${username}`,
+                data: { pending: true },
             });
-            await notification.save();
+        }
 
-            // Populate sender for the socket event
-            const populatedNotification = await Notification.findById(
-                notification._id
-            )
-                .populate("sender", "username name avatar")
-                .lean();
+        // Update both users
+        await addFollow(currentUser._id, userIdToFollow);
 
-            // Emit event to the user being followed
-            const io = getIoInstance();
-            io.to(userIdToFollow.toString()).emit(
-                "notification:new",
-                populatedNotification
-            );
-            console.log(
-                `Socket event notification:new emitted to room ${userIdToFollow.toString()} for follow`
-            );
-        } catch (notificationError) {
-            console.error(
-                "Error creating/emitting follow notification:",
-                notificationError
-            );
-            // Don't fail the main request if notification fails
+        // --- Create Notification (unless the followed user muted the follower) ---
+        if (!(await isNotificationMuted(userIdToFollow, currentUser._id))) {
+            try {
+                const notification = new Notification({
+                    recipient: userIdToFollow,
+                    sender: currentUser._id,
+                    type: "follow",
+                });
+                await notification.save();
+
+                // Populate sender for the socket event
+                const populatedNotification = await Notification.findById(
+                    notification._id
+                )
+                    .populate("sender", "username name avatar")
+                    .lean();
+
+                // Emit event to the user being followed
+                const io = getIoInstance();
+                io.to(userIdToFollow.toString()).emit(
+                    "notification:new",
+                    populatedNotification
+                );
+                console.log(
+                    `Socket event notification:new emitted to room ${userIdToFollow.toString()} for follow`
+                );
+            } catch (notificationError) {
+                console.error(
+                    "Error creating/emitting follow notification:",
+                    notificationError
+                );
+                // Don't fail the main request if notification fails
+            }
         }
         // --------------------------
 
@@ -223,21 +397,27 @@ const unfollowUser = async (req, res, next) => {
             throw err;
         }
 
-        if (!currentUser.following.includes(targetUser._id)) {
+        if (!(await isFollowing(currentUser._id, targetUser._id))) {
+            // Unfollowing a protected account withdraws a pending request
+            if (await cancelFollowRequest(currentUser._id, targetUser._id)) {
+                await Notification.deleteMany({
+                    recipient: targetUser._id,
+                    sender: currentUser._id,
+                    type: "follow_request",
+                });
+                return res.status(200).json({
+                    status: "success",
+                    message: `Follow request to ${username} cancelled`,
+                });
+            }
+
             const err = new Error("You are not following this user");
             err.statusCode = 400;
             throw err;
         }
 
-        // Update both users simultaneously
-        await Promise.all([
-            User.findByIdAndUpdate(currentUser._id, {
-                $pull: { following: targetUser._id },
-            }),
-            User.findByIdAndUpdate(targetUser._id, {
-                $pull: { followers: currentUser._id },
-            }),
-        ]);
+        // Update both users
+        await removeFollow(currentUser._id, targetUser._id);
 
         // --- Emit Socket.IO Event ---
         try {
@@ -279,19 +459,468 @@ const unfollowUser = async (req, res, next) => {
 };
 
 /**
- * Get user followers
+ * Block a user. Follows between the two users are removed both ways, and
+ * neither can see or interact with the other until the block is lifted.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-const getUserFollowers = async (req, res) => {
+const blockUser = async (req, res, next) => {
+    try {
+        const { username } = req.params;
+        const currentUser = req.user;
+
+        const userToBlock = await User.findOne({ username }).select("_id");
+        if (!userToBlock) {
+            const err = new Error("User to block not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        if (userToBlock._id.equals(currentUser._id)) {
+            const err = new Error("You cannot block yourself");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const created = await createBlock(currentUser._id, userToBlock._id);
+        if (!created) {
+            const err = new Error("You have already blocked this user");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: `You blocked ${username}`,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unblock a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const unblockUser = async (req, res, next) => {
+    try {
+        const { username } = req.params;
+
+        const targetUser = await User.findOne({ username }).select("_id");
+        if (!targetUser) {
+            const err = new Error("User to unblock not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        const removed = await removeBlock(req.user._id, targetUser._id);
+        if (!removed) {
+            const err = new Error("You have not blocked this user");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: `You unblocked ${username}`,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the users the current user has blocked (most recent first)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getBlockedUsers = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const [blocks, total] = await Promise.all([
+            Block.find({ blocker: req.user._id })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate("blocked", "username name avatar bio")
+                .lean(),
+            Block.countDocuments({ blocker: req.user._id }),
+        ]);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                users: blocks.map((block) => ({
+                    ...block.blocked,
+                    blockedAt: block.createdAt,
+                })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the pending requests to follow the current (protected) account,
+ * oldest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getFollowRequests = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const [requests, total] = await Promise.all([
+            FollowRequest.find({ target: req.user._id })
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(limit)
+                .populate("requester", "username name avatar bio")
+                .lean(),
+            FollowRequest.countDocuments({ target: req.user._id }),
+        ]);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                requests: requests.map((request) => ({
+                    _id: request._id,
+                    requester: request.requester,
+                    createdAt: request.createdAt,
+                })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Helper to find a follow request sent to the current user
+const findIncomingFollowRequest = async (req) => {
+    const request = await FollowRequest.findOne({
+        _id: req.params.id,
+        target: req.user._id,
+    });
+    if (!request) {
+        const err = new Error("Follow request not found");
+        err.statusCode = 404;
+        throw err;
+    }
+    return request;
+};
+
+/**
+ * Approve a follow request: the requester now follows the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const approveFollowRequest = async (req, res, next) => {
+    try {
+        const request = await findIncomingFollowRequest(req);
+        await acceptFollowRequest(request);
+
+        // --- Emit Socket.IO Event for UI update ---
+        try {
+            const io = getIoInstance();
+            io.to(request.requester.toString()).emit("user:follow", {
+                followedUserId: req.user._id.toString(),
+                followerUserId: request.requester.toString(),
+            });
+        } catch (socketError) {
+            console.error(
+                "Socket.IO emission error in approveFollowRequest:",
+                socketError
+            );
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Follow request approved",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reject a follow request. The requester is not told and may ask again.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const rejectFollowRequest = async (req, res, next) => {
+    try {
+        const request = await findIncomingFollowRequest(req);
+        await FollowRequest.deleteOne({ _id: request._id });
+
+        res.status(200).json({
+            status: "success",
+            message: "Follow request rejected",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Mute a user: their tweets and notifications are hidden from the current
+ * user, optionally for expiresInDays days. The muted user is not told.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const muteUser = async (req, res, next) => {
     try {
         const { username } = req.params;
 
-        const user = await User.findOne({ username }).populate(
-            "followers",
-            "username name avatar bio"
+        const userToMute = await User.findOne({ username }).select("_id");
+        if (!userToMute) {
+            const err = new Error("User to mute not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        if (userToMute._id.equals(req.user._id)) {
+            const err = new Error("You cannot mute yourself");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const mute = await muteTarget(
+            req.user._id,
+            "user",
+            userToMute._id,
+            req.body.expiresInDays
         );
 
+        res.status(200).json({
+            status: "success",
+            message: `You muted ${username}`,
+            data: { mute: formatMute(mute) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unmute a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const unmuteUser = async (req, res, next) => {
+    try {
+        const { username } = req.params;
+
+        const targetUser = await User.findOne({ username }).select("_id");
+        if (!targetUser) {
+            const err = new Error("User to unmute not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        const removed = await unmuteTarget(
+            req.user._id,
+            "user",
+            targetUser._id
+        );
+        if (!removed) {
+            const err = new Error("You have not muted this user");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: `You unmuted ${username}`,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the current user's active mutes (most recent first), optionally of
+ * one type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getMutes = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {
+            user: req.user._id,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        };
+        if (req.query.type) filter.type = req.query.type;
+
+        const [mutes, total] = await Promise.all([
+            Mute.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate("mutedUser", "username name avatar")
+                .lean(),
+            Mute.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                mutes: mutes.map(formatMute),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Mute a keyword or phrase, or a hashtag, optionally for expiresInDays days
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createMute = async (req, res, next) => {
+    try {
+        const { type, value, expiresInDays } = req.body;
+
+        const target =
+            type === "hashtag"
+                ? normalizeHashtag(value)
+                : normalizeKeyword(value);
+        if (!target) {
+            const err = new Error(`Invalid ${type}`);
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const mute = await muteTarget(
+            req.user._id,
+            type,
+            target,
+            expiresInDays
+        );
+
+        res.status(200).json({
+            status: "success",
+            data: { mute: formatMute(mute) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove one of the current user's mutes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteMute = async (req, res, next) => {
+    try {
+        const result = await Mute.deleteOne({
+            _id: req.params.id,
+            user: req.user._id,
+        });
+        if (result.deletedCount === 0) {
+            const err = new Error("Mute not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        res.status(200).json({
+            status: "success",
+            message: "Mute removed",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Helper to read one page of a user's follow edges, newest first. `side`
+// is the edge field holding the listed users ("follower" lists followers,
+// "followee" lists followed accounts); the cursor is the last edge's ID.
+const getFollowPage = async (req, userId, side) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const { cursor } = req.query;
+
+    // Hide accounts blocked by or blocking the viewer
+    const blockedIds = req.user ? await getBlockedUserIds(req.user._id) : [];
+
+    const query = {
+        [side === "follower" ? "followee" : "follower"]: userId,
+        [side]: { $nin: blockedIds },
+    };
+    if (cursor) {
+        query._id = { $lt: cursor };
+    }
+
+    // One extra edge tells whether there is a next page
+    const edges = await Follow.find(query)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate({
+            path: side,
+            select: "username name avatar bio",
+            match: { isActive: true },
+        })
+        .lean();
+    const hasMore = edges.length > limit;
+    const page = edges.slice(0, limit);
+
+    return {
+        users: page.map((edge) => edge[side]).filter(Boolean),
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+    };
+};
+
+/**
+ * Get user followers (newest first, cursor-paginated)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserFollowers = async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        const user = await User.findOne({ username }).select("_id");
+
         if (!user) {
             return res.status(404).json({
                 status: "error",
@@ -299,10 +928,17 @@ const getUserFollowers = async (req, res) => {
             });
         }
 
+        const { users, nextCursor } = await getFollowPage(
+            req,
+            user._id,
+            "follower"
+        );
+
         res.status(200).json({
             status: "success",
             data: {
-                followers: user.followers,
+                followers: users,
+                nextCursor,
             },
         });
     } catch (error) {
@@ -314,7 +950,7 @@ const getUserFollowers = async (req, res) => {
 };
 
 /**
- * Get users that a user is following
+ * Get users that a user is following (newest first, cursor-paginated)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -322,10 +958,7 @@ const getUserFollowing = async (req, res) => {
     try {
         const { username } = req.params;
 
-        const user = await User.findOne({ username }).populate(
-            "following",
-            "username name avatar bio"
-        );
+        const user = await User.findOne({ username }).select("_id");
 
         if (!user) {
             return res.status(404).json({
@@ -334,10 +967,17 @@ const getUserFollowing = async (req, res) => {
             });
         }
 
+        const { users, nextCursor } = await getFollowPage(
+            req,
+            user._id,
+            "followee"
+        );
+
         res.status(200).json({
             status: "success",
             data: {
-                following: user.following,
+                following: users,
+                nextCursor,
             },
         });
     } catch (error) {
@@ -362,7 +1002,10 @@ const getUserBookmarks = async (req, res) => {
         // Find the user with their bookmarks
         const user = await User.findById(req.user._id).populate({
             path: "bookmarks",
-            match: { isDeleted: false },
+            match: {
+                isDeleted: false,
+                ...(await buildVisibilityQuery(req.user)),
+            },
             options: {
                 sort: { createdAt: -1 },
                 skip: skip,
@@ -390,6 +1033,8 @@ const getUserBookmarks = async (req, res) => {
             });
         }
 
+        await hideUnviewableQuotes(req.user, user.bookmarks);
+
         // Get total bookmarks count for pagination
         const totalBookmarks = await User.aggregate([
             { $match: { _id: user._id } },
@@ -419,6 +1064,45 @@ const getUserBookmarks = async (req, res) => {
     }
 };
 
+/**
+ * Get accounts similar to a user ("You might also like"), leaving out
+ * accounts the viewer follows, blocked or muted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getSimilarUsers = async (req, res, next) => {
+    try {
+        const { username } = req.params;
+        const limit = parseInt(req.query.limit) || 5;
+
+        const user = await User.findOne({ username, isActive: true }).select(
+            "_id"
+        );
+        if (!user) {
+            const err = new Error("User not found");
+            err.statusCode = 404;
+            throw err;
+        }
+        if (req.user && (await isBlockedEitherWay(req.user._id, user._id))) {
+            const err = new Error("User not found");
+            err.statusCode = 404;
+            throw err;
+        }
+
+        const users = await getSimilarAccounts(user._id, req.user, limit);
+
+        res.status(200).json({
+            status: "success",
+            data: {
+                users,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Get user suggestions for mentions
  * @param {Object} req - Express request object
@@ -441,8 +1125,10 @@ const getUserSuggestions = async (req, res, next) => {
 
         const regex = new RegExp("^" + escapedQuery, "i"); // Case-insensitive starts-with
 
+        const blockedIds = await getBlockedUserIds(currentUserId);
+
         const suggestions = await User.find({
-            _id: { $ne: currentUserId }, // Exclude the current user
+            _id: { $nin: [currentUserId, ...blockedIds] }, // Exclude the current user and blocks
             $or: [{ username: regex }, { name: regex }],
         })
             .select("_id username name avatar") // Select only necessary fields
@@ -468,34 +1154,14 @@ const getUserSuggestions = async (req, res, next) => {
  */
 const getPaginatedRecommendedUsers = async (req, res, next) => {
     try {
-        const currentUserId = req.user._id;
-        const currentUserFollowing = req.user.following; // Assuming 'following' is populated or available on req.user
-
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10; // Default to 10 per page
         const skip = (page - 1) * limit;
 
-        // Users to exclude: current user + users already followed
-        const excludeUserIds = [
-            currentUserId,
-            ...(currentUserFollowing?.map((id) => id.toString()) || []), // Ensure following IDs are strings
-        ];
-
-        // Define the query to find users not in the exclude list
-        const query = {
-            _id: { $nin: excludeUserIds },
-            isActive: true, // Optionally ensure users are active
-        };
-
-        // Get the paginated list of recommended users
-        const recommendedUsers = await User.find(query)
-            .sort({ followerCount: -1 }) // Recommend based on follower count
-            .skip(skip)
-            .limit(limit)
-            .select("username name avatar bio followerCount"); // Select fields for display
-
-        // Get the total count of potential recommendations for pagination
-        const total = await User.countDocuments(query);
+        // Ranked once per request; each suggestion carries its reason
+        const ranked = await rankRecommendedUsers(req.user);
+        const recommendedUsers = ranked.slice(skip, skip + limit);
+        const total = ranked.length;
 
         res.status(200).json({
             status: "success",
@@ -515,14 +1181,64 @@ const getPaginatedRecommendedUsers = async (req, res, next) => {
     }
 };
 
+/**
+ * Dismiss a follow suggestion ("not interested"); the account is no longer
+ * recommended to the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const dismissUserRecommendation = async (req, res, next) => {
+    try {
+        const { username } = req.params;
+        const user = await User.findOne({ username, isActive: true }).select(
+            "_id"
+        );
+
+        if (!user) {
+            const err = new Error("User not found");
+            err.statusCode = 404;
+            throw err;
+        }
+        if (user._id.equals(req.user._id)) {
+            const err = new Error("You cannot dismiss yourself");
+            err.statusCode = 400;
+            throw err;
+        }
+
+        await dismissRecommendation(req.user._id, user._id);
+
+        res.status(200).json({
+            status: "success",
+            message: `${username} will no longer be suggested to you`,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     getUserProfile,
+    getUserRelationships,
     updateUserProfile,
     followUser,
     unfollowUser,
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    getFollowRequests,
+    approveFollowRequest,
+    rejectFollowRequest,
+    muteUser,
+    unmuteUser,
+    getMutes,
+    createMute,
+    deleteMute,
     getUserFollowers,
     getUserFollowing,
+    getSimilarUsers,
     getUserBookmarks,
     getUserSuggestions,
     getPaginatedRecommendedUsers,
+    dismissUserRecommendation,
 };
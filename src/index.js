@@ -12,10 +12,20 @@ const path = require("path");
 const authRoutes = require("./routes/auth.routes");
 const userRoutes = require("./routes/user.routes");
 const tweetRoutes = require("./routes/tweet.routes");
+const listRoutes = require("./routes/list.routes");
 const uploadRoutes = require("./routes/upload.routes");
 const searchRoutes = require("./routes/search.routes");
 const trendsRoutes = require("./routes/trends.routes");
 const notificationRoutes = require("./routes/notification.routes");
+const oauthRoutes = require("./routes/oauth.routes");
+const adminRoutes = require("./routes/admin.routes");
+
+// Import middleware
+const { csrfProtection } = require("./middleware/csrf.middleware");
+
+// Import background jobs
+const { startAccountPurgeJob } = require("./jobs/accountPurge.job");
+const { startCountReconcileJob } = require("./jobs/countReconcile.job");
 
 // Import Socket.IO handler
 const { initializeSocketIO, setIoInstance } = require("./socketHandler");
@@ -36,6 +46,19 @@ const io = new Server(httpServer, {
 // Make io instance available globally (or pass to handler)
 setIoInstance(io);
 
+// Trust the reverse proxy (if any) so req.ip reflects the client address
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set(
+        "trust proxy",
+        trustProxy === "true"
+            ? true
+            : /^\d+$/.test(trustProxy)
+            ? Number(trustProxy)
+            : trustProxy
+    );
+}
+
 // Middleware
 app.use(helmet());
 app.use(
@@ -56,14 +79,20 @@ app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
 
 // Rate limiting can be added here
 
+// Cookie-authenticated requests must carry a CSRF token
+app.use("/api", csrfProtection);
+
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/tweets", tweetRoutes);
+app.use("/api/lists", listRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/search", searchRoutes);
 app.use("/api/trends", trendsRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/oauth", oauthRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Initialize Socket.IO connection handling (moved to socketHandler.js)
 initializeSocketIO(io);
@@ -100,6 +129,10 @@ const startServer = async () => {
         );
         console.log("Connected to MongoDB");
 
+        // Start background jobs
+        startAccountPurgeJob();
+        startCountReconcileJob();
+
         // Start server
         const PORT = process.env.PORT || 5000;
         httpServer.listen(PORT, () => {
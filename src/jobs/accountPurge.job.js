@@ -0,0 +1,39 @@
+const { purgeDeactivatedAccounts } = require("../utils/account.utils");
+
+// How often deactivated accounts past their grace period are deleted
+const PURGE_INTERVAL_MS =
+    (parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Run the account purge once, logging the outcome
+ * @returns {Promise<void>}
+ */
+const runAccountPurge = async () => {
+    try {
+        const purged = await purgeDeactivatedAccounts();
+        if (purged > 0) {
+            console.log(
+                `Account purge: permanently deleted ${purged} account(s)`
+            );
+        }
+    } catch (error) {
+        console.error("Account purge failed:", error);
+    }
+};
+
+/**
+ * Start the periodic account purge (runs once immediately)
+ * @returns {Object} Interval handle, for clearInterval()
+ */
+const startAccountPurgeJob = () => {
+    runAccountPurge();
+    const interval = setInterval(runAccountPurge, PURGE_INTERVAL_MS);
+    // Never keep the process alive just for this job
+    interval.unref();
+    return interval;
+};
+
+module.exports = {
+    runAccountPurge,
+    startAccountPurgeJob,
+};
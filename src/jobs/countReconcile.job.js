@@ -0,0 +1,40 @@
+const { reconcileUserCounts } = require("../utils/userCounts.utils");
+
+// How often denormalized user counters are recomputed
+const RECONCILE_INTERVAL_MS =
+    (parseInt(process.env.COUNT_RECONCILE_INTERVAL_MINUTES) || 1440) *
+    60 *
+    1000;
+
+/**
+ * Run the count reconciliation once, logging the outcome
+ * @returns {Promise<void>}
+ */
+const runCountReconciliation = async () => {
+    try {
+        const fixed = await reconcileUserCounts();
+        if (fixed > 0) {
+            console.log(`Count reconciliation: fixed ${fixed} user(s)`);
+        }
+    } catch (error) {
+        console.error("Count reconciliation failed:", error);
+    }
+};
+
+/**
+ * Start the periodic count reconciliation (runs once immediately, which
+ * also fills in the counters of accounts created before they existed)
+ * @returns {Object} Interval handle, for clearInterval()
+ */
+const startCountReconcileJob = () => {
+    runCountReconciliation();
+    const interval = setInterval(runCountReconciliation, RECONCILE_INTERVAL_MS);
+    // Never keep the process alive just for this job
+    interval.unref();
+    return interval;
+};
+
+module.exports = {
+    runCountReconciliation,
+    startCountReconcileJob,
+};
@@ -1,5 +1,154 @@
 const { verifyAccessToken } = require("../utils/jwt.utils");
 const User = require("../models/user.model");
+const {
+    getActiveSession,
+    getSudoModeExpiresAt,
+} = require("../utils/session.utils");
+const {
+    isPersonalAccessToken,
+    findActivePersonalAccessToken,
+} = require("../utils/personalAccessToken.utils");
+const { getMissingScopes, APP_SCOPES } = require("../utils/scope.utils");
+const { getCookie, ACCESS_TOKEN_COOKIE } = require("../utils/cookie.utils");
+const {
+    getActiveImpersonation,
+    recordImpersonatedRequest,
+} = require("../utils/impersonation.utils");
+
+// Methods read-only impersonation tokens may use
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Read the bearer token from the authorization header, falling back to the
+ * access token cookie set in cookie auth mode
+ * @param {Object} req - Express request object (or Socket.IO handshake)
+ * @returns {String|undefined} Token
+ */
+const getBearerToken = (req) => {
+    if (
+        req.headers.authorization &&
+        req.headers.authorization.startsWith("Bearer")
+    ) {
+        return req.headers.authorization.split(" ")[1];
+    }
+    return getCookie(req, ACCESS_TOKEN_COOKIE);
+};
+
+/**
+ * Resolve a bearer token (login, OAuth or impersonation access token, or
+ * personal access token) to the user it authenticates and the auth context
+ * exposed as req.auth
+ * @param {String} token - Bearer token
+ * @returns {Promise<Object>} { userId, auth } or { message } if rejected
+ */
+const resolveBearerToken = async (token) => {
+    if (isPersonalAccessToken(token)) {
+        const personalAccessToken = await findActivePersonalAccessToken(token);
+        if (!personalAccessToken) {
+            return { message: "Token is invalid, expired or revoked." };
+        }
+        return {
+            userId: personalAccessToken.user,
+            auth: {
+                type: "personal_access_token",
+                tokenId: personalAccessToken._id,
+                sessionId: null,
+                authenticatedAt: null,
+                scopes: personalAccessToken.scopes,
+            },
+        };
+    }
+
+    const decoded = verifyAccessToken(token);
+    if (!decoded) {
+        return { message: "Token is invalid or expired." };
+    }
+
+    // Admins acting as the user; the token dies when the impersonation ends
+    if (decoded.imp) {
+        const impersonation = await getActiveImpersonation(decoded.imp);
+        if (!impersonation || String(impersonation.user) !== decoded.id) {
+            return { message: "This impersonation session has ended." };
+        }
+        return {
+            userId: decoded.id,
+            auth: {
+                type: "impersonation",
+                impersonationId: impersonation._id,
+                impersonatorId: impersonation.admin,
+                readOnly: impersonation.readOnly,
+                sessionId: null,
+                authenticatedAt: null,
+                // Never the user's security settings
+                scopes: APP_SCOPES,
+            },
+        };
+    }
+
+    // Reject tokens bound to a revoked (signed out) session
+    const session = decoded.sid ? await getActiveSession(decoded.sid) : null;
+    if (decoded.sid && !session) {
+        return {
+            message: "This session has been revoked. Please log in again.",
+        };
+    }
+
+    // Tokens issued to third-party apps only carry the scopes the user granted
+    if (session?.client) {
+        return {
+            userId: decoded.id,
+            auth: {
+                type: "oauth",
+                sessionId: decoded.sid,
+                clientId: session.client,
+                authenticatedAt: null,
+                scopes: session.scopes || [],
+            },
+        };
+    }
+
+    return {
+        userId: decoded.id,
+        auth: {
+            type: "session",
+            sessionId: decoded.sid || null,
+            // Sessions created before authenticatedAt existed fall back to
+            // login time
+            authenticatedAt: session
+                ? session.authenticatedAt || session.createdAt
+                : null,
+            // Logging in grants every scope
+            scopes: null,
+        },
+    };
+};
+
+/**
+ * Audit a request made with an impersonation token and enforce read-only
+ * impersonation. Responses are marked with the X-Impersonation-Id header.
+ * @param {Object} req - Express request object (with req.auth set)
+ * @param {Object} res - Express response object
+ * @returns {Error|null} Error to pass on if the request is not allowed
+ */
+const applyImpersonation = (req, res) => {
+    const { impersonationId, readOnly } = req.auth;
+
+    res.set("X-Impersonation-Id", String(impersonationId));
+    res.on("finish", () => {
+        recordImpersonatedRequest(impersonationId, req, res.statusCode).catch(
+            (error) => console.error("Error recording impersonation:", error)
+        );
+    });
+
+    if (readOnly && !SAFE_METHODS.includes(req.method)) {
+        const error = new Error(
+            "This impersonation session is read-only. No changes can be made."
+        );
+        error.statusCode = 403;
+        return error;
+    }
+    return null;
+};
 
 /**
  * Middleware to protect routes that require authentication
@@ -10,13 +159,7 @@ const User = require("../models/user.model");
 const protect = async (req, res, next) => {
     try {
         // Get token from authorization header
-        let token;
-        if (
-            req.headers.authorization &&
-            req.headers.authorization.startsWith("Bearer")
-        ) {
-            token = req.headers.authorization.split(" ")[1];
-        }
+        const token = getBearerToken(req);
 
         // Check if token exists
         if (!token) {
@@ -28,15 +171,15 @@ const protect = async (req, res, next) => {
         }
 
         // Verify token
-        const decoded = verifyAccessToken(token);
-        if (!decoded) {
-            const error = new Error("Token is invalid or expired.");
+        const { userId, auth, message } = await resolveBearerToken(token);
+        if (message) {
+            const error = new Error(message);
             error.statusCode = 401;
             return next(error);
         }
 
         // Check if user still exists
-        const user = await User.findById(decoded.id);
+        const user = await User.findById(userId);
         if (!user || !user.isActive) {
             const error = new Error(
                 "The user belonging to this token no longer exists."
@@ -47,6 +190,10 @@ const protect = async (req, res, next) => {
 
         // Grant access to protected route
         req.user = user;
+        req.auth = auth;
+        if (auth.type === "impersonation") {
+            return next(applyImpersonation(req, res) || undefined);
+        }
         next();
     } catch (error) {
         // Catch verification errors or other unexpected issues
@@ -77,6 +224,79 @@ const restrictTo = (...roles) => {
     };
 };
 
+/**
+ * Middleware to require scopes from personal access tokens and app (OAuth)
+ * tokens. Login sessions carry every scope and anonymous requests
+ * (optionalAuth) pass through, so only tokens granted too few scopes are
+ * refused.
+ * @param {...String} scopes - Scopes the route needs (see scope.utils.js)
+ * @returns {Function} Middleware function
+ */
+const requireScope = (...scopes) => {
+    return (req, res, next) => {
+        const missingScopes = getMissingScopes(req.auth?.scopes, scopes);
+
+        if (missingScopes.length > 0) {
+            const error = new Error(
+                `This token is missing the required scope: ${missingScopes.join(
+                    ", "
+                )}`
+            );
+            error.statusCode = 403;
+            return next(error);
+        }
+        next();
+    };
+};
+
+/**
+ * Middleware to block users with an unverified email address from an action.
+ * Which actions are restricted is configured with the comma-separated
+ * UNVERIFIED_EMAIL_RESTRICTIONS variable (e.g. "tweet,like"); actions not
+ * listed there are always allowed.
+ * @param {String} action - Action name the route performs (e.g. "tweet")
+ * @returns {Function} Middleware function
+ */
+const requireVerifiedEmail = (action) => {
+    return (req, res, next) => {
+        const restrictedActions = (
+            process.env.UNVERIFIED_EMAIL_RESTRICTIONS || ""
+        )
+            .split(",")
+            .map((name) => name.trim())
+            .filter(Boolean);
+
+        if (restrictedActions.includes(action) && !req.user.emailVerified) {
+            const error = new Error(
+                "Please verify your email address to perform this action."
+            );
+            error.statusCode = 403;
+            return next(error);
+        }
+        next();
+    };
+};
+
+/**
+ * Middleware for sensitive account actions ("sudo mode"): the user must have
+ * entered their password in the current session within the last
+ * SUDO_MODE_WINDOW_MINUTES. Clients re-authenticate with
+ * POST /api/auth/reauthenticate and retry.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireRecentAuth = (req, res, next) => {
+    const expiresAt = getSudoModeExpiresAt(req.auth?.authenticatedAt);
+
+    if (!expiresAt || expiresAt <= new Date()) {
+        const error = new Error("Please re-enter your password to continue.");
+        error.statusCode = 403;
+        return next(error);
+    }
+    next();
+};
+
 /**
  * Optional authentication middleware - authenticate if token exists,
  * but continue even if no token is provided
@@ -86,23 +306,21 @@ const restrictTo = (...roles) => {
  */
 const optionalAuth = async (req, res, next) => {
     try {
-        let token;
-        if (
-            req.headers.authorization &&
-            req.headers.authorization.startsWith("Bearer")
-        ) {
-            token = req.headers.authorization.split(" ")[1];
-        }
+        const token = getBearerToken(req);
 
         if (!token) {
             return next(); // Continue without authentication
         }
 
-        const decoded = verifyAccessToken(token);
-        if (decoded) {
-            const user = await User.findById(decoded.id);
+        const { userId, auth } = await resolveBearerToken(token);
+        if (auth) {
+            const user = await User.findById(userId);
             if (user && user.isActive) {
                 req.user = user;
+                req.auth = auth;
+                if (auth.type === "impersonation") {
+                    return next(applyImpersonation(req, res) || undefined);
+                }
             }
         }
 
@@ -117,5 +335,10 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     protect,
     restrictTo,
+    requireScope,
+    requireVerifiedEmail,
+    requireRecentAuth,
     optionalAuth,
+    getBearerToken,
+    resolveBearerToken,
 };
@@ -0,0 +1,33 @@
+const { hasAuthCookies, isValidCsrfToken } = require("../utils/cookie.utils");
+
+// Methods that never change state
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Middleware to protect cookie-authenticated requests from cross-site
+ * request forgery. State-changing requests that carry auth cookies must echo
+ * the CSRF cookie in the X-CSRF-Token header (double-submit). Requests that
+ * send an Authorization header instead are not affected, since browsers
+ * never add those on their own.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const csrfProtection = (req, res, next) => {
+    if (
+        SAFE_METHODS.includes(req.method) ||
+        req.headers.authorization ||
+        !hasAuthCookies(req)
+    ) {
+        return next();
+    }
+
+    if (!isValidCsrfToken(req)) {
+        const error = new Error("Invalid or missing CSRF token.");
+        error.statusCode = 403;
+        return next(error);
+    }
+    next();
+};
+
+module.exports = { csrfProtection };
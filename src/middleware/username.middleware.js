@@ -0,0 +1,33 @@
+const User = require("../models/user.model");
+const { findRenamedUsername } = require("../utils/username.utils");
+
+/**
+ * Router param handler for :username. A username given up during the
+ * redirect grace period is replaced by the account's current username, so
+ * old links keep working; the response carries the current username in the
+ * X-Username-Redirect header. Unknown usernames are left for the route to
+ * report.
+ * Usage: router.param("username", resolveUsernameParam)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {String} username - Username from the URL
+ */
+const resolveUsernameParam = async (req, res, next, username) => {
+    try {
+        if (await User.exists({ username })) {
+            return next();
+        }
+
+        const currentUsername = await findRenamedUsername(username);
+        if (currentUsername) {
+            req.params.username = currentUsername;
+            res.set("X-Username-Redirect", currentUsername);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { resolveUsernameParam };
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// One user blocking another. Blocks are stored as their own documents (one
+// per pair) rather than as arrays on the user, so looking them up in either
+// direction stays an indexed query however many accounts a user blocks.
+const blockSchema = new mongoose.Schema(
+    {
+        // User who blocked
+        blocker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // User who was blocked
+        blocked: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+blockSchema.index({ blocker: 1, createdAt: -1 });
+
+const Block = mongoose.model("Block", blockSchema);
+
+module.exports = Block;
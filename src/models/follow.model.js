@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One follow relationship: follower follows followee. Edges live in their
+// own collection so popular accounts do not grow unbounded user documents.
+const followSchema = new mongoose.Schema(
+    {
+        // User who follows
+        follower: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // User who is followed
+        followee: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Mirrors the followee's User.isProtected, so the protected accounts
+        // a user follows can be read without joining every edge
+        isProtected: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+followSchema.index({ follower: 1, followee: 1 }, { unique: true });
+// For the cursor-paginated following and follower lists (newest first)
+followSchema.index({ follower: 1, _id: -1 });
+followSchema.index({ followee: 1, _id: -1 });
+// For the protected accounts a user follows (tweet visibility)
+followSchema.index({ follower: 1, isProtected: 1 });
+
+const Follow = mongoose.model("Follow", followSchema);
+
+module.exports = Follow;
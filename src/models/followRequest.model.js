@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// A pending request to follow a protected account. The request is deleted
+// once the account owner approves (creating the follow) or rejects it.
+const followRequestSchema = new mongoose.Schema(
+    {
+        // User asking to follow
+        requester: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Protected account the request is for
+        target: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, createdAt: -1 });
+
+const FollowRequest = mongoose.model("FollowRequest", followRequestSchema);
+
+module.exports = FollowRequest;
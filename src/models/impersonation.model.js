@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// An admin viewing the app as another user (support/debugging). Every
+// request made with the impersonation token is appended to the record, and
+// the impersonated user can review the records at
+// GET /api/auth/impersonations.
+const impersonationSchema = new mongoose.Schema(
+    {
+        // Admin who started the impersonation
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // User being impersonated
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Why support needed to impersonate the user (shown to the user)
+        reason: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 500,
+        },
+        // Read-only impersonations may only make GET/HEAD/OPTIONS requests
+        readOnly: {
+            type: Boolean,
+            default: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        endedAt: {
+            type: Date,
+            default: null,
+        },
+        // Device the admin started the impersonation from
+        ip: {
+            type: String,
+            default: "",
+        },
+        userAgent: {
+            type: String,
+            trim: true,
+            maxlength: 512,
+            default: "",
+        },
+        // Requests made with the token (the most recent ones are kept)
+        requests: [
+            {
+                _id: false,
+                method: String,
+                path: String,
+                statusCode: Number,
+                at: Date,
+            },
+        ],
+        requestCount: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+impersonationSchema.index({ user: 1, createdAt: -1 });
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+
+const Impersonation = mongoose.model("Impersonation", impersonationSchema);
+
+module.exports = Impersonation;
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// A curated group of accounts whose tweets can be read as a timeline.
+// Private lists are only visible to their owner.
+const listSchema = new mongoose.Schema(
+    {
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        name: {
+            type: String,
+            required: [true, "List name is required"],
+            trim: true,
+            maxlength: [25, "List name cannot exceed 25 characters"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [100, "Description cannot exceed 100 characters"],
+            default: "",
+        },
+        isPrivate: {
+            type: Boolean,
+            default: false,
+        },
+        // Accounts on the list, in the order they were added
+        members: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+        // Users following the list (never the owner)
+        subscribers: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+listSchema.index({ owner: 1, createdAt: -1 });
+listSchema.index({ members: 1 });
+listSchema.index({ subscribers: 1 });
+
+const List = mongoose.model("List", listSchema);
+
+module.exports = List;
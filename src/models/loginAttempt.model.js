@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Failed login counters shared between server instances (see
+// utils/loginThrottle.utils.js). Keys look like "account:<id>" or "ip:<addr>".
+const loginAttemptSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Consecutive failures within the counting window
+        failures: {
+            type: Number,
+            default: 0,
+        },
+        lastFailureAt: {
+            type: Date,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        // Used by the TTL index to drop stale counters
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Let MongoDB remove counters once they no longer matter
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+module.exports = LoginAttempt;
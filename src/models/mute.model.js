@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// Something a user does not want to see: an account, a keyword or phrase, a
+// hashtag or a conversation. Mutes only filter what the muting user sees;
+// the muted account is never told and sees nothing different.
+const muteSchema = new mongoose.Schema(
+    {
+        // User who muted
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        type: {
+            type: String,
+            required: true,
+            enum: ["user", "keyword", "hashtag", "conversation"],
+        },
+        // Muted account (type "user")
+        mutedUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        // Muted word or phrase, lowercased (type "keyword")
+        keyword: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            maxlength: 100,
+        },
+        // Muted hashtag without the "#", lowercased (type "hashtag")
+        hashtag: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            maxlength: 100,
+        },
+        // Root tweet of the muted conversation (type "conversation")
+        conversation: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Tweet",
+        },
+        // When the mute ends (null mutes until it is removed)
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// One mute per target; muting again only changes the expiry
+muteSchema.index(
+    {
+        user: 1,
+        type: 1,
+        mutedUser: 1,
+        keyword: 1,
+        hashtag: 1,
+        conversation: 1,
+    },
+    { unique: true }
+);
+// Remove expired mutes (documents without expiresAt are kept)
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Mute = mongoose.model("Mute", muteSchema);
+
+module.exports = Mute;
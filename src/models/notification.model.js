@@ -17,7 +17,17 @@ const notificationSchema = new mongoose.Schema(
         type: {
             type: String,
             required: true,
-            enum: ["like", "reply", "follow", "mention", "retweet", "quote"], // Add more types as needed
+            enum: [
+                "like",
+                "reply",
+                "follow",
+                "follow_request",
+                "mention",
+                "retweet",
+                "quote",
+                "list_added",
+                "new_device_login",
+            ], // Add more types as needed
         },
         // Optional reference to the related tweet
         tweet: {
@@ -30,6 +40,16 @@ const notificationSchema = new mongoose.Schema(
             maxlength: 100, // Keep snippets relatively short
             trim: true,
         },
+        // List the recipient was added to (list_added)
+        list: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "List",
+        },
+        // Security event behind a security alert (e.g. new_device_login)
+        securityEvent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "SecurityEvent",
+        },
         // Read status
         read: {
             type: Boolean,
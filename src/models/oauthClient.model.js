@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// A third-party app registered by a user to access the API on behalf of
+// other users (OAuth 2.0 client)
+const oauthClientSchema = new mongoose.Schema(
+    {
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        name: {
+            type: String,
+            required: [true, "App name is required"],
+            trim: true,
+            maxlength: [50, "App name cannot exceed 50 characters"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [280, "Description cannot exceed 280 characters"],
+            default: "",
+        },
+        website: {
+            type: String,
+            trim: true,
+            maxlength: [100, "Website URL cannot exceed 100 characters"],
+            default: "",
+        },
+        // Exact URIs the authorization code may be sent to
+        redirectUris: {
+            type: [String],
+            required: true,
+        },
+        // Public identifier used in authorization requests
+        clientId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Confidential apps (with a server) authenticate with a secret;
+        // public apps (mobile, single-page) rely on PKCE alone
+        confidential: {
+            type: Boolean,
+            default: true,
+        },
+        clientSecretHash: {
+            type: String,
+            select: false,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+oauthClientSchema.index({ owner: 1 });
+
+const OAuthClient = mongoose.model("OAuthClient", oauthClientSchema);
+
+module.exports = OAuthClient;
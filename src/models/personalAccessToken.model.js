@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// Long-lived, scoped credentials users create for scripts and API clients.
+// Only a hash of the token is stored; the raw value is shown once.
+const personalAccessTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        name: {
+            type: String,
+            required: [true, "Token name is required"],
+            trim: true,
+            maxlength: [100, "Token name cannot exceed 100 characters"],
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        // First characters of the token, so users can recognise it
+        tokenPrefix: {
+            type: String,
+            required: true,
+        },
+        scopes: {
+            type: [String],
+            default: [],
+        },
+        // Optional; tokens without an expiry stay valid until revoked
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+const PersonalAccessToken = mongoose.model(
+    "PersonalAccessToken",
+    personalAccessTokenSchema
+);
+
+module.exports = PersonalAccessToken;
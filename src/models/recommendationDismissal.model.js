@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// A "not interested" on a follow suggestion: the dismissed account is never
+// recommended to the user again.
+const recommendationDismissalSchema = new mongoose.Schema(
+    {
+        // User who dismissed the suggestion
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Account that was suggested
+        dismissedUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+recommendationDismissalSchema.index(
+    { user: 1, dismissedUser: 1 },
+    { unique: true }
+);
+recommendationDismissalSchema.index({ dismissedUser: 1 });
+
+const RecommendationDismissal = mongoose.model(
+    "RecommendationDismissal",
+    recommendationDismissalSchema
+);
+
+module.exports = RecommendationDismissal;
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// How long security events are kept
+const SECURITY_EVENT_RETENTION_SECONDS =
+    (parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 90) * 24 * 60 * 60;
+
+// Audit trail of security-relevant account activity (logins, failed
+// attempts, credential changes, refreshes, sign-outs), shown to the user at
+// GET /api/auth/security-events
+const securityEventSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        type: {
+            type: String,
+            required: true,
+            enum: [
+                "login",
+                "login_failed",
+                "token_refreshed",
+                "session_revoked",
+                "password_changed",
+                "password_reset",
+                "email_changed",
+                "username_changed",
+                "two_factor_enabled",
+                "two_factor_disabled",
+            ],
+        },
+        // Session the event happened in or applies to, if any
+        session: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Session",
+            default: null,
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        userAgent: {
+            type: String,
+            trim: true,
+            maxlength: 512,
+            default: "",
+        },
+        // Hash identifying the device (browser/app) the request came from
+        deviceId: {
+            type: String,
+            default: "",
+        },
+        // Whether a login came from a device never seen on the account
+        newDevice: {
+            type: Boolean,
+            default: undefined,
+        },
+        // Event-specific details, e.g. { method: "password" } for logins or
+        // { reason: "logout" } for revoked sessions
+        details: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Listing a user's events, newest first (optionally by type)
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, type: 1, deviceId: 1 });
+// Let MongoDB drop events once the retention period is over
+securityEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: SECURITY_EVENT_RETENTION_SECONDS }
+);
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+
+module.exports = SecurityEvent;
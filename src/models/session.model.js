@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// A session represents one refresh-token family. Every refresh rotates the
+// stored hash; presenting an older token from the same family revokes it.
+// Sessions of third-party apps (OAuth) also record the app and the scopes
+// the user granted it.
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Hash of the currently valid refresh token for this family
+        tokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        lastRotatedAt: {
+            type: Date,
+        },
+        // Device information captured at login, shown in the sessions list
+        userAgent: {
+            type: String,
+            trim: true,
+            maxlength: 512,
+            default: "",
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // When the user last proved their identity (password or second
+        // factor) in this session; sensitive actions require it to be recent
+        authenticatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // OAuth app the session was issued to (null for first-party logins)
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "OAuthClient",
+            default: null,
+        },
+        // Scopes granted to the app; first-party sessions have every scope
+        scopes: {
+            type: [String],
+            default: undefined,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+            enum: [
+                "logout",
+                "reuse_detected",
+                "revoked_by_user",
+                "password_reset",
+                "password_changed",
+                "account_deactivated",
+                "revoked_by_client",
+                "app_deleted",
+            ],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ client: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
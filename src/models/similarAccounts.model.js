@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Cached "You might also like" accounts for a profile (see
+// utils/similarAccounts.utils.js). The ranking does not depend on who is
+// looking, so one entry per profile serves every viewer.
+const similarAccountsSchema = new mongoose.Schema(
+    {
+        // Profile the accounts are similar to
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            unique: true,
+        },
+        // Similar accounts, most similar first
+        accounts: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+        // Used by the TTL index to drop stale rankings
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Let MongoDB remove rankings once they are stale
+similarAccountsSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SimilarAccounts = mongoose.model(
+    "SimilarAccounts",
+    similarAccountsSchema
+);
+
+module.exports = SimilarAccounts;
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Single-use, expiring tokens sent to users out of band (e.g. by email).
+// Only a hash of the token is stored.
+const tokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // What the token can be used for
+        purpose: {
+            type: String,
+            required: true,
+            enum: [
+                "password_reset",
+                "email_verification",
+                "email_change",
+                "oauth_authorization_code",
+                "magic_link",
+            ],
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // Set once the token has been redeemed
+        usedAt: {
+            type: Date,
+            default: null,
+        },
+        // Optional purpose-specific payload
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+tokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB remove tokens once they have expired
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Token = mongoose.model("Token", tokenSchema);
+
+module.exports = Token;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const User = require("./user.model"); // Ensure User model is imported for validation
+const UsernameHistory = require("./usernameHistory.model");
 
 const tweetSchema = new mongoose.Schema(
     {
@@ -50,6 +51,12 @@ const tweetSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: "Tweet",
         },
+        // Tweet that started the conversation (the tweet itself if it is not
+        // a reply); set on creation
+        conversation: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Tweet",
+        },
         // For tracking engagement
         engagementCount: {
             likes: {
@@ -133,6 +140,19 @@ tweetSchema.virtual("quotes", {
 // Pre-save middleware to extract hashtags and mentions
 tweetSchema.pre("save", async function (next) {
     // Make async for User query
+    if (this.isNew && !this.conversation) {
+        // Replies join their parent's conversation
+        const parent = this.inReplyTo
+            ? await this.constructor
+                  .findById(this.inReplyTo)
+                  .select("conversation")
+                  .lean()
+            : null;
+        this.conversation = parent
+            ? parent.conversation || parent._id
+            : this._id;
+    }
+
     if (this.isModified("content")) {
         // --- Extract Hashtags ---
         const hashtagRegex = /#([\p{L}\p{N}_]+)/gu;
@@ -161,9 +181,33 @@ tweetSchema.pre("save", async function (next) {
                             (name) => new RegExp(`^${name}$`, "i")
                         ),
                     },
-                }).select("_id"); // Only select IDs
+                }).select("_id username");
+
+                // Usernames given up recently still mention their account
+                const foundNames = foundUsers.map((user) =>
+                    user.username.toLowerCase()
+                );
+                const unknownNames = potentialUsernames.filter(
+                    (name) => !foundNames.includes(name.toLowerCase())
+                );
+                const renamedUserIds =
+                    unknownNames.length > 0
+                        ? await UsernameHistory.find({
+                              username: {
+                                  $in: unknownNames.map(
+                                      (name) => new RegExp(`^${name}$`, "i")
+                                  ),
+                              },
+                              redirectUntil: { $gt: new Date() },
+                          }).distinct("user")
+                        : [];
 
-                this.mentions = foundUsers.map((user) => user._id);
+                this.mentions = [
+                    ...foundUsers.map((user) => user._id),
+                    ...renamedUserIds.filter(
+                        (id) => !foundUsers.some((user) => user._id.equals(id))
+                    ),
+                ];
             } catch (error) {
                 console.error("Error validating mentions:", error);
                 // Decide if failure here should block saving? For now, just log error.
@@ -180,6 +224,7 @@ tweetSchema.index({ author: 1, createdAt: -1 });
 tweetSchema.index({ hashtags: 1 });
 tweetSchema.index({ "engagementCount.likes": -1 });
 tweetSchema.index({ inReplyTo: 1 });
+tweetSchema.index({ conversation: 1 });
 
 // Add text index for search functionality
 tweetSchema.index({ content: "text" });
@@ -79,28 +79,82 @@ const userSchema = new mongoose.Schema(
             type: Date,
             select: false, // Private by default
         },
-        following: [
-            {
-                type: mongoose.Schema.Types.ObjectId,
-                ref: "User",
-            },
-        ],
-        followers: [
-            {
-                type: mongoose.Schema.Types.ObjectId,
-                ref: "User",
-            },
-        ],
         bookmarks: [
             {
                 type: mongoose.Schema.Types.ObjectId,
                 ref: "Tweet",
             },
         ],
+        // Follow relationships are stored in the Follow collection.
+        // Denormalized counters, kept up to date by the follow and tweet
+        // paths and recomputed by the count reconciliation job
+        followersCount: {
+            type: Number,
+            default: 0,
+        },
+        followingCount: {
+            type: Number,
+            default: 0,
+        },
+        // Tweets (including replies) that are not deleted
+        tweetsCount: {
+            type: Number,
+            default: 0,
+        },
+        // Own tweet shown first on the profile
+        pinnedTweet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Tweet",
+            default: null,
+        },
         verified: {
             type: Boolean,
             default: false,
         },
+        // Protected accounts approve who follows them, and only followers
+        // see their tweets
+        isProtected: {
+            type: Boolean,
+            default: false,
+        },
+        // Whether the user has confirmed ownership of their email address
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerifiedAt: {
+            type: Date,
+        },
+        // TOTP two-factor authentication
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            enabledAt: {
+                type: Date,
+            },
+            // Base32 TOTP secret, set once enrollment is confirmed
+            secret: {
+                type: String,
+                select: false,
+            },
+            // Secret awaiting confirmation with a first code
+            pendingSecret: {
+                type: String,
+                select: false,
+            },
+            // Hashes of unused one-time recovery codes
+            recoveryCodes: {
+                type: [String],
+                select: false,
+            },
+            // Last accepted TOTP time step, so a code cannot be replayed
+            lastUsedStep: {
+                type: Number,
+                select: false,
+            },
+        },
         role: {
             type: String,
             enum: ["user", "admin"],
@@ -110,6 +164,14 @@ const userSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        // Set when the user deactivates their own account; logging in before
+        // scheduledDeletionAt reactivates it, afterwards it is purged
+        deactivatedAt: {
+            type: Date,
+        },
+        scheduledDeletionAt: {
+            type: Date,
+        },
         lastLogin: {
             type: Date,
         },
@@ -121,14 +183,6 @@ const userSchema = new mongoose.Schema(
     }
 );
 
-// Virtual for tweet count
-userSchema.virtual("tweetCount", {
-    ref: "Tweet",
-    localField: "_id",
-    foreignField: "author",
-    count: true,
-});
-
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
     // Only hash the password if it's modified (or new)
@@ -153,6 +207,8 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 // userSchema.index({ username: 1 }); // Removed: Redundant due to unique: true in schema
 // userSchema.index({ email: 1 }); // Removed: Redundant due to unique: true in schema
 userSchema.index({ bookmarks: 1 }); // Add index for bookmarks for faster lookups
+userSchema.index({ followersCount: -1 }); // For recommendations ranked by followers
+userSchema.index({ scheduledDeletionAt: 1 }, { sparse: true }); // For the account purge job
 
 // Add text index for search functionality
 userSchema.index({ username: "text", name: "text", bio: "text" });
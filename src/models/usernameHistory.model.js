@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A username a user gave up. Until redirectUntil the old handle still
+// resolves to the account and no one else can take it; the records are kept
+// afterwards to count changes for rate limiting.
+const usernameHistorySchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Previous username, as it was written
+        username: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // End of the grace period during which the old handle redirects
+        redirectUntil: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+usernameHistorySchema.index({ username: 1, redirectUntil: -1 });
+usernameHistorySchema.index({ user: 1, createdAt: -1 });
+
+const UsernameHistory = mongoose.model(
+    "UsernameHistory",
+    usernameHistorySchema
+);
+
+module.exports = UsernameHistory;
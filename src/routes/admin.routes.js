@@ -0,0 +1,78 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const adminController = require("../controllers/admin.controller");
+const {
+    protect,
+    restrictTo,
+    requireScope,
+    requireRecentAuth,
+} = require("../middleware/auth.middleware");
+const {
+    handleValidationErrors,
+} = require("../middleware/validation.middleware");
+
+const router = express.Router();
+
+// Every admin route needs a logged-in admin
+router.use(protect, requireScope("account:admin"), restrictTo("admin"));
+
+/**
+ * @route POST /api/admin/users/:id/impersonate
+ * @desc Issue a short-lived token to see the app as a user
+ * @access Private (admin, sudo mode)
+ */
+router.post(
+    "/users/:id/impersonate",
+    requireRecentAuth,
+    [
+        param("id").isMongoId().withMessage("Invalid user ID format"),
+        body("reason")
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 500 })
+            .withMessage("A reason (up to 500 characters) is required"),
+        body("readOnly")
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage("readOnly must be a boolean"),
+    ],
+    handleValidationErrors,
+    adminController.impersonateUser
+);
+
+/**
+ * @route GET /api/admin/impersonations
+ * @desc List impersonations with their audited requests
+ * @access Private (admin)
+ */
+router.get(
+    "/impersonations",
+    [
+        query("user").optional().isMongoId().withMessage("Invalid user ID"),
+        query("admin").optional().isMongoId().withMessage("Invalid admin ID"),
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage("Limit must be between 1 and 50"),
+    ],
+    handleValidationErrors,
+    adminController.getImpersonations
+);
+
+/**
+ * @route POST /api/admin/impersonations/:id/end
+ * @desc End an impersonation, invalidating its token
+ * @access Private (admin)
+ */
+router.post(
+    "/impersonations/:id/end",
+    [param("id").isMongoId().withMessage("Invalid impersonation ID format")],
+    handleValidationErrors,
+    adminController.stopImpersonation
+);
+
+module.exports = router;
@@ -1,16 +1,36 @@
 const express = require("express");
-const { body } = require("express-validator"); // Import only body now
+const { body, param, query } = require("express-validator");
 const authController = require("../controllers/auth.controller");
-const { protect } = require("../middleware/auth.middleware");
+const {
+    protect,
+    optionalAuth,
+    requireScope,
+    requireRecentAuth,
+} = require("../middleware/auth.middleware");
 const {
     handleValidationErrors,
 } = require("../middleware/validation.middleware"); // Import shared handler
+const { isValidScope } = require("../utils/scope.utils");
+const { SECURITY_EVENT_TYPES } = require("../utils/securityEvent.utils");
 
 const router = express.Router();
 
 // Middleware to handle validation results (Removed from here)
 // const handleValidationErrors = (req, res, next) => { ... };
 
+// Username rules (same as the User model), for a body or query field
+const usernameValidation = (field) =>
+    field
+        .isString()
+        .withMessage("Username is required")
+        .trim()
+        .isLength({ min: 3, max: 20 })
+        .withMessage("Username must be between 3 and 20 characters")
+        .matches(/^[a-zA-Z0-9_]+$/)
+        .withMessage(
+            "Username can only contain letters, numbers, and underscores"
+        );
+
 /**
  * @route POST /api/auth/register
  * @desc Register a new user
@@ -20,11 +40,7 @@ router.post(
     "/register",
     [
         body("name", "Name is required").not().isEmpty().trim().escape(),
-        body("username", "Username is required")
-            .not()
-            .isEmpty()
-            .trim()
-            .escape(),
+        usernameValidation(body("username")),
         body("email", "Please include a valid email")
             .isEmail()
             .normalizeEmail(),
@@ -55,6 +71,22 @@ router.post(
     authController.login
 );
 
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Complete a two-factor login with a TOTP or recovery code
+ * @access Public
+ */
+router.post(
+    "/2fa/verify",
+    [
+        body("challengeToken", "Challenge token is required").not().isEmpty(),
+        body("code").optional().isString().trim(),
+        body("recoveryCode").optional().isString().trim(),
+    ],
+    handleValidationErrors,
+    authController.verifyTwoFactorLogin
+);
+
 /**
  * @route POST /api/auth/refresh
  * @desc Refresh access token
@@ -62,17 +94,218 @@ router.post(
  */
 router.post(
     "/refresh",
-    [body("refreshToken", "Refresh token is required").not().isEmpty()],
+    [
+        body("refreshToken", "Refresh token must be a string")
+            .optional()
+            .isString(),
+    ],
     handleValidationErrors,
     authController.refreshToken
 );
 
+/**
+ * @route GET /api/auth/csrf
+ * @desc Get the CSRF token for cookie-authenticated requests
+ * @access Public
+ */
+router.get("/csrf", authController.getCsrfToken);
+
+/**
+ * @route POST /api/auth/magic-link
+ * @desc Email a passwordless sign-in link
+ * @access Public
+ */
+router.post(
+    "/magic-link",
+    [body("email", "Please include a valid email").isEmail()],
+    handleValidationErrors,
+    authController.requestMagicLink
+);
+
+/**
+ * @route POST /api/auth/magic-link/verify
+ * @desc Log in with a token from a sign-in link
+ * @access Public
+ */
+router.post(
+    "/magic-link/verify",
+    [body("token", "Sign-in token is required").not().isEmpty()],
+    handleValidationErrors,
+    authController.verifyMagicLink
+);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a password reset link
+ * @access Public
+ */
+router.post(
+    "/forgot-password",
+    [body("email", "Please include a valid email").isEmail()],
+    handleValidationErrors,
+    authController.forgotPassword
+);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password using a reset token
+ * @access Public
+ */
+router.post(
+    "/reset-password",
+    [
+        body("token", "Reset token is required").not().isEmpty(),
+        body(
+            "password",
+            "Password must be at least 8 characters long"
+        ).isLength({ min: 8 }),
+    ],
+    handleValidationErrors,
+    authController.resetPassword
+);
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Verify an email address using a verification token
+ * @access Public
+ */
+router.post(
+    "/verify-email",
+    [body("token", "Verification token is required").not().isEmpty()],
+    handleValidationErrors,
+    authController.verifyEmail
+);
+
+/**
+ * @route POST /api/auth/verify-email/resend
+ * @desc Resend the email verification link
+ * @access Private
+ */
+router.post(
+    "/verify-email/resend",
+    protect,
+    requireScope("account:admin"),
+    authController.resendVerificationEmail
+);
+
+/**
+ * @route POST /api/auth/reauthenticate
+ * @desc Re-enter the password to unlock sensitive actions ("sudo mode")
+ * @access Private
+ */
+router.post(
+    "/reauthenticate",
+    protect,
+    requireScope("account:admin"),
+    [
+        body("password", "Password is required").not().isEmpty(),
+        body("code").optional().isString().trim(),
+        body("recoveryCode").optional().isString().trim(),
+    ],
+    handleValidationErrors,
+    authController.reauthenticate
+);
+
+/**
+ * @route POST /api/auth/change-password
+ * @desc Change the password (requires the current password)
+ * @access Private
+ */
+router.post(
+    "/change-password",
+    protect,
+    requireScope("account:admin"),
+    [
+        body("currentPassword", "Current password is required").not().isEmpty(),
+        body(
+            "newPassword",
+            "New password must be at least 8 characters long"
+        ).isLength({ min: 8 }),
+    ],
+    handleValidationErrors,
+    authController.changePassword
+);
+
+/**
+ * @route POST /api/auth/change-email
+ * @desc Send a confirmation link to a new email address
+ * @access Private (sudo mode)
+ */
+router.post(
+    "/change-email",
+    protect,
+    requireScope("account:admin"),
+    requireRecentAuth,
+    [body("newEmail", "Please include a valid email").isEmail()],
+    handleValidationErrors,
+    authController.requestEmailChange
+);
+
+/**
+ * @route POST /api/auth/change-email/confirm
+ * @desc Confirm an email change using the token from the link
+ * @access Public
+ */
+router.post(
+    "/change-email/confirm",
+    [body("token", "Confirmation token is required").not().isEmpty()],
+    handleValidationErrors,
+    authController.confirmEmailChange
+);
+
+/**
+ * @route GET /api/auth/username-availability
+ * @desc Check whether a username can be taken
+ * @access Public (with optional auth to check for the current user)
+ */
+router.get(
+    "/username-availability",
+    optionalAuth,
+    requireScope("user:read"),
+    [usernameValidation(query("username"))],
+    handleValidationErrors,
+    authController.checkUsernameAvailability
+);
+
+/**
+ * @route POST /api/auth/change-username
+ * @desc Change the username (old one redirects for a grace period)
+ * @access Private (sudo mode)
+ */
+router.post(
+    "/change-username",
+    protect,
+    requireScope("account:admin"),
+    requireRecentAuth,
+    [usernameValidation(body("newUsername"))],
+    handleValidationErrors,
+    authController.changeUsername
+);
+
+/**
+ * @route POST /api/auth/deactivate
+ * @desc Deactivate the account (deleted after a grace period)
+ * @access Private (sudo mode)
+ */
+router.post(
+    "/deactivate",
+    protect,
+    requireScope("account:admin"),
+    requireRecentAuth,
+    authController.deactivate
+);
+
 /**
  * @route GET /api/auth/me
  * @desc Get current user
  * @access Private
  */
-router.get("/me", protect, authController.getCurrentUser);
+router.get(
+    "/me",
+    protect,
+    requireScope("user:read"),
+    authController.getCurrentUser
+);
 
 /**
  * @route POST /api/auth/logout
@@ -81,4 +314,206 @@ router.get("/me", protect, authController.getCurrentUser);
  */
 router.post("/logout", protect, authController.logout);
 
+/**
+ * @route GET /api/auth/security-events
+ * @desc List account security events (login history, credential changes)
+ * @access Private
+ */
+router.get(
+    "/security-events",
+    protect,
+    requireScope("account:admin"),
+    [
+        query("type")
+            .optional()
+            .isIn(SECURITY_EVENT_TYPES)
+            .withMessage("Invalid security event type"),
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage("Limit must be between 1 and 50"),
+    ],
+    handleValidationErrors,
+    authController.getSecurityEvents
+);
+
+/**
+ * @route GET /api/auth/impersonations
+ * @desc List the times support staff impersonated the current user
+ * @access Private
+ */
+router.get(
+    "/impersonations",
+    protect,
+    requireScope("account:admin"),
+    authController.getImpersonations
+);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List active sessions (logged-in devices)
+ * @access Private
+ */
+router.get(
+    "/sessions",
+    protect,
+    requireScope("account:admin"),
+    authController.getSessions
+);
+
+/**
+ * @route POST /api/auth/sessions/revoke-others
+ * @desc Sign out everywhere except the current session
+ * @access Private
+ */
+router.post(
+    "/sessions/revoke-others",
+    protect,
+    requireScope("account:admin"),
+    authController.revokeOtherSessions
+);
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Revoke a session (sign out a device)
+ * @access Private
+ */
+router.delete(
+    "/sessions/:id",
+    protect,
+    requireScope("account:admin"),
+    [param("id").isMongoId().withMessage("Invalid session ID format")],
+    handleValidationErrors,
+    authController.deleteSession
+);
+
+/**
+ * @route GET /api/auth/tokens/scopes
+ * @desc List the scopes personal access tokens can be granted
+ * @access Public
+ */
+router.get("/tokens/scopes", authController.getAccessTokenScopes);
+
+/**
+ * @route GET /api/auth/tokens
+ * @desc List personal access tokens
+ * @access Private
+ */
+router.get(
+    "/tokens",
+    protect,
+    requireScope("account:admin"),
+    authController.getAccessTokens
+);
+
+/**
+ * @route POST /api/auth/tokens
+ * @desc Create a personal access token (returned once)
+ * @access Private (sudo mode)
+ */
+router.post(
+    "/tokens",
+    protect,
+    requireRecentAuth,
+    [
+        body("name", "Token name is required")
+            .isString()
+            .trim()
+            .notEmpty()
+            .isLength({ max: 100 })
+            .withMessage("Token name cannot exceed 100 characters"),
+        body("scopes")
+            .isArray({ min: 1 })
+            .withMessage("Please select at least one scope"),
+        body("scopes.*")
+            .custom(isValidScope)
+            .withMessage((value) => `Unknown scope: ${value}`),
+        body("expiresInDays")
+            .optional({ values: "null" })
+            .isInt({ min: 1, max: 365 })
+            .withMessage("Expiry must be between 1 and 365 days")
+            .toInt(),
+    ],
+    handleValidationErrors,
+    authController.createAccessToken
+);
+
+/**
+ * @route DELETE /api/auth/tokens/:id
+ * @desc Revoke a personal access token
+ * @access Private
+ */
+router.delete(
+    "/tokens/:id",
+    protect,
+    requireScope("account:admin"),
+    [param("id").isMongoId().withMessage("Invalid token ID format")],
+    handleValidationErrors,
+    authController.revokeAccessToken
+);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Start two-factor enrollment (returns secret and otpauth URI)
+ * @access Private (sudo mode)
+ */
+router.post(
+    "/2fa/setup",
+    protect,
+    requireScope("account:admin"),
+    requireRecentAuth,
+    authController.setupTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/confirm
+ * @desc Enable two-factor authentication with a first code
+ * @access Private
+ */
+router.post(
+    "/2fa/confirm",
+    protect,
+    requireScope("account:admin"),
+    [body("code", "Authentication code is required").not().isEmpty().trim()],
+    handleValidationErrors,
+    authController.confirmTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Disable two-factor authentication (requires a fresh code)
+ * @access Private (sudo mode)
+ */
+router.post(
+    "/2fa/disable",
+    protect,
+    requireScope("account:admin"),
+    requireRecentAuth,
+    [
+        body("code").optional().isString().trim(),
+        body("recoveryCode").optional().isString().trim(),
+    ],
+    handleValidationErrors,
+    authController.disableTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Regenerate recovery codes (requires a fresh code)
+ * @access Private (sudo mode)
+ */
+router.post(
+    "/2fa/recovery-codes",
+    protect,
+    requireScope("account:admin"),
+    requireRecentAuth,
+    [body("code", "Authentication code is required").not().isEmpty().trim()],
+    handleValidationErrors,
+    authController.regenerateRecoveryCodes
+);
+
 module.exports = router;
@@ -0,0 +1,237 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const listController = require("../controllers/list.controller");
+const { protect, requireScope } = require("../middleware/auth.middleware");
+const {
+    handleValidationErrors,
+} = require("../middleware/validation.middleware");
+const { resolveUsernameParam } = require("../middleware/username.middleware");
+
+const router = express.Router();
+
+// Old usernames resolve to the renamed account during the grace period
+router.param("username", resolveUsernameParam);
+
+// Validation Rules
+const listIdParamValidation = [
+    param("id").isMongoId().withMessage("Invalid list ID format"),
+];
+
+const usernameParamValidation = [
+    param("username")
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage("Username parameter is required"),
+];
+
+const paginationValidation = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer"),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage("Limit must be between 1 and 50"),
+];
+
+// Shared by create (name required) and update (every field optional)
+const listFieldsValidation = (isUpdate) => [
+    body("name")
+        .if((value) => !isUpdate || value !== undefined)
+        .isString()
+        .withMessage("Name must be a string")
+        .trim()
+        .isLength({ min: 1, max: 25 })
+        .withMessage("Name must be between 1 and 25 characters"),
+    body("description")
+        .optional()
+        .isString()
+        .withMessage("Description must be a string")
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage("Description cannot exceed 100 characters"),
+    body("isPrivate")
+        .optional()
+        .isBoolean()
+        .withMessage("isPrivate must be a boolean")
+        .toBoolean(true),
+];
+
+/**
+ * @route POST /api/lists
+ * @desc Create a list
+ * @access Private
+ */
+router.post(
+    "/",
+    protect,
+    requireScope("list:write"),
+    listFieldsValidation(false),
+    handleValidationErrors,
+    listController.createList
+);
+
+/**
+ * @route GET /api/lists
+ * @desc Get the lists the current user owns or subscribes to
+ * @access Private
+ */
+router.get(
+    "/",
+    protect,
+    requireScope("list:read"),
+    paginationValidation,
+    handleValidationErrors,
+    listController.getMyLists
+);
+
+/**
+ * @route GET /api/lists/user/:username
+ * @desc Get the lists a user owns
+ * @access Private
+ */
+router.get(
+    "/user/:username",
+    protect,
+    requireScope("list:read"),
+    [...usernameParamValidation, ...paginationValidation],
+    handleValidationErrors,
+    listController.getUserLists
+);
+
+/**
+ * @route GET /api/lists/:id
+ * @desc Get a list
+ * @access Private
+ */
+router.get(
+    "/:id",
+    protect,
+    requireScope("list:read"),
+    listIdParamValidation,
+    handleValidationErrors,
+    listController.getList
+);
+
+/**
+ * @route PATCH /api/lists/:id
+ * @desc Update a list (owner only)
+ * @access Private
+ */
+router.patch(
+    "/:id",
+    protect,
+    requireScope("list:write"),
+    [...listIdParamValidation, ...listFieldsValidation(true)],
+    handleValidationErrors,
+    listController.updateList
+);
+
+/**
+ * @route DELETE /api/lists/:id
+ * @desc Delete a list (owner only)
+ * @access Private
+ */
+router.delete(
+    "/:id",
+    protect,
+    requireScope("list:write"),
+    listIdParamValidation,
+    handleValidationErrors,
+    listController.deleteList
+);
+
+/**
+ * @route GET /api/lists/:id/tweets
+ * @desc Get a list's timeline
+ * @access Private
+ */
+router.get(
+    "/:id/tweets",
+    protect,
+    requireScope("list:read"),
+    [...listIdParamValidation, ...paginationValidation],
+    handleValidationErrors,
+    listController.getListTweets
+);
+
+/**
+ * @route GET /api/lists/:id/members
+ * @desc Get a list's members
+ * @access Private
+ */
+router.get(
+    "/:id/members",
+    protect,
+    requireScope("list:read"),
+    [...listIdParamValidation, ...paginationValidation],
+    handleValidationErrors,
+    listController.getListMembers
+);
+
+/**
+ * @route POST /api/lists/:id/members
+ * @desc Add a user to a list (owner only)
+ * @access Private
+ */
+router.post(
+    "/:id/members",
+    protect,
+    requireScope("list:write"),
+    [
+        ...listIdParamValidation,
+        body("username")
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage("Username is required"),
+    ],
+    handleValidationErrors,
+    listController.addListMember
+);
+
+/**
+ * @route DELETE /api/lists/:id/members/:username
+ * @desc Remove a user from a list (owner only)
+ * @access Private
+ */
+router.delete(
+    "/:id/members/:username",
+    protect,
+    requireScope("list:write"),
+    [...listIdParamValidation, ...usernameParamValidation],
+    handleValidationErrors,
+    listController.removeListMember
+);
+
+/**
+ * @route POST /api/lists/:id/subscribe
+ * @desc Subscribe to a list
+ * @access Private
+ */
+router.post(
+    "/:id/subscribe",
+    protect,
+    requireScope("list:write"),
+    listIdParamValidation,
+    handleValidationErrors,
+    listController.subscribeToList
+);
+
+/**
+ * @route DELETE /api/lists/:id/subscribe
+ * @desc Unsubscribe from a list
+ * @access Private
+ */
+router.delete(
+    "/:id/subscribe",
+    protect,
+    requireScope("list:write"),
+    listIdParamValidation,
+    handleValidationErrors,
+    listController.unsubscribeFromList
+);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect } = require("../middleware/auth.middleware");
+const { protect, requireScope } = require("../middleware/auth.middleware");
 
 const {
     getNotifications,
@@ -13,12 +13,20 @@ const router = express.Router();
 router.use(protect);
 
 // GET /api/v1/notifications
-router.get("/", getNotifications);
+router.get("/", requireScope("notifications:read"), getNotifications);
 
 // PATCH /api/v1/notifications/:id/read
-router.patch("/:id/read", markNotificationRead);
+router.patch(
+    "/:id/read",
+    requireScope("notifications:write"),
+    markNotificationRead
+);
 
 // POST /api/v1/notifications/read-all (Using POST for action, could also be PATCH)
-router.post("/read-all", markAllNotificationsRead);
+router.post(
+    "/read-all",
+    requireScope("notifications:write"),
+    markAllNotificationsRead
+);
 
 module.exports = router;
@@ -0,0 +1,207 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const oauthController = require("../controllers/oauth.controller");
+const { protect, requireScope } = require("../middleware/auth.middleware");
+const {
+    handleValidationErrors,
+} = require("../middleware/validation.middleware");
+const { isValidRedirectUri } = require("../utils/oauth.utils");
+
+const router = express.Router();
+
+// Validation Rules
+const appValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field("name")
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage("App name is required")
+            .isLength({ max: 50 })
+            .withMessage("App name cannot exceed 50 characters"),
+        body("description")
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 280 })
+            .withMessage("Description cannot exceed 280 characters"),
+        body("website")
+            .optional({ checkFalsy: true })
+            .isURL({ protocols: ["http", "https"], require_protocol: true })
+            .withMessage("Please provide a valid website URL (http/https)"),
+        field("redirectUris")
+            .isArray({ min: 1, max: 10 })
+            .withMessage("Please provide between 1 and 10 redirect URIs"),
+        body("redirectUris.*")
+            .custom(isValidRedirectUri)
+            .withMessage(
+                "Redirect URIs must be absolute HTTPS URLs without a fragment (HTTP is allowed for localhost)"
+            ),
+    ];
+};
+
+const appIdParamValidation = [
+    param("id").isMongoId().withMessage("Invalid app ID format"),
+];
+
+/**
+ * @route POST /api/oauth/apps
+ * @desc Register a third-party app
+ * @access Private
+ */
+router.post(
+    "/apps",
+    protect,
+    requireScope("account:admin"),
+    [
+        ...appValidation(false),
+        body("confidential")
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage("confidential must be a boolean"),
+    ],
+    handleValidationErrors,
+    oauthController.createApp
+);
+
+/**
+ * @route GET /api/oauth/apps
+ * @desc List the apps registered by the current user
+ * @access Private
+ */
+router.get(
+    "/apps",
+    protect,
+    requireScope("account:admin"),
+    oauthController.getApps
+);
+
+/**
+ * @route GET /api/oauth/apps/:id
+ * @desc Get one of the current user's apps
+ * @access Private
+ */
+router.get(
+    "/apps/:id",
+    protect,
+    requireScope("account:admin"),
+    appIdParamValidation,
+    handleValidationErrors,
+    oauthController.getApp
+);
+
+/**
+ * @route PATCH /api/oauth/apps/:id
+ * @desc Update an app (name, description, website, redirect URIs)
+ * @access Private
+ */
+router.patch(
+    "/apps/:id",
+    protect,
+    requireScope("account:admin"),
+    [...appIdParamValidation, ...appValidation(true)],
+    handleValidationErrors,
+    oauthController.updateApp
+);
+
+/**
+ * @route POST /api/oauth/apps/:id/secret
+ * @desc Replace the client secret of a confidential app
+ * @access Private
+ */
+router.post(
+    "/apps/:id/secret",
+    protect,
+    requireScope("account:admin"),
+    appIdParamValidation,
+    handleValidationErrors,
+    oauthController.rotateAppSecret
+);
+
+/**
+ * @route DELETE /api/oauth/apps/:id
+ * @desc Delete an app and revoke its tokens
+ * @access Private
+ */
+router.delete(
+    "/apps/:id",
+    protect,
+    requireScope("account:admin"),
+    appIdParamValidation,
+    handleValidationErrors,
+    oauthController.deleteApp
+);
+
+/**
+ * @route GET /api/oauth/authorize
+ * @desc Validate an authorization request for the consent screen
+ * @access Private
+ */
+router.get(
+    "/authorize",
+    protect,
+    requireScope("account:admin"),
+    oauthController.getAuthorizationRequest
+);
+
+/**
+ * @route POST /api/oauth/authorize
+ * @desc Approve or deny an authorization request
+ * @access Private
+ */
+router.post(
+    "/authorize",
+    protect,
+    requireScope("account:admin"),
+    oauthController.decideAuthorization
+);
+
+/**
+ * @route POST /api/oauth/token
+ * @desc Exchange an authorization code or refresh token for tokens
+ * @access Public (client authentication)
+ */
+router.post("/token", oauthController.token);
+
+/**
+ * @route POST /api/oauth/introspect
+ * @desc Describe a token issued to the calling app (RFC 7662)
+ * @access Public (client authentication)
+ */
+router.post("/introspect", oauthController.introspect);
+
+/**
+ * @route POST /api/oauth/revoke
+ * @desc Revoke a token issued to the calling app (RFC 7009)
+ * @access Public (client authentication)
+ */
+router.post("/revoke", oauthController.revoke);
+
+/**
+ * @route GET /api/oauth/authorizations
+ * @desc List the apps the current user has authorized
+ * @access Private
+ */
+router.get(
+    "/authorizations",
+    protect,
+    requireScope("account:admin"),
+    oauthController.getAuthorizations
+);
+
+/**
+ * @route DELETE /api/oauth/authorizations/:appId
+ * @desc Revoke an app's access to the current user's account
+ * @access Private
+ */
+router.delete(
+    "/authorizations/:appId",
+    protect,
+    requireScope("account:admin"),
+    [param("appId").isMongoId().withMessage("Invalid app ID format")],
+    handleValidationErrors,
+    oauthController.revokeAuthorization
+);
+
+module.exports = router;
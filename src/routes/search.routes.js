@@ -1,7 +1,7 @@
 const express = require("express");
 const { query } = require("express-validator");
 const searchController = require("../controllers/search.controller");
-const { optionalAuth } = require("../middleware/auth.middleware");
+const { optionalAuth, requireScope } = require("../middleware/auth.middleware");
 const {
     handleValidationErrors,
 } = require("../middleware/validation.middleware");
@@ -42,6 +42,7 @@ const searchQueryValidation = [
 router.get(
     "/",
     optionalAuth,
+    requireScope("tweet:read"),
     searchQueryValidation,
     handleValidationErrors,
     searchController.search
@@ -1,6 +1,6 @@
 const express = require("express");
 const trendsController = require("../controllers/trends.controller");
-const { optionalAuth } = require("../middleware/auth.middleware");
+const { optionalAuth, requireScope } = require("../middleware/auth.middleware");
 
 const router = express.Router();
 
@@ -9,14 +9,24 @@ const router = express.Router();
  * @desc Get trending hashtags
  * @access Public (with optional auth)
  */
-router.get("/hashtags", optionalAuth, trendsController.getTrendingHashtags);
+router.get(
+    "/hashtags",
+    optionalAuth,
+    requireScope("tweet:read"),
+    trendsController.getTrendingHashtags
+);
 
 /**
  * @route GET /api/trends/popular
  * @desc Get popular tweets
  * @access Public (with optional auth)
  */
-router.get("/popular", optionalAuth, trendsController.getPopularTweets);
+router.get(
+    "/popular",
+    optionalAuth,
+    requireScope("tweet:read"),
+    trendsController.getPopularTweets
+);
 
 /**
  * @route GET /api/trends/hashtag/:hashtag
@@ -26,6 +36,7 @@ router.get("/popular", optionalAuth, trendsController.getPopularTweets);
 router.get(
     "/hashtag/:hashtag",
     optionalAuth,
+    requireScope("tweet:read"),
     trendsController.getTweetsByHashtag
 );
 
@@ -37,6 +48,7 @@ router.get(
 router.get(
     "/who-to-follow",
     optionalAuth,
+    requireScope("user:read"),
     trendsController.getRecommendedUsers
 );
 
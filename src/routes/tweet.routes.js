@@ -1,13 +1,22 @@
 const express = require("express");
 const { body, param } = require("express-validator");
 const tweetController = require("../controllers/tweet.controller");
-const { protect, optionalAuth } = require("../middleware/auth.middleware");
+const {
+    protect,
+    optionalAuth,
+    requireScope,
+    requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
 const {
     handleValidationErrors,
 } = require("../middleware/validation.middleware");
+const { resolveUsernameParam } = require("../middleware/username.middleware");
 
 const router = express.Router();
 
+// Old usernames resolve to the renamed account during the grace period
+router.param("username", resolveUsernameParam);
+
 // Validation Rules
 const createTweetValidation = [
     body("content")
@@ -54,6 +63,8 @@ const usernameParamValidation = [
 router.post(
     "/",
     protect,
+    requireScope("tweet:write"),
+    requireVerifiedEmail("tweet"),
     createTweetValidation,
     handleValidationErrors,
     tweetController.createTweet
@@ -64,7 +75,12 @@ router.post(
  * @desc Get user timeline
  * @access Private
  */
-router.get("/timeline", protect, tweetController.getTimeline);
+router.get(
+    "/timeline",
+    protect,
+    requireScope("tweet:read"),
+    tweetController.getTimeline
+);
 
 /**
  * @route GET /api/tweets/user/:username
@@ -74,6 +90,7 @@ router.get("/timeline", protect, tweetController.getTimeline);
 router.get(
     "/user/:username",
     optionalAuth, // Add optional auth to potentially enhance response
+    requireScope("tweet:read"),
     usernameParamValidation,
     handleValidationErrors,
     tweetController.getUserTweets
@@ -87,6 +104,7 @@ router.get(
 router.get(
     "/user/:username/replies",
     optionalAuth,
+    requireScope("tweet:read"),
     usernameParamValidation,
     handleValidationErrors,
     tweetController.getUserReplies
@@ -100,6 +118,7 @@ router.get(
 router.get(
     "/user/:username/likes",
     optionalAuth,
+    requireScope("tweet:read"),
     usernameParamValidation,
     handleValidationErrors,
     tweetController.getUserLikedTweets
@@ -113,6 +132,7 @@ router.get(
 router.get(
     "/:id",
     optionalAuth,
+    requireScope("tweet:read"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.getTweet
@@ -126,6 +146,7 @@ router.get(
 router.get(
     "/:id/thread",
     optionalAuth,
+    requireScope("tweet:read"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.getTweetThread
@@ -139,6 +160,7 @@ router.get(
 router.delete(
     "/:id",
     protect,
+    requireScope("tweet:write"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.deleteTweet
@@ -152,6 +174,8 @@ router.delete(
 router.post(
     "/:id/like",
     protect,
+    requireScope("tweet:write"),
+    requireVerifiedEmail("like"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.likeTweet
@@ -165,6 +189,7 @@ router.post(
 router.delete(
     "/:id/like",
     protect,
+    requireScope("tweet:write"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.unlikeTweet
@@ -178,6 +203,8 @@ router.delete(
 router.post(
     "/:id/retweet",
     protect,
+    requireScope("tweet:write"),
+    requireVerifiedEmail("retweet"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.retweetTweet
@@ -191,6 +218,7 @@ router.post(
 router.delete(
     "/:id/retweet",
     protect,
+    requireScope("tweet:write"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.undoRetweet
@@ -204,6 +232,7 @@ router.delete(
 router.post(
     "/:id/bookmark",
     protect,
+    requireScope("tweet:write"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.bookmarkTweet
@@ -217,9 +246,71 @@ router.post(
 router.delete(
     "/:id/bookmark",
     protect,
+    requireScope("tweet:write"),
     tweetIdParamValidation,
     handleValidationErrors,
     tweetController.unbookmarkTweet
 );
 
+/**
+ * @route POST /api/tweets/:id/pin
+ * @desc Pin a tweet to the current user's profile
+ * @access Private
+ */
+router.post(
+    "/:id/pin",
+    protect,
+    requireScope("tweet:write"),
+    tweetIdParamValidation,
+    handleValidationErrors,
+    tweetController.pinTweet
+);
+
+/**
+ * @route DELETE /api/tweets/:id/pin
+ * @desc Unpin a tweet from the current user's profile
+ * @access Private
+ */
+router.delete(
+    "/:id/pin",
+    protect,
+    requireScope("tweet:write"),
+    tweetIdParamValidation,
+    handleValidationErrors,
+    tweetController.unpinTweet
+);
+
+/**
+ * @route POST /api/tweets/:id/mute
+ * @desc Mute the conversation a tweet belongs to
+ * @access Private
+ */
+router.post(
+    "/:id/mute",
+    protect,
+    requireScope("user:write"),
+    tweetIdParamValidation,
+    body("expiresInDays")
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage("expiresInDays must be between 1 and 365")
+        .toInt(),
+    handleValidationErrors,
+    tweetController.muteConversation
+);
+
+/**
+ * @route DELETE /api/tweets/:id/mute
+ * @desc Unmute the conversation a tweet belongs to
+ * @access Private
+ */
+router.delete(
+    "/:id/mute",
+    protect,
+    requireScope("user:write"),
+    tweetIdParamValidation,
+    handleValidationErrors,
+    tweetController.unmuteConversation
+);
+
 module.exports = router;
@@ -2,7 +2,11 @@ const express = require("express");
 const router = express.Router();
 const uploadController = require("../controllers/upload.controller");
 const upload = require("../middleware/upload.middleware");
-const { protect } = require("../middleware/auth.middleware");
+const {
+    protect,
+    requireScope,
+    requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
 
 /**
  * @route POST /api/upload/tweet
@@ -12,6 +16,8 @@ const { protect } = require("../middleware/auth.middleware");
 router.post(
     "/tweet",
     protect,
+    requireScope("tweet:write"),
+    requireVerifiedEmail("tweet"),
     upload.tweetMedia,
     uploadController.uploadTweetMedia
 );
@@ -21,13 +27,25 @@ router.post(
  * @desc Upload user avatar
  * @access Private
  */
-router.post("/avatar", protect, upload.avatar, uploadController.uploadAvatar);
+router.post(
+    "/avatar",
+    protect,
+    requireScope("user:write"),
+    upload.avatar,
+    uploadController.uploadAvatar
+);
 
 /**
  * @route POST /api/upload/header
  * @desc Upload user profile header
  * @access Private
  */
-router.post("/header", protect, upload.header, uploadController.uploadHeader);
+router.post(
+    "/header",
+    protect,
+    requireScope("user:write"),
+    upload.header,
+    uploadController.uploadHeader
+);
 
 module.exports = router;
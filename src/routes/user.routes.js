@@ -1,13 +1,22 @@
 const express = require("express");
-const { body, param } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const userController = require("../controllers/user.controller");
-const { protect, optionalAuth } = require("../middleware/auth.middleware");
+const {
+    protect,
+    optionalAuth,
+    requireScope,
+    requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
 const {
     handleValidationErrors,
 } = require("../middleware/validation.middleware");
+const { resolveUsernameParam } = require("../middleware/username.middleware");
 
 const router = express.Router();
 
+// Old usernames resolve to the renamed account during the grace period
+router.param("username", resolveUsernameParam);
+
 // Validation Rules
 const usernameParamValidation = [
     param("username")
@@ -17,6 +26,23 @@ const usernameParamValidation = [
         .withMessage("Username parameter is required"),
 ];
 
+// Cursor pagination for the follower and following lists
+const followListValidation = [
+    query("cursor").optional().isMongoId().withMessage("Invalid cursor"),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage("Limit must be between 1 and 50"),
+];
+
+const muteExpiryValidation = [
+    body("expiresInDays")
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage("expiresInDays must be between 1 and 365")
+        .toInt(),
+];
+
 const updateProfileValidation = [
     body("name")
         .optional() // Allow partial updates
@@ -55,6 +81,11 @@ const updateProfileValidation = [
         .withMessage("Please provide a valid website URL (http/https)")
         .isLength({ max: 100 })
         .withMessage("Website URL cannot exceed 100 characters"),
+    body("isProtected")
+        .optional()
+        .isBoolean()
+        .withMessage("isProtected must be a boolean")
+        .toBoolean(true),
 ];
 
 /**
@@ -65,22 +96,208 @@ const updateProfileValidation = [
 router.get(
     "/recommendations/paginated",
     protect, // Requires user to be logged in
+    requireScope("user:read"),
     userController.getPaginatedRecommendedUsers
 );
 
+/**
+ * @route POST /api/users/recommendations/:username/dismiss
+ * @desc Stop suggesting a user ("not interested")
+ * @access Private
+ */
+router.post(
+    "/recommendations/:username/dismiss",
+    protect,
+    requireScope("user:write"),
+    usernameParamValidation,
+    handleValidationErrors,
+    userController.dismissUserRecommendation
+);
+
 /**
  * @route GET /api/users/suggestions
  * @desc Get user suggestions for mentions based on query
  * @access Private
  */
-router.get("/suggestions", protect, userController.getUserSuggestions);
+router.get(
+    "/suggestions",
+    protect,
+    requireScope("user:read"),
+    userController.getUserSuggestions
+);
+
+/**
+ * @route GET /api/users/relationships
+ * @desc Get the current user's relationship with several users
+ * (?usernames=a,b,c)
+ * @access Private
+ */
+router.get(
+    "/relationships",
+    protect,
+    requireScope("user:read"),
+    [
+        query("usernames")
+            .isString()
+            .notEmpty()
+            .withMessage("usernames is required")
+            .custom((value) => value.split(",").length <= 100)
+            .withMessage("At most 100 usernames can be looked up at once"),
+    ],
+    handleValidationErrors,
+    userController.getUserRelationships
+);
 
 /**
  * @route GET /api/users/bookmarks
  * @desc Get current user's bookmarked tweets
  * @access Private
  */
-router.get("/bookmarks", protect, userController.getUserBookmarks);
+router.get(
+    "/bookmarks",
+    protect,
+    requireScope("tweet:read"),
+    userController.getUserBookmarks
+);
+
+/**
+ * @route GET /api/users/blocks
+ * @desc Get the users the current user has blocked
+ * @access Private
+ */
+router.get(
+    "/blocks",
+    protect,
+    requireScope("user:read"),
+    [
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage("Limit must be between 1 and 50"),
+    ],
+    handleValidationErrors,
+    userController.getBlockedUsers
+);
+
+/**
+ * @route GET /api/users/follow-requests
+ * @desc Get pending requests to follow the current (protected) account
+ * @access Private
+ */
+router.get(
+    "/follow-requests",
+    protect,
+    requireScope("user:read"),
+    [
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage("Limit must be between 1 and 50"),
+    ],
+    handleValidationErrors,
+    userController.getFollowRequests
+);
+
+/**
+ * @route POST /api/users/follow-requests/:id/approve
+ * @desc Approve a follow request
+ * @access Private
+ */
+router.post(
+    "/follow-requests/:id/approve",
+    protect,
+    requireScope("user:write"),
+    [param("id").isMongoId().withMessage("Invalid follow request ID format")],
+    handleValidationErrors,
+    userController.approveFollowRequest
+);
+
+/**
+ * @route POST /api/users/follow-requests/:id/reject
+ * @desc Reject a follow request
+ * @access Private
+ */
+router.post(
+    "/follow-requests/:id/reject",
+    protect,
+    requireScope("user:write"),
+    [param("id").isMongoId().withMessage("Invalid follow request ID format")],
+    handleValidationErrors,
+    userController.rejectFollowRequest
+);
+
+/**
+ * @route GET /api/users/mutes
+ * @desc Get the current user's active mutes
+ * @access Private
+ */
+router.get(
+    "/mutes",
+    protect,
+    requireScope("user:read"),
+    [
+        query("type")
+            .optional()
+            .isIn(["user", "keyword", "hashtag", "conversation"])
+            .withMessage("Invalid mute type"),
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage("Limit must be between 1 and 50"),
+    ],
+    handleValidationErrors,
+    userController.getMutes
+);
+
+/**
+ * @route POST /api/users/mutes
+ * @desc Mute a keyword/phrase or a hashtag
+ * @access Private
+ */
+router.post(
+    "/mutes",
+    protect,
+    requireScope("user:write"),
+    [
+        body("type")
+            .isIn(["keyword", "hashtag"])
+            .withMessage("Type must be keyword or hashtag"),
+        body("value")
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage("Value must be between 1 and 100 characters"),
+        ...muteExpiryValidation,
+    ],
+    handleValidationErrors,
+    userController.createMute
+);
+
+/**
+ * @route DELETE /api/users/mutes/:id
+ * @desc Remove a mute
+ * @access Private
+ */
+router.delete(
+    "/mutes/:id",
+    protect,
+    requireScope("user:write"),
+    [param("id").isMongoId().withMessage("Invalid mute ID format")],
+    handleValidationErrors,
+    userController.deleteMute
+);
 
 /**
  * @route PATCH /api/users/profile
@@ -90,6 +307,7 @@ router.get("/bookmarks", protect, userController.getUserBookmarks);
 router.patch(
     "/profile",
     protect,
+    requireScope("user:write"),
     updateProfileValidation,
     handleValidationErrors,
     userController.updateUserProfile
@@ -103,6 +321,7 @@ router.patch(
 router.get(
     "/:username",
     optionalAuth,
+    requireScope("user:read"),
     usernameParamValidation,
     handleValidationErrors,
     userController.getUserProfile
@@ -116,6 +335,8 @@ router.get(
 router.post(
     "/:username/follow",
     protect,
+    requireScope("user:write"),
+    requireVerifiedEmail("follow"),
     usernameParamValidation,
     handleValidationErrors,
     userController.followUser
@@ -129,35 +350,115 @@ router.post(
 router.delete(
     "/:username/follow",
     protect,
+    requireScope("user:write"),
     usernameParamValidation,
     handleValidationErrors,
     userController.unfollowUser
 );
 
+/**
+ * @route POST /api/users/:username/block
+ * @desc Block a user
+ * @access Private
+ */
+router.post(
+    "/:username/block",
+    protect,
+    requireScope("user:write"),
+    usernameParamValidation,
+    handleValidationErrors,
+    userController.blockUser
+);
+
+/**
+ * @route DELETE /api/users/:username/block
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete(
+    "/:username/block",
+    protect,
+    requireScope("user:write"),
+    usernameParamValidation,
+    handleValidationErrors,
+    userController.unblockUser
+);
+
+/**
+ * @route POST /api/users/:username/mute
+ * @desc Mute a user
+ * @access Private
+ */
+router.post(
+    "/:username/mute",
+    protect,
+    requireScope("user:write"),
+    usernameParamValidation,
+    muteExpiryValidation,
+    handleValidationErrors,
+    userController.muteUser
+);
+
+/**
+ * @route DELETE /api/users/:username/mute
+ * @desc Unmute a user
+ * @access Private
+ */
+router.delete(
+    "/:username/mute",
+    protect,
+    requireScope("user:write"),
+    usernameParamValidation,
+    handleValidationErrors,
+    userController.unmuteUser
+);
+
 /**
  * @route GET /api/users/:username/followers
- * @desc Get user followers
+ * @desc Get user followers (newest first, cursor-paginated)
  * @access Public
  */
 router.get(
     "/:username/followers",
     optionalAuth,
-    usernameParamValidation,
+    requireScope("user:read"),
+    [...usernameParamValidation, ...followListValidation],
     handleValidationErrors,
     userController.getUserFollowers
 );
 
 /**
  * @route GET /api/users/:username/following
- * @desc Get users that a user is following
+ * @desc Get users that a user is following (newest first, cursor-paginated)
  * @access Public
  */
 router.get(
     "/:username/following",
     optionalAuth,
-    usernameParamValidation,
+    requireScope("user:read"),
+    [...usernameParamValidation, ...followListValidation],
     handleValidationErrors,
     userController.getUserFollowing
 );
 
+/**
+ * @route GET /api/users/:username/similar
+ * @desc Get accounts similar to a user ("You might also like")
+ * @access Public (with optional auth)
+ */
+router.get(
+    "/:username/similar",
+    optionalAuth,
+    requireScope("user:read"),
+    [
+        ...usernameParamValidation,
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 20 })
+            .withMessage("Limit must be between 1 and 20"),
+    ],
+    handleValidationErrors,
+    userController.getSimilarUsers
+);
+
 module.exports = router;
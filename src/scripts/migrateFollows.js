@@ -0,0 +1,116 @@
+// One-off migration moving follow relationships from the old embedded
+// User.following / User.followers arrays into the Follow collection, and
+// marking the edges to protected accounts. Safe to run more than once:
+// edges are upserted, users whose arrays were already moved are skipped and
+// the protected flags are recomputed.
+// Usage: npm run migrate:follows
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const Follow = require("../models/follow.model");
+const { reconcileUserCounts } = require("../utils/userCounts.utils");
+
+/**
+ * Copy every follow edge held in the user arrays into the Follow
+ * collection, drop the arrays, flag the edges to protected accounts and
+ * recompute the follow counters. Edges to users that no longer exist are
+ * left out.
+ * @param {Object} [options]
+ * @param {Number} [options.batchSize] - Users read per batch
+ * @returns {Promise<Number>} Number of edges created
+ */
+const migrateFollows = async ({ batchSize = 500 } = {}) => {
+    let created = 0;
+
+    // The arrays are no longer in the schema, so read them from the raw
+    // collection
+    const cursor = User.collection
+        .find(
+            {
+                $or: [
+                    { following: { $exists: true } },
+                    { followers: { $exists: true } },
+                ],
+            },
+            { projection: { following: 1, followers: 1 } }
+        )
+        .batchSize(batchSize);
+
+    for await (const user of cursor) {
+        const following = user.following || [];
+        const followers = user.followers || [];
+        const existingIds = new Set(
+            (
+                await User.distinct("_id", {
+                    _id: { $in: [...following, ...followers] },
+                })
+            ).map((id) => id.toString())
+        );
+
+        const edges = [
+            ...following.map((id) => ({ follower: user._id, followee: id })),
+            ...followers.map((id) => ({ follower: id, followee: user._id })),
+        ].filter(
+            ({ follower, followee }) =>
+                !follower.equals(followee) &&
+                existingIds.has(
+                    (follower.equals(user._id) ? followee : follower).toString()
+                )
+        );
+
+        if (edges.length > 0) {
+            const result = await Follow.bulkWrite(
+                edges.map((edge) => ({
+                    updateOne: {
+                        filter: edge,
+                        update: { $setOnInsert: edge },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+            created += result.upsertedCount;
+        }
+
+        await User.collection.updateOne(
+            { _id: user._id },
+            { $unset: { following: "", followers: "" } }
+        );
+    }
+
+    // Flag the edges to protected accounts, including edges created before
+    // the flag existed
+    const protectedUsers = User.find({ isProtected: true })
+        .select("_id")
+        .lean()
+        .cursor({ batchSize });
+    for await (const user of protectedUsers) {
+        await Follow.updateMany(
+            { followee: user._id, isProtected: { $ne: true } },
+            { isProtected: true }
+        );
+    }
+
+    await reconcileUserCounts({ batchSize });
+    return created;
+};
+
+if (require.main === module) {
+    require("dotenv").config();
+    (async () => {
+        try {
+            await mongoose.connect(
+                process.env.MONGODB_URI ||
+                    "mongodb://localhost:27017/twitter-clone"
+            );
+            const created = await migrateFollows();
+            console.log(`Follow migration: created ${created} edge(s)`);
+        } catch (error) {
+            console.error("Follow migration failed:", error);
+            process.exitCode = 1;
+        } finally {
+            await mongoose.disconnect();
+        }
+    })();
+}
+
+module.exports = { migrateFollows };
@@ -1,5 +1,8 @@
-const jwt = require("jsonwebtoken");
 const User = require("./models/user.model");
+const {
+    getBearerToken,
+    resolveBearerToken,
+} = require("./middleware/auth.middleware");
 
 // Placeholder for storing connected users if needed (consider alternatives like Redis for scalability)
 const connectedUsers = new Map(); // Map<userId, socketId>
@@ -7,12 +10,10 @@ const connectedUsers = new Map(); // Map<userId, socketId>
 const initializeSocketIO = (io) => {
     // Middleware for Socket.IO authentication
     io.use(async (socket, next) => {
+        // An explicit auth token, else the same header or cookie the HTTP
+        // routes accept
         const token =
-            socket.handshake.auth.token ||
-            socket.handshake.headers.cookie
-                ?.split("; ")
-                .find((row) => row.startsWith("access_token="))
-                ?.split("=")[1];
+            socket.handshake.auth.token || getBearerToken(socket.handshake);
 
         if (!token) {
             console.error("Socket Auth Error: No token provided.");
@@ -20,14 +21,21 @@ const initializeSocketIO = (io) => {
         }
 
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.id)
-                .select("_id username")
+            // Same checks as the HTTP routes: token type, revoked sessions,
+            // ended impersonations and personal access tokens
+            const { userId, message } = await resolveBearerToken(token);
+            if (message) {
+                console.error("Socket Auth Error:", message);
+                return next(new Error(`Authentication error: ${message}`));
+            }
+
+            const user = await User.findById(userId)
+                .select("_id username isActive")
                 .lean();
 
-            if (!user) {
+            if (!user || !user.isActive) {
                 console.error(
-                    `Socket Auth Error: User not found for token user ID: ${decoded.id}`
+                    `Socket Auth Error: User not found for token user ID: ${userId}`
                 );
                 return next(new Error("Authentication error: User not found."));
             }
@@ -0,0 +1,249 @@
+const User = require("../models/user.model");
+const Tweet = require("../models/tweet.model");
+const Notification = require("../models/notification.model");
+const Session = require("../models/session.model");
+const Token = require("../models/token.model");
+const PersonalAccessToken = require("../models/personalAccessToken.model");
+const OAuthClient = require("../models/oauthClient.model");
+const SecurityEvent = require("../models/securityEvent.model");
+const Impersonation = require("../models/impersonation.model");
+const Block = require("../models/block.model");
+const Mute = require("../models/mute.model");
+const Follow = require("../models/follow.model");
+const FollowRequest = require("../models/followRequest.model");
+const List = require("../models/list.model");
+const UsernameHistory = require("../models/usernameHistory.model");
+const RecommendationDismissal = require("../models/recommendationDismissal.model");
+const SimilarAccounts = require("../models/similarAccounts.model");
+const { revokeAllSessions } = require("./session.utils");
+
+// How long a deactivated account can still be reactivated by logging in
+const DELETION_GRACE_PERIOD_MS =
+    (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) *
+    24 *
+    60 *
+    60 *
+    1000;
+
+/**
+ * Deactivate a user's account. The account disappears and every session is
+ * signed out; it is permanently deleted once the grace period has passed
+ * unless the user logs in again before then.
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be permanently deleted
+ */
+const deactivateAccount = async (user) => {
+    const now = new Date();
+    const scheduledDeletionAt = new Date(
+        now.getTime() + DELETION_GRACE_PERIOD_MS
+    );
+
+    await User.updateOne(
+        { _id: user._id },
+        { isActive: false, deactivatedAt: now, scheduledDeletionAt }
+    );
+    await revokeAllSessions(user._id, "account_deactivated");
+
+    return scheduledDeletionAt;
+};
+
+/**
+ * Check whether a deactivated account is still within its grace period.
+ * Accounts disabled without self-service deactivation never qualify.
+ * @param {Object} user - User document
+ * @returns {Boolean} Whether logging in may reactivate the account
+ */
+const canReactivateAccount = (user) => {
+    return Boolean(
+        !user.isActive &&
+            user.deactivatedAt &&
+            user.scheduledDeletionAt &&
+            user.scheduledDeletionAt > new Date()
+    );
+};
+
+/**
+ * Cancel a pending deletion and make the account active again
+ * @param {Object} user - User document (updated in place)
+ * @returns {Promise<void>}
+ */
+const reactivateAccount = async (user) => {
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { isActive: true },
+            $unset: { deactivatedAt: 1, scheduledDeletionAt: 1 },
+        }
+    );
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.scheduledDeletionAt = undefined;
+};
+
+// Helper to turn grouped counts into counter decrements
+const buildDecrements = (groups, field) =>
+    groups.map(({ _id, count }) => ({
+        updateOne: {
+            filter: { _id },
+            update: { $inc: { [field]: -count } },
+        },
+    }));
+
+/**
+ * Permanently delete a user and everything that belongs to them: tweets,
+ * likes, retweets, bookmarks of their tweets, follow edges and requests,
+ * blocks, mutes, dismissed follow suggestions, their lists and list
+ * memberships, old usernames, notifications, sessions and tokens (including
+ * personal access tokens), security events, records of them being
+ * impersonated and the OAuth apps they registered.
+ * Engagement counters on other users' tweets and the follow counters of
+ * other users are decremented to match.
+ * @param {String} userId - User ID
+ * @returns {Promise<void>}
+ */
+const purgeUser = async (userId) => {
+    const ownTweets = await Tweet.find({ author: userId })
+        .select("_id inReplyTo quotedTweet")
+        .lean();
+    const tweetIds = ownTweets.map((tweet) => tweet._id);
+    const isOwnTweet = new Set(tweetIds.map((id) => id.toString()));
+
+    // Replies and quotes of other tweets were counted when they were created
+    const countBy = (field) => {
+        const counts = new Map();
+        ownTweets.forEach((tweet) => {
+            const parentId = tweet[field]?.toString();
+            if (parentId && !isOwnTweet.has(parentId)) {
+                counts.set(parentId, (counts.get(parentId) || 0) + 1);
+            }
+        });
+        return [...counts].map(([_id, count]) => ({ _id, count }));
+    };
+    const replyCounts = countBy("inReplyTo");
+    const quoteCounts = countBy("quotedTweet");
+
+    // Delete before decrementing so a retried purge cannot decrement twice
+    await Tweet.deleteMany({ author: userId });
+
+    const counterUpdates = [
+        ...buildDecrements(replyCounts, "engagementCount.replies"),
+        ...buildDecrements(quoteCounts, "engagementCount.quotes"),
+    ];
+    if (counterUpdates.length > 0) {
+        await Tweet.bulkWrite(counterUpdates, { ordered: false });
+    }
+
+    // Same for the follow counters of the accounts on the other side of the
+    // user's follow edges
+    const [followedIds, followerIds] = await Promise.all([
+        Follow.distinct("followee", { follower: userId }),
+        Follow.distinct("follower", { followee: userId }),
+    ]);
+    await Follow.deleteMany({
+        $or: [{ follower: userId }, { followee: userId }],
+    });
+
+    await Promise.all([
+        // $pull only matches tweets still holding the user, so the
+        // counters cannot drift on a retry
+        Tweet.updateMany(
+            { likes: userId },
+            {
+                $pull: { likes: userId },
+                $inc: { "engagementCount.likes": -1 },
+            }
+        ),
+        Tweet.updateMany(
+            { retweets: userId },
+            {
+                $pull: { retweets: userId },
+                $inc: { "engagementCount.retweets": -1 },
+            }
+        ),
+        User.updateMany(
+            { bookmarks: { $in: tweetIds } },
+            { $pull: { bookmarks: { $in: tweetIds } } }
+        ),
+        User.updateMany(
+            { _id: { $in: followedIds } },
+            { $inc: { followersCount: -1 } }
+        ),
+        User.updateMany(
+            { _id: { $in: followerIds } },
+            { $inc: { followingCount: -1 } }
+        ),
+        Notification.deleteMany({
+            $or: [
+                { recipient: userId },
+                { sender: userId },
+                { tweet: { $in: tweetIds } },
+            ],
+        }),
+        Session.deleteMany({ user: userId }),
+        Token.deleteMany({ user: userId }),
+        PersonalAccessToken.deleteMany({ user: userId }),
+        SecurityEvent.deleteMany({ user: userId }),
+        Impersonation.deleteMany({ user: userId }),
+        Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+        Mute.deleteMany({ $or: [{ user: userId }, { mutedUser: userId }] }),
+        RecommendationDismissal.deleteMany({
+            $or: [{ user: userId }, { dismissedUser: userId }],
+        }),
+        SimilarAccounts.deleteMany({ user: userId }),
+        FollowRequest.deleteMany({
+            $or: [{ requester: userId }, { target: userId }],
+        }),
+        List.deleteMany({ owner: userId }),
+        UsernameHistory.deleteMany({ user: userId }),
+        List.updateMany(
+            { $or: [{ members: userId }, { subscribers: userId }] },
+            { $pull: { members: userId, subscribers: userId } }
+        ),
+    ]);
+
+    // Apps the user registered stop working for everyone
+    const appIds = await OAuthClient.find({ owner: userId }).distinct("_id");
+    if (appIds.length > 0) {
+        await Session.updateMany(
+            { client: { $in: appIds }, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: "app_deleted" }
+        );
+        await OAuthClient.deleteMany({ _id: { $in: appIds } });
+    }
+
+    await User.deleteOne({ _id: userId });
+};
+
+/**
+ * Permanently delete every deactivated account whose grace period is over
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Number>} Number of accounts deleted
+ */
+const purgeDeactivatedAccounts = async (now = new Date()) => {
+    const users = await User.find({
+        isActive: false,
+        scheduledDeletionAt: { $lte: now },
+    })
+        .select("_id")
+        .lean();
+
+    let purged = 0;
+    for (const { _id } of users) {
+        try {
+            await purgeUser(_id);
+            purged++;
+        } catch (error) {
+            // Leave the account for the next run
+            console.error(`Failed to purge account ${_id}:`, error);
+        }
+    }
+    return purged;
+};
+
+module.exports = {
+    deactivateAccount,
+    canReactivateAccount,
+    reactivateAccount,
+    purgeUser,
+    purgeDeactivatedAccounts,
+};
@@ -0,0 +1,112 @@
+const Block = require("../models/block.model");
+const FollowRequest = require("../models/followRequest.model");
+const List = require("../models/list.model");
+const { removeFollow } = require("./follow.utils");
+
+/**
+ * Get the users a user must not see or interact with: everyone they blocked
+ * and everyone who blocked them
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} IDs of the other users (ObjectIds)
+ */
+const getBlockedUserIds = async (userId) => {
+    const blocks = await Block.find({
+        $or: [{ blocker: userId }, { blocked: userId }],
+    })
+        .select("blocker blocked")
+        .lean();
+
+    return blocks.map((block) =>
+        block.blocker.equals(userId) ? block.blocked : block.blocker
+    );
+};
+
+/**
+ * Check whether either of two users blocked the other
+ * @param {String} userId - User ID
+ * @param {String} otherUserId - Other user's ID
+ * @returns {Promise<Boolean>}
+ */
+const isBlockedEitherWay = async (userId, otherUserId) => {
+    const block = await Block.exists({
+        $or: [
+            { blocker: userId, blocked: otherUserId },
+            { blocker: otherUserId, blocked: userId },
+        ],
+    });
+    return Boolean(block);
+};
+
+/**
+ * Throw a 403 error when either of two users blocked the other
+ * @param {String} userId - User acting
+ * @param {String} otherUserId - User being acted on
+ * @returns {Promise<void>}
+ */
+const assertNotBlocked = async (userId, otherUserId) => {
+    if (await isBlockedEitherWay(userId, otherUserId)) {
+        const err = new Error("You cannot interact with this account");
+        err.statusCode = 403;
+        throw err;
+    }
+};
+
+/**
+ * Block a user. Follow relationships, pending follow requests, list
+ * memberships and list subscriptions between the two users are removed in
+ * both directions.
+ * @param {String} blockerId - User who blocks
+ * @param {String} blockedId - User to block
+ * @returns {Promise<Boolean>} false if the user was already blocked
+ */
+const createBlock = async (blockerId, blockedId) => {
+    const result = await Block.updateOne(
+        { blocker: blockerId, blocked: blockedId },
+        { $setOnInsert: { blocker: blockerId, blocked: blockedId } },
+        { upsert: true }
+    );
+
+    // Also runs when already blocked, to clean up after an interrupted block
+    await Promise.all([
+        removeFollow(blockerId, blockedId),
+        removeFollow(blockedId, blockerId),
+        FollowRequest.deleteMany({
+            $or: [
+                { requester: blockerId, target: blockedId },
+                { requester: blockedId, target: blockerId },
+            ],
+        }),
+        List.updateMany(
+            { owner: blockerId },
+            { $pull: { members: blockedId, subscribers: blockedId } }
+        ),
+        List.updateMany(
+            { owner: blockedId },
+            { $pull: { members: blockerId, subscribers: blockerId } }
+        ),
+    ]);
+
+    return result.upsertedCount > 0;
+};
+
+/**
+ * Unblock a user. Follow relationships removed by the block are not restored.
+ * @param {String} blockerId - User who blocked
+ * @param {String} blockedId - Blocked user
+ * @returns {Promise<Boolean>} false if the user was not blocked
+ */
+const removeBlock = async (blockerId, blockedId) => {
+    const result = await Block.deleteOne({
+        blocker: blockerId,
+        blocked: blockedId,
+    });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    getBlockedUserIds,
+    isBlockedEitherWay,
+    assertNotBlocked,
+    createBlock,
+    removeBlock,
+};
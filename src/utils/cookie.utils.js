@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const { generateRandomToken } = require("./token.utils");
+const { getTokenExpiry } = require("./jwt.utils");
+
+// Cookie names used by cookie auth mode (the socket handshake reads the
+// access token cookie too)
+const ACCESS_TOKEN_COOKIE = "access_token";
+const REFRESH_TOKEN_COOKIE = "refresh_token";
+const CSRF_TOKEN_COOKIE = "csrf_token";
+
+// Header clients echo the CSRF token in on state-changing requests
+const CSRF_TOKEN_HEADER = "X-CSRF-Token";
+
+// The refresh token is only sent to the endpoints that use it
+const REFRESH_TOKEN_COOKIE_PATH = "/api/auth";
+
+/**
+ * Parse a Cookie header
+ * @param {String} header - Cookie header value
+ * @returns {Object} Cookie values by name
+ */
+const parseCookies = (header) => {
+    const cookies = {};
+    (header || "").split(";").forEach((pair) => {
+        const separator = pair.indexOf("=");
+        if (separator === -1) return;
+
+        const name = pair.substring(0, separator).trim();
+        const value = pair.substring(separator + 1).trim();
+        if (!name || name in cookies) return;
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+};
+
+/**
+ * Read a cookie from a request
+ * @param {Object} req - Express request object
+ * @param {String} name - Cookie name
+ * @returns {String|undefined} Cookie value
+ */
+const getCookie = (req, name) => parseCookies(req.headers.cookie)[name];
+
+/**
+ * Check whether the client asked for cookie auth mode (X-Auth-Mode: cookie)
+ * @param {Object} req - Express request object
+ * @returns {Boolean} Whether tokens should be set as cookies
+ */
+const wantsCookieAuth = (req) =>
+    (req.get("X-Auth-Mode") || "").toLowerCase() === "cookie";
+
+// Helper for the attributes shared by every auth cookie
+const getCookieOptions = () => {
+    const secure = process.env.AUTH_COOKIE_SECURE
+        ? process.env.AUTH_COOKIE_SECURE === "true"
+        : process.env.NODE_ENV === "production";
+    const sameSite = (process.env.AUTH_COOKIE_SAME_SITE || "lax").toLowerCase();
+
+    return {
+        // Browsers reject SameSite=None cookies that are not Secure
+        secure: secure || sameSite === "none",
+        sameSite,
+        ...(process.env.AUTH_COOKIE_DOMAIN && {
+            domain: process.env.AUTH_COOKIE_DOMAIN,
+        }),
+    };
+};
+
+/**
+ * Generate a CSRF token for the double-submit check
+ * @returns {String} Random token
+ */
+const generateCsrfToken = () => generateRandomToken(32);
+
+/**
+ * Set the CSRF cookie. It is readable by scripts: the client sends its value
+ * back in the X-CSRF-Token header, which other sites cannot do.
+ * @param {Object} res - Express response object
+ * @param {String} csrfToken - CSRF token
+ * @param {Date} [expiresAt] - Cookie expiry (session cookie if omitted)
+ */
+const setCsrfCookie = (res, csrfToken, expiresAt) => {
+    res.cookie(CSRF_TOKEN_COOKIE, csrfToken, {
+        ...getCookieOptions(),
+        httpOnly: false,
+        path: "/",
+        ...(expiresAt && { expires: expiresAt }),
+    });
+};
+
+/**
+ * Set the access and refresh tokens as HttpOnly cookies, along with a new
+ * CSRF token
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - Access/refresh token pair
+ * @returns {String} The CSRF token the client must send on state-changing
+ * requests
+ */
+const setAuthCookies = (res, tokens) => {
+    const options = { ...getCookieOptions(), httpOnly: true };
+    const refreshExpiresAt = getTokenExpiry(tokens.refresh);
+
+    res.cookie(ACCESS_TOKEN_COOKIE, tokens.access, {
+        ...options,
+        path: "/",
+        expires: getTokenExpiry(tokens.access),
+    });
+    res.cookie(REFRESH_TOKEN_COOKIE, tokens.refresh, {
+        ...options,
+        path: REFRESH_TOKEN_COOKIE_PATH,
+        expires: refreshExpiresAt,
+    });
+
+    const csrfToken = generateCsrfToken();
+    setCsrfCookie(res, csrfToken, refreshExpiresAt);
+    return csrfToken;
+};
+
+/**
+ * Clear the auth and CSRF cookies
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+    const options = getCookieOptions();
+    res.clearCookie(ACCESS_TOKEN_COOKIE, { ...options, path: "/" });
+    res.clearCookie(REFRESH_TOKEN_COOKIE, {
+        ...options,
+        path: REFRESH_TOKEN_COOKIE_PATH,
+    });
+    res.clearCookie(CSRF_TOKEN_COOKIE, { ...options, path: "/" });
+};
+
+/**
+ * Check whether a request carries auth cookies (as opposed to tokens the
+ * client sent explicitly)
+ * @param {Object} req - Express request object
+ * @returns {Boolean} Whether an access or refresh token cookie is present
+ */
+const hasAuthCookies = (req) => {
+    const cookies = parseCookies(req.headers.cookie);
+    return Boolean(
+        cookies[ACCESS_TOKEN_COOKIE] || cookies[REFRESH_TOKEN_COOKIE]
+    );
+};
+
+/**
+ * Double-submit check: the X-CSRF-Token header must match the CSRF cookie
+ * @param {Object} req - Express request object
+ * @returns {Boolean} Whether the request carries a valid CSRF token
+ */
+const isValidCsrfToken = (req) => {
+    const cookieToken = getCookie(req, CSRF_TOKEN_COOKIE);
+    const headerToken = req.get(CSRF_TOKEN_HEADER);
+    if (!cookieToken || !headerToken) return false;
+
+    const expected = Buffer.from(cookieToken);
+    const presented = Buffer.from(headerToken);
+    return (
+        expected.length === presented.length &&
+        crypto.timingSafeEqual(expected, presented)
+    );
+};
+
+module.exports = {
+    ACCESS_TOKEN_COOKIE,
+    REFRESH_TOKEN_COOKIE,
+    CSRF_TOKEN_COOKIE,
+    CSRF_TOKEN_HEADER,
+    parseCookies,
+    getCookie,
+    wantsCookieAuth,
+    generateCsrfToken,
+    setCsrfCookie,
+    setAuthCookies,
+    clearAuthCookies,
+    hasAuthCookies,
+    isValidCsrfToken,
+};
@@ -0,0 +1,282 @@
+const User = require("../models/user.model");
+const Tweet = require("../models/tweet.model");
+const Follow = require("../models/follow.model");
+const FollowRequest = require("../models/followRequest.model");
+
+/**
+ * Make one user follow another, if they do not already. Counters only
+ * change when the edge is added, so a retry cannot drift them.
+ * @param {String} followerId - User who follows
+ * @param {String} followedId - User to follow
+ * @returns {Promise<Boolean>} false if the user was already following
+ */
+const addFollow = async (followerId, followedId) => {
+    const followed = await User.findById(followedId)
+        .select("isProtected")
+        .lean();
+    const result = await Follow.updateOne(
+        { follower: followerId, followee: followedId },
+        {
+            $setOnInsert: {
+                follower: followerId,
+                followee: followedId,
+                isProtected: Boolean(followed?.isProtected),
+            },
+        },
+        { upsert: true }
+    );
+    if (result.upsertedCount === 0) {
+        return false;
+    }
+
+    await Promise.all([
+        User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } }),
+        User.updateOne({ _id: followedId }, { $inc: { followersCount: 1 } }),
+    ]);
+    return true;
+};
+
+/**
+ * Remove the follow relationship from one user to another, if there is one.
+ * Counters only change when the edge existed, so a retry cannot drift them.
+ * @param {String} followerId - User who follows
+ * @param {String} followedId - User who is followed
+ * @returns {Promise<Boolean>} false if the user was not following
+ */
+const removeFollow = async (followerId, followedId) => {
+    const result = await Follow.deleteOne({
+        follower: followerId,
+        followee: followedId,
+    });
+    if (result.deletedCount === 0) {
+        return false;
+    }
+
+    await Promise.all([
+        User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } }),
+        User.updateOne({ _id: followedId }, { $inc: { followersCount: -1 } }),
+    ]);
+    return true;
+};
+
+/**
+ * Check whether one user follows another
+ * @param {String} followerId - User who may follow
+ * @param {String} followedId - User who may be followed
+ * @returns {Promise<Boolean>}
+ */
+const isFollowing = async (followerId, followedId) => {
+    return Boolean(
+        await Follow.exists({ follower: followerId, followee: followedId })
+    );
+};
+
+/**
+ * Get the IDs of the users a user follows
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} User IDs
+ */
+const getFollowingIds = async (userId) => {
+    return Follow.distinct("followee", { follower: userId });
+};
+
+/**
+ * Get which of some users a user follows, without loading everyone they
+ * follow
+ * @param {String} userId - User ID
+ * @param {Array} candidateIds - User IDs to check
+ * @returns {Promise<Array>} The followed user IDs among them
+ */
+const getFollowingIdsAmong = async (userId, candidateIds) => {
+    return Follow.distinct("followee", {
+        follower: userId,
+        followee: { $in: candidateIds },
+    });
+};
+
+/**
+ * Iterate over the IDs of the users a user follows in batches, so callers
+ * never hold every followed account at once
+ * @param {String} userId - User ID
+ * @param {Number} batchSize - Maximum number of IDs per batch
+ * @returns {AsyncGenerator<Array>} Batches of user IDs
+ */
+const iterateFollowingIds = async function* (userId, batchSize) {
+    const cursor = Follow.find({ follower: userId })
+        .select("followee")
+        .lean()
+        .cursor({ batchSize });
+
+    let batch = [];
+    for await (const edge of cursor) {
+        batch.push(edge.followee);
+        if (batch.length === batchSize) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        yield batch;
+    }
+};
+
+/**
+ * Get the IDs of the protected accounts a user follows (the only accounts
+ * whose follow makes a difference to what the user may see)
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} User IDs
+ */
+const getProtectedFollowingIds = async (userId) => {
+    return Follow.distinct("followee", {
+        follower: userId,
+        isProtected: true,
+    });
+};
+
+/**
+ * Get the IDs of a user's followers
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} User IDs
+ */
+const getFollowerIds = async (userId) => {
+    return Follow.distinct("follower", { followee: userId });
+};
+
+/**
+ * Summarize which of the accounts the viewer follows also follow a user
+ * ("Followed by X, Y and N others you follow"). Only active accounts count.
+ * @param {Object} viewerId - Authenticated user (ObjectId)
+ * @param {Object} userId - User whose followers are summarized (ObjectId)
+ * @param {Number} [sampleSize] - How many of those accounts to return
+ * @returns {Promise<Object>} { count, users } with the most recent followers
+ * first
+ */
+const getFollowedBySummary = async (viewerId, userId, sampleSize = 3) => {
+    const [summary] = await Follow.aggregate([
+        { $match: { followee: userId } },
+        // The viewer's own edge to each follower, if they follow them
+        {
+            $lookup: {
+                from: Follow.collection.name,
+                let: { follower: "$follower" },
+                pipeline: [
+                    {
+                        $match: {
+                            follower: viewerId,
+                            $expr: { $eq: ["$followee", "$$follower"] },
+                        },
+                    },
+                    { $project: { _id: 1 } },
+                ],
+                as: "viewerEdge",
+            },
+        },
+        { $match: { "viewerEdge.0": { $exists: true } } },
+        {
+            $lookup: {
+                from: User.collection.name,
+                let: { follower: "$follower" },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $eq: ["$_id", "$$follower"] },
+                            isActive: true,
+                        },
+                    },
+                    { $project: { username: 1, name: 1, avatar: 1 } },
+                ],
+                as: "follower",
+            },
+        },
+        { $unwind: "$follower" },
+        { $sort: { _id: -1 } },
+        {
+            $facet: {
+                count: [{ $count: "count" }],
+                users: [{ $limit: sampleSize }, { $replaceWith: "$follower" }],
+            },
+        },
+    ]);
+
+    return {
+        count: summary.count[0]?.count || 0,
+        users: summary.users,
+    };
+};
+
+/**
+ * Ask to follow a protected account
+ * @param {String} requesterId - User asking to follow
+ * @param {String} targetId - Protected account
+ * @returns {Promise<Boolean>} false if a request was already pending
+ */
+const createFollowRequest = async (requesterId, targetId) => {
+    const result = await FollowRequest.updateOne(
+        { requester: requesterId, target: targetId },
+        { $setOnInsert: { requester: requesterId, target: targetId } },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+};
+
+/**
+ * Withdraw a pending follow request
+ * @param {String} requesterId - User who asked to follow
+ * @param {String} targetId - Protected account
+ * @returns {Promise<Boolean>} false if no request was pending
+ */
+const cancelFollowRequest = async (requesterId, targetId) => {
+    const result = await FollowRequest.deleteOne({
+        requester: requesterId,
+        target: targetId,
+    });
+    return result.deletedCount > 0;
+};
+
+/**
+ * Accept a follow request: the requester follows the account from now on
+ * @param {Object} request - Follow request document
+ * @returns {Promise<void>}
+ */
+const acceptFollowRequest = async (request) => {
+    await addFollow(request.requester, request.target);
+    await FollowRequest.deleteOne({ _id: request._id });
+};
+
+/**
+ * Protect an account or make it public again. Existing tweets and follows
+ * of the account follow the setting, and making the account public accepts
+ * every pending request.
+ * @param {String} userId - User ID
+ * @param {Boolean} isProtected - New setting
+ * @returns {Promise<void>}
+ */
+const applyAccountProtection = async (userId, isProtected) => {
+    await Promise.all([
+        Tweet.updateMany({ author: userId }, { isPublic: !isProtected }),
+        Follow.updateMany({ followee: userId }, { isProtected }),
+    ]);
+
+    if (!isProtected) {
+        const requests = await FollowRequest.find({ target: userId }).lean();
+        for (const request of requests) {
+            await acceptFollowRequest(request);
+        }
+    }
+};
+
+module.exports = {
+    addFollow,
+    removeFollow,
+    isFollowing,
+    getFollowingIds,
+    getFollowingIdsAmong,
+    iterateFollowingIds,
+    getProtectedFollowingIds,
+    getFollowerIds,
+    getFollowedBySummary,
+    createFollowRequest,
+    cancelFollowRequest,
+    acceptFollowRequest,
+    applyAccountProtection,
+};
@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+const Impersonation = require("../models/impersonation.model");
+const { generateAccessToken, getTokenExpiry } = require("./jwt.utils");
+const { getClientInfo } = require("./session.utils");
+
+// Lifetime of impersonation tokens (kept short on purpose)
+const IMPERSONATION_TOKEN_EXPIRES_IN =
+    process.env.IMPERSONATION_TOKEN_EXPIRES_IN || "15m";
+
+// How many requests are kept on an impersonation record
+const MAX_RECORDED_REQUESTS = 500;
+
+/**
+ * Start impersonating a user and issue the impersonation token. The token is
+ * an access token for the user marked with the impersonation ID (imp) and
+ * the admin acting as the user (act, as in RFC 8693).
+ * @param {Object} admin - Admin user document
+ * @param {Object} user - User to impersonate
+ * @param {Object} options
+ * @param {String} options.reason - Why the user is impersonated
+ * @param {Boolean} [options.readOnly] - Block state-changing requests
+ * (default true)
+ * @param {Object} [req] - Express request, used to record the admin's device
+ * @returns {Promise<Object>} The impersonation record and token
+ */
+const startImpersonation = async (
+    admin,
+    user,
+    { reason, readOnly = true },
+    req
+) => {
+    const impersonationId = new mongoose.Types.ObjectId();
+    const token = generateAccessToken(
+        user,
+        { imp: impersonationId, act: { sub: admin._id } },
+        IMPERSONATION_TOKEN_EXPIRES_IN
+    );
+
+    const impersonation = await Impersonation.create({
+        _id: impersonationId,
+        admin: admin._id,
+        user: user._id,
+        reason,
+        readOnly,
+        expiresAt: getTokenExpiry(token),
+        ...getClientInfo(req),
+    });
+
+    return { impersonation, token };
+};
+
+/**
+ * Look up an impersonation that has neither ended nor expired
+ * @param {String} impersonationId - Impersonation ID
+ * @returns {Promise<Object|null>} The impersonation (lean) or null
+ */
+const getActiveImpersonation = async (impersonationId) => {
+    return Impersonation.findOne({
+        _id: impersonationId,
+        endedAt: null,
+        expiresAt: { $gt: new Date() },
+    })
+        .select("admin user readOnly expiresAt")
+        .lean();
+};
+
+/**
+ * Append a request made with an impersonation token to its audit record
+ * @param {String} impersonationId - Impersonation ID
+ * @param {Object} req - Express request object
+ * @param {Number} statusCode - Response status code
+ * @returns {Promise<void>}
+ */
+const recordImpersonatedRequest = async (impersonationId, req, statusCode) => {
+    await Impersonation.updateOne(
+        { _id: impersonationId },
+        {
+            $push: {
+                requests: {
+                    $each: [
+                        {
+                            method: req.method,
+                            path: req.originalUrl.substring(0, 512),
+                            statusCode,
+                            at: new Date(),
+                        },
+                    ],
+                    $slice: -MAX_RECORDED_REQUESTS,
+                },
+            },
+            $inc: { requestCount: 1 },
+        }
+    );
+};
+
+/**
+ * End an impersonation; its token stops working immediately
+ * @param {String} impersonationId - Impersonation ID
+ * @returns {Promise<Object|null>} The ended impersonation, or null if it was
+ * not active
+ */
+const endImpersonation = async (impersonationId) => {
+    return Impersonation.findOneAndUpdate(
+        { _id: impersonationId, endedAt: null },
+        { endedAt: new Date() },
+        { new: true }
+    );
+};
+
+module.exports = {
+    startImpersonation,
+    getActiveImpersonation,
+    recordImpersonatedRequest,
+    endImpersonation,
+};
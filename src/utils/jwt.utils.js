@@ -1,30 +1,46 @@
 const jwt = require("jsonwebtoken");
+const { generateRandomToken } = require("./token.utils");
 
 /**
  * Generate an access token for authenticated users
  * @param {Object} user - User object (excluding sensitive data)
+ * @param {Object} [claims] - Extra claims to embed (e.g. session ID)
+ * @param {String} [expiresIn] - Lifetime (defaults to JWT_EXPIRES_IN)
  * @returns {String} JWT token
  */
-const generateAccessToken = (user) => {
+const generateAccessToken = (
+    user,
+    claims = {},
+    expiresIn = process.env.JWT_EXPIRES_IN || "7d"
+) => {
     return jwt.sign(
         {
             id: user._id,
             username: user.username,
             role: user.role,
+            type: "access",
+            ...claims,
         },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
+        { expiresIn }
     );
 };
 
 /**
  * Generate a refresh token for extended sessions
  * @param {String} userId - User ID
+ * @param {String} sessionId - Session (token family) the token belongs to
  * @returns {String} Refresh token
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, sessionId) => {
     return jwt.sign(
-        { id: userId },
+        {
+            id: userId,
+            sid: sessionId,
+            // Unique per token so every rotation yields a distinct value
+            jti: generateRandomToken(16),
+            type: "refresh",
+        },
         process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d" }
     );
@@ -37,7 +53,10 @@ const generateRefreshToken = (userId) => {
  */
 const verifyAccessToken = (token) => {
     try {
-        return jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Reject other token types signed with the same secret
+        if (decoded.type && decoded.type !== "access") return null;
+        return decoded;
     } catch (error) {
         return null;
     }
@@ -50,18 +69,61 @@ const verifyAccessToken = (token) => {
  */
 const verifyRefreshToken = (token) => {
     try {
-        return jwt.verify(
+        const decoded = jwt.verify(
             token,
             process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
         );
+        if (decoded.type !== "refresh" || !decoded.sid) return null;
+        return decoded;
     } catch (error) {
         return null;
     }
 };
 
+/**
+ * Generate a short-lived challenge token proving the password step of a
+ * two-factor login succeeded
+ * @param {String} userId - User ID
+ * @returns {String} Challenge token
+ */
+const generateTwoFactorChallengeToken = (userId) => {
+    return jwt.sign(
+        { id: userId, type: "2fa_challenge" },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m" }
+    );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {String} token - Challenge token to verify
+ * @returns {Object|null} Decoded token payload or null if invalid
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.type === "2fa_challenge" ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Get the expiry date of a signed token
+ * @param {String} token - JWT token
+ * @returns {Date|null} Expiry date or null if the token has no expiry
+ */
+const getTokenExpiry = (token) => {
+    const decoded = jwt.decode(token);
+    return decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+};
+
 module.exports = {
     generateAccessToken,
     generateRefreshToken,
     verifyAccessToken,
     verifyRefreshToken,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
+    getTokenExpiry,
 };
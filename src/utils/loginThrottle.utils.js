@@ -0,0 +1,306 @@
+const LoginAttempt = require("../models/loginAttempt.model");
+
+/**
+ * Throttling policy, read from the environment on each call so it can be
+ * tuned without code changes
+ * @returns {Object} Policy settings
+ */
+const getPolicy = () => ({
+    // Failures are counted within this window (since the last failure)
+    windowMs:
+        (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 60) * 60 * 1000,
+    // Failures allowed per account before backoff kicks in
+    accountFreeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    // Failures per account that trigger a temporary lockout
+    accountLockoutThreshold:
+        parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+    lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    // IPs are shared (NAT, offices), so they get a larger allowance
+    ipFreeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 20,
+    // Exponential backoff: baseDelay * 2^(failures - freeAttempts), capped
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * 60 * 1000,
+});
+
+/**
+ * In-memory attempt store. Suitable for tests and single-instance setups.
+ * @returns {Object} Attempt store
+ */
+const createMemoryAttemptStore = () => {
+    const records = new Map();
+
+    const isExpired = (record, now) => record.expiresAt <= now;
+
+    return {
+        async get(key) {
+            const record = records.get(key);
+            if (!record) return null;
+            if (isExpired(record, new Date())) {
+                records.delete(key);
+                return null;
+            }
+            return { ...record };
+        },
+
+        async recordFailure(key, { windowMs, expiresAt }) {
+            const now = new Date();
+            const existing = records.get(key);
+            const withinWindow =
+                existing &&
+                !isExpired(existing, now) &&
+                existing.lastFailureAt &&
+                now - existing.lastFailureAt < windowMs;
+
+            const record = {
+                failures: withinWindow ? existing.failures + 1 : 1,
+                lastFailureAt: now,
+                lockedUntil: withinWindow ? existing.lockedUntil : null,
+                expiresAt,
+            };
+            records.set(key, record);
+
+            // Opportunistically drop stale entries so the map stays small
+            if (records.size > 10000) {
+                for (const [storedKey, stored] of records) {
+                    if (isExpired(stored, now)) records.delete(storedKey);
+                }
+            }
+            return { ...record };
+        },
+
+        async lock(key, lockedUntil) {
+            const record = records.get(key);
+            if (record) {
+                record.lockedUntil = lockedUntil;
+                if (record.expiresAt < lockedUntil) {
+                    record.expiresAt = lockedUntil;
+                }
+            }
+        },
+
+        async reset(key) {
+            records.delete(key);
+        },
+    };
+};
+
+/**
+ * MongoDB-backed attempt store, shared by every server instance
+ * @returns {Object} Attempt store
+ */
+const createMongoAttemptStore = () => ({
+    async get(key) {
+        return LoginAttempt.findOne({
+            key,
+            expiresAt: { $gt: new Date() },
+        }).lean();
+    },
+
+    async recordFailure(key, { windowMs, expiresAt }) {
+        const now = new Date();
+        const windowStart = new Date(now.getTime() - windowMs);
+        // Atomic increment, restarting the count once the window has passed
+        const withinWindow = { $gte: ["$lastFailureAt", windowStart] };
+
+        return LoginAttempt.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        failures: {
+                            $cond: [
+                                withinWindow,
+                                { $add: ["$failures", 1] },
+                                1,
+                            ],
+                        },
+                        lockedUntil: {
+                            $cond: [withinWindow, "$lockedUntil", null],
+                        },
+                        lastFailureAt: now,
+                        expiresAt: { $max: ["$expiresAt", expiresAt] },
+                    },
+                },
+            ],
+            { upsert: true, new: true }
+        ).lean();
+    },
+
+    async lock(key, lockedUntil) {
+        await LoginAttempt.updateOne({ key }, [
+            {
+                $set: {
+                    lockedUntil,
+                    expiresAt: { $max: ["$expiresAt", lockedUntil] },
+                },
+            },
+        ]);
+    },
+
+    async reset(key) {
+        await LoginAttempt.deleteOne({ key });
+    },
+});
+
+let attemptStore = null;
+
+/**
+ * Get the active attempt store. Uses LOGIN_THROTTLE_STORE ("memory" or
+ * "mongo"); defaults to memory under test and MongoDB otherwise.
+ * @returns {Object} Attempt store
+ */
+const getAttemptStore = () => {
+    if (!attemptStore) {
+        const storeName =
+            process.env.LOGIN_THROTTLE_STORE ||
+            (process.env.NODE_ENV === "test" ? "memory" : "mongo");
+        attemptStore =
+            storeName === "memory"
+                ? createMemoryAttemptStore()
+                : createMongoAttemptStore();
+    }
+    return attemptStore;
+};
+
+/**
+ * Replace the attempt store (e.g. with a Redis-backed implementation)
+ * @param {Object|null} store - Store implementing get/recordFailure/lock/reset
+ */
+const setAttemptStore = (store) => {
+    attemptStore = store;
+};
+
+// Keys for the two counters a login attempt touches
+const accountKey = (accountId) => `account:${String(accountId).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Delay required after `failures` failures when `freeAttempts` are allowed
+const getBackoffMs = (failures, freeAttempts, policy) => {
+    if (failures < freeAttempts) return 0;
+    return Math.min(
+        policy.baseDelayMs * 2 ** (failures - freeAttempts),
+        policy.maxDelayMs
+    );
+};
+
+// Milliseconds until a record's backoff has elapsed
+const getRemainingBackoffMs = (record, freeAttempts, policy, now) => {
+    if (!record || !record.lastFailureAt) return 0;
+    const delay = getBackoffMs(record.failures, freeAttempts, policy);
+    return Math.max(0, new Date(record.lastFailureAt).getTime() + delay - now);
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} attempt
+ * @param {String} attempt.ip - Client IP address
+ * @param {String} [attempt.accountId] - User ID, or the normalized identifier
+ * typed by the client when no such user exists
+ * @returns {Promise<Object>} `{ allowed: true }`, or `{ allowed: false,
+ * statusCode, message, retryAfterSeconds }` (423 locked, 429 slow down)
+ */
+const checkLoginAllowed = async ({ ip, accountId }) => {
+    const store = getAttemptStore();
+    const policy = getPolicy();
+    const now = Date.now();
+
+    const [ipRecord, accountRecord] = await Promise.all([
+        ip ? store.get(ipKey(ip)) : null,
+        accountId ? store.get(accountKey(accountId)) : null,
+    ]);
+
+    const lockedUntil = accountRecord?.lockedUntil
+        ? new Date(accountRecord.lockedUntil).getTime()
+        : 0;
+    if (lockedUntil > now) {
+        return {
+            allowed: false,
+            statusCode: 423,
+            message:
+                "This account is temporarily locked because of too many failed login attempts. Please try again later or reset your password.",
+            retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000),
+        };
+    }
+
+    const waitMs = Math.max(
+        getRemainingBackoffMs(
+            accountRecord,
+            policy.accountFreeAttempts,
+            policy,
+            now
+        ),
+        getRemainingBackoffMs(ipRecord, policy.ipFreeAttempts, policy, now)
+    );
+    if (waitMs > 0) {
+        return {
+            allowed: false,
+            statusCode: 429,
+            message:
+                "Too many failed login attempts. Please wait before trying again.",
+            retryAfterSeconds: Math.ceil(waitMs / 1000),
+        };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Record a failed login attempt, locking the account once the threshold is
+ * reached
+ * @param {Object} attempt
+ * @param {String} attempt.ip - Client IP address
+ * @param {String} [attempt.accountId] - User ID or normalized identifier
+ * @returns {Promise<Object>} `{ locked, lockedUntil }` - `locked` is true only
+ * for the attempt that triggered the lockout
+ */
+const recordFailedLogin = async ({ ip, accountId }) => {
+    const store = getAttemptStore();
+    const policy = getPolicy();
+    const expiresAt = new Date(Date.now() + policy.windowMs + policy.lockoutMs);
+
+    const [, accountRecord] = await Promise.all([
+        ip ? store.recordFailure(ipKey(ip), { ...policy, expiresAt }) : null,
+        accountId
+            ? store.recordFailure(accountKey(accountId), {
+                  ...policy,
+                  expiresAt,
+              })
+            : null,
+    ]);
+
+    const alreadyLocked =
+        accountRecord?.lockedUntil &&
+        new Date(accountRecord.lockedUntil).getTime() > Date.now();
+    if (
+        accountRecord &&
+        accountRecord.failures >= policy.accountLockoutThreshold &&
+        !alreadyLocked
+    ) {
+        const lockedUntil = new Date(Date.now() + policy.lockoutMs);
+        await store.lock(accountKey(accountId), lockedUntil);
+        return { locked: true, lockedUntil };
+    }
+
+    return { locked: false, lockedUntil: accountRecord?.lockedUntil || null };
+};
+
+/**
+ * Clear the per-account counter after a successful login. The per-IP counter
+ * is kept so a valid account cannot be used to reset it.
+ * @param {Object} attempt
+ * @param {String} attempt.accountId - User ID
+ * @returns {Promise<void>}
+ */
+const recordSuccessfulLogin = async ({ accountId }) => {
+    await getAttemptStore().reset(accountKey(accountId));
+};
+
+module.exports = {
+    createMemoryAttemptStore,
+    createMongoAttemptStore,
+    getAttemptStore,
+    setAttemptStore,
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+};
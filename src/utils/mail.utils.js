@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Directory used by the outbox transport
+const getOutboxDir = () =>
+    process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../mail-outbox");
+
+/**
+ * Built-in mail transports. A transport is any object exposing an async
+ * `send(message)` method; custom ones (SMTP, API providers) can be plugged in
+ * with setMailTransport().
+ */
+const transports = {
+    // Writes each message as a JSON file - for local development and tests
+    outbox: {
+        send: async (message) => {
+            const dir = getOutboxDir();
+            await fs.promises.mkdir(dir, { recursive: true });
+            const filename = `${Date.now()}_${crypto
+                .randomBytes(4)
+                .toString("hex")}.json`;
+            await fs.promises.writeFile(
+                path.join(dir, filename),
+                JSON.stringify(message, null, 2)
+            );
+            return { id: filename };
+        },
+    },
+    // Prints messages to stdout
+    console: {
+        send: async (message) => {
+            console.log(
+                `[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`
+            );
+            return { id: null };
+        },
+    },
+};
+
+let customTransport = null;
+
+/**
+ * Replace the mail transport (e.g. with an SMTP-backed implementation)
+ * @param {Object|null} transport - Object with an async send(message) method,
+ * or null to fall back to MAIL_TRANSPORT
+ */
+const setMailTransport = (transport) => {
+    if (transport && typeof transport.send !== "function") {
+        throw new Error("Mail transport must implement send(message)");
+    }
+    customTransport = transport;
+};
+
+/**
+ * Get the active mail transport
+ * @returns {Object} Mail transport
+ */
+const getMailTransport = () => {
+    if (customTransport) return customTransport;
+
+    const name = process.env.MAIL_TRANSPORT || "outbox";
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.subject - Subject line
+ * @param {String} options.text - Plain-text body
+ * @param {String} [options.html] - Optional HTML body
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    const message = {
+        from: process.env.MAIL_FROM || "no-reply@localhost",
+        to,
+        subject,
+        text,
+        ...(html && { html }),
+        sentAt: new Date().toISOString(),
+    };
+    return getMailTransport().send(message);
+};
+
+/**
+ * Read messages written by the outbox transport, newest first
+ * @param {Object} [filter]
+ * @param {String} [filter.to] - Only return messages sent to this address
+ * @returns {Promise<Array>} Messages
+ */
+const getOutboxMessages = async ({ to } = {}) => {
+    const dir = getOutboxDir();
+    let files;
+    try {
+        files = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+
+    const messages = await Promise.all(
+        files
+            .filter((file) => file.endsWith(".json"))
+            .sort()
+            .reverse()
+            .map(async (file) =>
+                JSON.parse(
+                    await fs.promises.readFile(path.join(dir, file), "utf8")
+                )
+            )
+    );
+
+    return to ? messages.filter((message) => message.to === to) : messages;
+};
+
+/**
+ * Build a link into the frontend application
+ * @param {String} pathname - Path on the frontend (e.g. "/reset-password")
+ * @param {Object} [params] - Query string parameters
+ * @returns {String} Absolute URL
+ */
+const buildFrontendUrl = (pathname, params = {}) => {
+    const url = new URL(
+        pathname,
+        process.env.FRONTEND_URL || "http://localhost:3000"
+    );
+    Object.entries(params).forEach(([key, value]) =>
+        url.searchParams.set(key, value)
+    );
+    return url.toString();
+};
+
+module.exports = {
+    sendMail,
+    setMailTransport,
+    getMailTransport,
+    getOutboxMessages,
+    buildFrontendUrl,
+};
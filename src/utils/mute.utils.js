@@ -0,0 +1,196 @@
+const Mute = require("../models/mute.model");
+
+// Field holding the muted target for each mute type
+const MUTE_TARGET_FIELDS = {
+    user: "mutedUser",
+    keyword: "keyword",
+    hashtag: "hashtag",
+    conversation: "conversation",
+};
+
+// Helper to check whether a list of ObjectIds contains an ID
+const includesId = (ids, id) => Boolean(id) && ids.some((x) => x.equals(id));
+
+// Helper to escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Normalize a muted word or phrase: lowercased, with single spaces
+ * @param {String} keyword - Keyword as entered
+ * @returns {String} Normalized keyword
+ */
+const normalizeKeyword = (keyword) =>
+    keyword.trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Normalize a muted hashtag: lowercased, without the leading "#"
+ * @param {String} hashtag - Hashtag as entered
+ * @returns {String} Normalized hashtag ("" if it is not a valid hashtag)
+ */
+const normalizeHashtag = (hashtag) => {
+    const tag = hashtag.trim().replace(/^#/, "").toLowerCase();
+    return /^[\p{L}\p{N}_]+$/u.test(tag) ? tag : "";
+};
+
+/**
+ * Build a case-insensitive regular expression matching any of the keywords
+ * as whole words or phrases. Works both in JavaScript and in MongoDB queries.
+ * @param {Array<String>} keywords - Normalized keywords
+ * @returns {RegExp}
+ */
+const buildKeywordRegex = (keywords) =>
+    new RegExp(`(^|\\W)(${keywords.map(escapeRegex).join("|")})(?=\\W|$)`, "i");
+
+/**
+ * Mute a target, or change the expiry of an existing mute
+ * @param {String} userId - User muting
+ * @param {String} type - Mute type ("user", "keyword", "hashtag" or
+ * "conversation")
+ * @param {*} target - Muted user ID, keyword, hashtag or root tweet ID
+ * @param {Number} [expiresInDays] - Mute for this many days (omit to mute
+ * until removed)
+ * @returns {Promise<Object>} The mute
+ */
+const muteTarget = async (userId, type, target, expiresInDays) => {
+    const expiresAt = expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null;
+
+    return Mute.findOneAndUpdate(
+        { user: userId, type, [MUTE_TARGET_FIELDS[type]]: target },
+        { $set: { expiresAt } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Remove the mute of a target
+ * @param {String} userId - User who muted
+ * @param {String} type - Mute type
+ * @param {*} target - Muted user ID, keyword, hashtag or root tweet ID
+ * @returns {Promise<Boolean>} false if the target was not muted
+ */
+const unmuteTarget = async (userId, type, target) => {
+    const result = await Mute.deleteOne({
+        user: userId,
+        type,
+        [MUTE_TARGET_FIELDS[type]]: target,
+    });
+    return result.deletedCount > 0;
+};
+
+/**
+ * Get a user's mutes that have not expired, grouped by type
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { userIds, keywords, hashtags, conversationIds }
+ */
+const getActiveMutes = async (userId) => {
+    const mutes = await Mute.find({
+        user: userId,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    }).lean();
+
+    const targetsOf = (type) =>
+        mutes
+            .filter((mute) => mute.type === type)
+            .map((mute) => mute[MUTE_TARGET_FIELDS[type]]);
+
+    return {
+        userIds: targetsOf("user"),
+        keywords: targetsOf("keyword"),
+        hashtags: targetsOf("hashtag"),
+        conversationIds: targetsOf("conversation"),
+    };
+};
+
+/**
+ * Build the query conditions leaving muted tweets out, to be merged into a
+ * tweet query
+ * @param {Object} mutes - Active mutes (see getActiveMutes)
+ * @returns {Object} Query conditions ({} when nothing is muted)
+ */
+const buildMuteQuery = (mutes) => {
+    const conditions = [];
+    if (mutes.userIds.length > 0) {
+        conditions.push({ author: { $in: mutes.userIds } });
+    }
+    if (mutes.hashtags.length > 0) {
+        conditions.push({ hashtags: { $in: mutes.hashtags } });
+    }
+    if (mutes.conversationIds.length > 0) {
+        // Tweets created before conversations were tracked only match the
+        // root tweet by its ID
+        conditions.push(
+            { conversation: { $in: mutes.conversationIds } },
+            { _id: { $in: mutes.conversationIds } }
+        );
+    }
+    if (mutes.keywords.length > 0) {
+        conditions.push({ content: buildKeywordRegex(mutes.keywords) });
+    }
+    return conditions.length > 0 ? { $nor: conditions } : {};
+};
+
+/**
+ * Check whether a tweet is muted (the in-memory version of buildMuteQuery)
+ * @param {Object} mutes - Active mutes (see getActiveMutes)
+ * @param {Object} tweet - Tweet (author, content, hashtags, conversation)
+ * @returns {Boolean}
+ */
+const isTweetMuted = (mutes, tweet) =>
+    includesId(mutes.userIds, tweet.author) ||
+    (tweet.hashtags || []).some((tag) => mutes.hashtags.includes(tag)) ||
+    includesId(mutes.conversationIds, tweet.conversation) ||
+    includesId(mutes.conversationIds, tweet._id) ||
+    (mutes.keywords.length > 0 &&
+        buildKeywordRegex(mutes.keywords).test(tweet.content || ""));
+
+/**
+ * Check whether a notification would show the recipient something they
+ * muted: an account they muted, or a muted tweet. Errors are logged and
+ * treated as not muted, so they never break the request notifying.
+ * @param {String} recipientId - User to notify
+ * @param {String} senderId - User triggering the notification
+ * @param {Object} [tweet] - Tweet the notification is about, when its
+ * content matters (mentions, replies, quotes)
+ * @returns {Promise<Boolean>}
+ */
+const isNotificationMuted = async (recipientId, senderId, tweet) => {
+    try {
+        const mutes = await getActiveMutes(recipientId);
+        return (
+            includesId(mutes.userIds, senderId) ||
+            Boolean(tweet && isTweetMuted(mutes, tweet))
+        );
+    } catch (error) {
+        console.error("Error checking notification mutes:", error);
+        return false;
+    }
+};
+
+/**
+ * Shape a mute for API responses
+ * @param {Object} mute - Mute document
+ * @returns {Object}
+ */
+const formatMute = (mute) => {
+    const field = MUTE_TARGET_FIELDS[mute.type];
+    return {
+        _id: mute._id,
+        type: mute.type,
+        [field]: mute[field],
+        expiresAt: mute.expiresAt,
+        createdAt: mute.createdAt,
+    };
+};
+
+module.exports = {
+    normalizeKeyword,
+    normalizeHashtag,
+    muteTarget,
+    unmuteTarget,
+    getActiveMutes,
+    buildMuteQuery,
+    isNotificationMuted,
+    formatMute,
+};
@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const OAuthClient = require("../models/oauthClient.model");
+const { generateRandomToken, hashToken } = require("./token.utils");
+const { APP_SCOPES } = require("./scope.utils");
+
+/**
+ * Build an error reported in the OAuth 2.0 format ({ error,
+ * error_description }) rather than the API's usual one
+ * @param {String} code - OAuth error code (e.g. "invalid_grant")
+ * @param {String} description - Human-readable description
+ * @param {Number} [statusCode] - HTTP status (default 400)
+ * @returns {Error} Error carrying oauthError and statusCode
+ */
+const createOAuthError = (code, description, statusCode = 400) => {
+    const error = new Error(description);
+    error.oauthError = code;
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Send an error in the OAuth 2.0 format. Errors that are not OAuth errors
+ * become "server_error".
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error to report
+ */
+const sendOAuthError = (res, error) => {
+    if (!error.oauthError) {
+        console.error("OAuth error:", error);
+    }
+    res.status(error.oauthError ? error.statusCode : 500).json({
+        error: error.oauthError || "server_error",
+        error_description: error.oauthError
+            ? error.message
+            : "An unexpected error occurred",
+        // Where the user agent should be sent back to, when the app can be
+        // told about the error
+        ...(error.redirectTo && { redirectTo: error.redirectTo }),
+    });
+};
+
+/**
+ * Generate a client secret for a confidential app
+ * @returns {String} Raw client secret (only its hash is stored)
+ */
+const generateClientSecret = () => `rtw_cs_${generateRandomToken(32)}`;
+
+/**
+ * Check that a redirect URI is absolute, has no fragment and uses HTTPS
+ * (plain HTTP is only allowed for local development)
+ * @param {String} uri - Redirect URI
+ * @returns {Boolean} Whether the URI can be registered
+ */
+const isValidRedirectUri = (uri) => {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch (error) {
+        return false;
+    }
+    if (url.hash) return false;
+    if (url.protocol === "https:") return true;
+    return (
+        url.protocol === "http:" &&
+        ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname)
+    );
+};
+
+/**
+ * Append query parameters to a redirect URI
+ * @param {String} redirectUri - Registered redirect URI
+ * @param {Object} params - Parameters (undefined values are skipped)
+ * @returns {String} URL to send the user agent to
+ */
+const buildRedirectUrl = (redirectUri, params) => {
+    const url = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(key, value);
+        }
+    });
+    return url.toString();
+};
+
+/**
+ * Parse a space-separated scope parameter
+ * @param {String} scope - Requested scopes
+ * @returns {String[]} Unique requested scopes
+ * @throws {Error} invalid_scope if a scope is missing, unknown or not
+ * available to apps
+ */
+const parseScopes = (scope) => {
+    const scopes = [
+        ...new Set(
+            String(scope || "")
+                .split(" ")
+                .filter(Boolean)
+        ),
+    ];
+    if (scopes.length === 0) {
+        throw createOAuthError(
+            "invalid_scope",
+            "At least one scope is required"
+        );
+    }
+
+    const invalid = scopes.filter((name) => !APP_SCOPES.includes(name));
+    if (invalid.length > 0) {
+        throw createOAuthError(
+            "invalid_scope",
+            `Unknown or unavailable scope: ${invalid.join(", ")}`
+        );
+    }
+    return scopes;
+};
+
+/**
+ * Check a PKCE code verifier against the challenge sent with the
+ * authorization request (S256 method)
+ * @param {String} codeVerifier - Verifier sent to the token endpoint
+ * @param {String} codeChallenge - Challenge stored with the code
+ * @returns {Boolean} Whether the verifier matches
+ */
+const verifyPkce = (codeVerifier, codeChallenge) => {
+    if (!codeVerifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+        return false;
+    }
+    const expected = crypto
+        .createHash("sha256")
+        .update(codeVerifier)
+        .digest("base64url");
+    return expected === codeChallenge;
+};
+
+// Helper to decode a form-encoded Basic credential, tolerating bad escapes
+const decodeCredential = (value) => {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, " "));
+    } catch (error) {
+        return value;
+    }
+};
+
+/**
+ * Authenticate the app calling the token, introspection or revocation
+ * endpoint, using HTTP Basic credentials or client_id/client_secret in the
+ * body. Public apps only send their client_id.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} The authenticated OAuthClient document
+ * @throws {Error} invalid_client (401)
+ */
+const authenticateClient = async (req) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const authorization = req.headers.authorization || "";
+    if (authorization.startsWith("Basic ")) {
+        const decoded = Buffer.from(
+            authorization.substring(6),
+            "base64"
+        ).toString();
+        const separator = decoded.indexOf(":");
+        clientId = decodeCredential(decoded.substring(0, separator));
+        clientSecret = decodeCredential(decoded.substring(separator + 1));
+    }
+
+    const client =
+        clientId &&
+        (await OAuthClient.findOne({ clientId: String(clientId) }).select(
+            "+clientSecretHash"
+        ));
+
+    let authenticated = Boolean(client);
+    if (client && client.confidential) {
+        const presented = Buffer.from(hashToken(clientSecret || ""));
+        const expected = Buffer.from(client.clientSecretHash || "");
+        authenticated =
+            Boolean(clientSecret) &&
+            presented.length === expected.length &&
+            crypto.timingSafeEqual(presented, expected);
+    }
+
+    if (!authenticated) {
+        throw createOAuthError(
+            "invalid_client",
+            "Client authentication failed",
+            401
+        );
+    }
+    return client;
+};
+
+module.exports = {
+    createOAuthError,
+    sendOAuthError,
+    generateClientSecret,
+    isValidRedirectUri,
+    buildRedirectUrl,
+    parseScopes,
+    verifyPkce,
+    authenticateClient,
+};
@@ -0,0 +1,94 @@
+const PersonalAccessToken = require("../models/personalAccessToken.model");
+const { generateRandomToken, hashToken } = require("./token.utils");
+
+// Recognisable prefix so leaked tokens are easy to spot (e.g. by secret
+// scanners) and can be told apart from JWTs without decoding them
+const PERSONAL_ACCESS_TOKEN_PREFIX = "rtw_pat_";
+
+// How often (at most) using a token refreshes its lastUsedAt
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether a bearer token is a personal access token
+ * @param {String} token - Bearer token
+ * @returns {Boolean} Whether the token has the personal access token prefix
+ */
+const isPersonalAccessToken = (token) => {
+    return (
+        typeof token === "string" &&
+        token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)
+    );
+};
+
+/**
+ * Create a personal access token for a user
+ * @param {String} userId - User ID
+ * @param {Object} options
+ * @param {String} options.name - Name chosen by the user
+ * @param {String[]} options.scopes - Granted scopes
+ * @param {Date|null} [options.expiresAt] - Expiry, or null for none
+ * @returns {Promise<Object>} The raw token (shown once) and the stored token
+ */
+const createPersonalAccessToken = async (
+    userId,
+    { name, scopes, expiresAt = null }
+) => {
+    const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateRandomToken(32)}`;
+
+    const personalAccessToken = await PersonalAccessToken.create({
+        user: userId,
+        name,
+        tokenHash: hashToken(token),
+        tokenPrefix: token.substring(
+            0,
+            PERSONAL_ACCESS_TOKEN_PREFIX.length + 4
+        ),
+        scopes: [...new Set(scopes)],
+        expiresAt,
+    });
+
+    return { token, personalAccessToken };
+};
+
+/**
+ * Look up a personal access token that is neither revoked nor expired.
+ * Also bumps its lastUsedAt (at most every few minutes).
+ * @param {String} token - Raw token presented by the client
+ * @returns {Promise<Object|null>} The lean token document, or null
+ */
+const findActivePersonalAccessToken = async (token) => {
+    const personalAccessToken = await PersonalAccessToken.findOne({
+        tokenHash: hashToken(token),
+        revokedAt: null,
+    })
+        .select("user scopes expiresAt lastUsedAt")
+        .lean();
+
+    if (
+        !personalAccessToken ||
+        (personalAccessToken.expiresAt &&
+            personalAccessToken.expiresAt <= new Date())
+    ) {
+        return null;
+    }
+
+    const lastUsedAt = personalAccessToken.lastUsedAt?.getTime() || 0;
+    if (Date.now() - lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+        // Fire and forget: bookkeeping must not slow down or fail requests
+        PersonalAccessToken.updateOne(
+            { _id: personalAccessToken._id },
+            { lastUsedAt: new Date() }
+        ).catch((error) =>
+            console.error("Failed to update token lastUsedAt:", error)
+        );
+    }
+
+    return personalAccessToken;
+};
+
+module.exports = {
+    PERSONAL_ACCESS_TOKEN_PREFIX,
+    isPersonalAccessToken,
+    createPersonalAccessToken,
+    findActivePersonalAccessToken,
+};
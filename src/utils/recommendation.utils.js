@@ -0,0 +1,343 @@
+const User = require("../models/user.model");
+const Tweet = require("../models/tweet.model");
+const Follow = require("../models/follow.model");
+const Mute = require("../models/mute.model");
+const Notification = require("../models/notification.model");
+const FollowRequest = require("../models/followRequest.model");
+const RecommendationDismissal = require("../models/recommendationDismissal.model");
+const { getBlockedUserIds } = require("./block.utils");
+const { getFollowingIdsAmong } = require("./follow.utils");
+
+// How many suggestions are ranked for a viewer (later pages stop there)
+const MAX_RECOMMENDATIONS = 100;
+
+// How many candidates each signal yields. Accounts the viewer already
+// follows are only left out once candidates are found, so each signal
+// looks further than the suggestions kept.
+const CANDIDATES_PER_SIGNAL = MAX_RECOMMENDATIONS * 3;
+
+// How many of the viewer's most recent follows are used to find
+// second-degree connections
+const SECOND_DEGREE_SOURCES = 500;
+
+// How far back hashtag use and interactions with the viewer count
+const SIGNAL_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How much each signal counts towards a suggestion's score
+const SIGNAL_WEIGHTS = {
+    mutual: 3,
+    interaction: 2,
+    hashtag: 1,
+};
+
+// Notifications that mean the sender engaged with the recipient's tweets
+const INTERACTION_TYPES = ["like", "reply", "mention", "retweet", "quote"];
+
+// Fields shown on a suggestion
+const USER_FIELDS = "username name avatar bio followersCount";
+
+// Helper to read an aggregation grouped by user ID into a Map
+const toMapById = (groups) =>
+    new Map(groups.map((group) => [group._id.toString(), group]));
+
+/**
+ * Get the accounts that must never be suggested to a viewer: themselves,
+ * accounts they asked to follow, blocks either way, muted accounts and
+ * dismissed suggestions. Followed accounts are not loaded here (there can
+ * be any number of them); candidates are checked against them instead.
+ * @param {String} viewerId - User ID
+ * @returns {Promise<Array>} User IDs
+ */
+const getExcludedUserIds = async (viewerId) => {
+    const [blocked, muted, requested, dismissed] = await Promise.all([
+        getBlockedUserIds(viewerId),
+        Mute.distinct("mutedUser", {
+            user: viewerId,
+            type: "user",
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        }),
+        FollowRequest.distinct("target", { requester: viewerId }),
+        RecommendationDismissal.distinct("dismissedUser", {
+            user: viewerId,
+        }),
+    ]);
+    return [viewerId, ...blocked, ...muted, ...requested, ...dismissed];
+};
+
+// Second-degree connections: accounts followed by the accounts the viewer
+// follows, with how many of those follow them and one of them to name
+const findMutualCandidates = async (viewerId, excludedIds) => {
+    const sources = await Follow.find({ follower: viewerId })
+        .sort({ _id: -1 })
+        .limit(SECOND_DEGREE_SOURCES)
+        .select("followee")
+        .lean();
+    if (sources.length === 0) {
+        return new Map();
+    }
+
+    return toMapById(
+        await Follow.aggregate([
+            {
+                $match: {
+                    follower: { $in: sources.map((edge) => edge.followee) },
+                    followee: { $nin: excludedIds },
+                },
+            },
+            {
+                $group: {
+                    _id: "$followee",
+                    count: { $sum: 1 },
+                    via: { $first: "$follower" },
+                },
+            },
+            { $sort: { count: -1 } },
+            { $limit: CANDIDATES_PER_SIGNAL },
+        ])
+    );
+};
+
+// Accounts that engaged with the viewer lately (likes, replies, mentions,
+// retweets, quotes) or follow them
+const findInteractionCandidates = async (viewerId, excludedIds, since) => {
+    const [engagements, followers] = await Promise.all([
+        Notification.aggregate([
+            {
+                $match: {
+                    recipient: viewerId,
+                    type: { $in: INTERACTION_TYPES },
+                    sender: { $nin: excludedIds },
+                    createdAt: { $gt: since },
+                },
+            },
+            { $group: { _id: "$sender", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: CANDIDATES_PER_SIGNAL },
+        ]),
+        Follow.find({ followee: viewerId, follower: { $nin: excludedIds } })
+            .sort({ _id: -1 })
+            .limit(CANDIDATES_PER_SIGNAL)
+            .select("follower")
+            .lean(),
+    ]);
+
+    const candidates = toMapById(engagements);
+    followers.forEach(({ follower }) => {
+        const key = follower.toString();
+        const candidate = candidates.get(key) || { _id: follower, count: 0 };
+        candidates.set(key, {
+            ...candidate,
+            count: candidate.count + 1,
+            followsViewer: true,
+        });
+    });
+    return candidates;
+};
+
+// Accounts that recently tweeted the hashtags the viewer tweets about
+const findHashtagCandidates = async (viewerId, excludedIds, since) => {
+    const hashtags = (
+        await Tweet.distinct("hashtags", {
+            author: viewerId,
+            isDeleted: false,
+            createdAt: { $gt: since },
+        })
+    ).slice(0, 20);
+    if (hashtags.length === 0) {
+        return new Map();
+    }
+
+    return toMapById(
+        await Tweet.aggregate([
+            {
+                $match: {
+                    hashtags: { $in: hashtags },
+                    author: { $nin: excludedIds },
+                    isDeleted: false,
+                    isPublic: { $ne: false },
+                    createdAt: { $gt: since },
+                },
+            },
+            { $unwind: "$hashtags" },
+            { $match: { hashtags: { $in: hashtags } } },
+            {
+                $group: {
+                    _id: "$author",
+                    count: { $sum: 1 },
+                    hashtag: { $first: "$hashtags" },
+                },
+            },
+            { $sort: { count: -1 } },
+            { $limit: CANDIDATES_PER_SIGNAL },
+        ])
+    );
+};
+
+// Helper to phrase why a second-degree connection is suggested
+const describeMutuals = (viaName, count) => {
+    if (count === 1) {
+        return `Followed by ${viaName}`;
+    }
+    const others = count - 1;
+    return `Followed by ${viaName} and ${others} ${
+        others === 1 ? "other" : "others"
+    }`;
+};
+
+/**
+ * Rank the accounts to suggest to a viewer ("Who to follow"). Candidates
+ * come from second-degree connections (weighted by how many followed
+ * accounts follow them), accounts interacting with the viewer and accounts
+ * tweeting the same hashtags; the most followed accounts fill up the rest.
+ * Each suggestion carries a `reason` to show with it.
+ * @param {Object} [viewer] - Authenticated user, if any (anonymous viewers
+ * only get the most followed accounts)
+ * @returns {Promise<Array>} Up to MAX_RECOMMENDATIONS users, best first
+ */
+const rankRecommendedUsers = async (viewer) => {
+    if (!viewer) {
+        const popular = await User.find({ isActive: true })
+            .sort({ followersCount: -1 })
+            .limit(MAX_RECOMMENDATIONS)
+            .select(USER_FIELDS)
+            .lean();
+        return popular.map((user) => ({ ...user, reason: "Popular account" }));
+    }
+
+    const viewerId = viewer._id;
+    const since = new Date(Date.now() - SIGNAL_WINDOW_MS);
+    const excludedIds = await getExcludedUserIds(viewerId);
+    const [mutuals, interactions, hashtags] = await Promise.all([
+        findMutualCandidates(viewerId, excludedIds),
+        findInteractionCandidates(viewerId, excludedIds, since),
+        findHashtagCandidates(viewerId, excludedIds, since),
+    ]);
+
+    const foundIds = [
+        ...new Set([
+            ...mutuals.keys(),
+            ...interactions.keys(),
+            ...hashtags.keys(),
+        ]),
+    ];
+    const followedIds = new Set(
+        (await getFollowingIdsAmong(viewerId, foundIds)).map((id) =>
+            id.toString()
+        )
+    );
+    const candidateIds = foundIds.filter((id) => !followedIds.has(id));
+    const viaIds = [...mutuals.values()].map((mutual) => mutual.via);
+    const [candidates, viaUsers] = await Promise.all([
+        User.find({ _id: { $in: candidateIds }, isActive: true })
+            .select(USER_FIELDS)
+            .lean(),
+        User.find({ _id: { $in: viaIds } })
+            .select("name")
+            .lean(),
+    ]);
+    const viaNames = new Map(
+        viaUsers.map((user) => [user._id.toString(), user.name])
+    );
+
+    const ranked = candidates
+        .map((user) => {
+            const key = user._id.toString();
+            const mutual = mutuals.get(key);
+            const interaction = interactions.get(key);
+            const hashtag = hashtags.get(key);
+            const scores = {
+                mutual: (mutual?.count || 0) * SIGNAL_WEIGHTS.mutual,
+                interaction:
+                    (interaction?.count || 0) * SIGNAL_WEIGHTS.interaction,
+                hashtag: (hashtag?.count || 0) * SIGNAL_WEIGHTS.hashtag,
+            };
+
+            // The strongest signal explains the suggestion
+            const strongest = Object.keys(scores).reduce((best, signal) =>
+                scores[signal] > scores[best] ? signal : best
+            );
+            let reason;
+            if (strongest === "mutual") {
+                reason = describeMutuals(
+                    viaNames.get(mutual.via.toString()),
+                    mutual.count
+                );
+            } else if (strongest === "interaction") {
+                reason = interaction.followsViewer
+                    ? "Follows you"
+                    : "Interacts with your tweets";
+            } else {
+                reason = `Tweets about #${hashtag.hashtag}`;
+            }
+
+            return {
+                user: { ...user, reason },
+                score: scores.mutual + scores.interaction + scores.hashtag,
+            };
+        })
+        .sort(
+            (a, b) =>
+                b.score - a.score ||
+                (b.user.followersCount || 0) - (a.user.followersCount || 0)
+        )
+        .slice(0, MAX_RECOMMENDATIONS)
+        .map(({ user }) => user);
+
+    // Popular accounts make up for a sparse graph (e.g. new accounts),
+    // read page by page until enough of them are not followed yet
+    const popularQuery = {
+        _id: { $nin: [...excludedIds, ...ranked.map((user) => user._id)] },
+        isActive: true,
+    };
+    for (
+        let skip = 0;
+        ranked.length < MAX_RECOMMENDATIONS;
+        skip += MAX_RECOMMENDATIONS
+    ) {
+        const popular = await User.find(popularQuery)
+            .sort({ followersCount: -1, _id: 1 })
+            .skip(skip)
+            .limit(MAX_RECOMMENDATIONS)
+            .select(USER_FIELDS)
+            .lean();
+        if (popular.length === 0) {
+            break;
+        }
+
+        const followed = new Set(
+            (
+                await getFollowingIdsAmong(
+                    viewerId,
+                    popular.map((user) => user._id)
+                )
+            ).map((id) => id.toString())
+        );
+        popular
+            .filter((user) => !followed.has(user._id.toString()))
+            .slice(0, MAX_RECOMMENDATIONS - ranked.length)
+            .forEach((user) =>
+                ranked.push({ ...user, reason: "Popular account" })
+            );
+    }
+
+    return ranked;
+};
+
+/**
+ * Stop suggesting an account to a user ("not interested")
+ * @param {String} userId - User dismissing the suggestion
+ * @param {String} dismissedUserId - Suggested account
+ * @returns {Promise<void>}
+ */
+const dismissRecommendation = async (userId, dismissedUserId) => {
+    await RecommendationDismissal.updateOne(
+        { user: userId, dismissedUser: dismissedUserId },
+        { $setOnInsert: { user: userId, dismissedUser: dismissedUserId } },
+        { upsert: true }
+    );
+};
+
+module.exports = {
+    rankRecommendedUsers,
+    dismissRecommendation,
+};
@@ -0,0 +1,68 @@
+const Follow = require("../models/follow.model");
+const Block = require("../models/block.model");
+const Mute = require("../models/mute.model");
+const FollowRequest = require("../models/followRequest.model");
+
+// Helper to turn a list of IDs into a Set of strings
+const toIdSet = (ids) => new Set(ids.map((id) => id.toString()));
+
+/**
+ * Get the viewer's relationship with each of the given users, in a fixed
+ * number of queries whatever the number of users
+ * @param {String} viewerId - Authenticated user
+ * @param {Array} userIds - Other users' IDs
+ * @returns {Promise<Map>} User ID (string) => { following, followedBy,
+ * blocking, blockedBy, muting, followRequested }
+ */
+const getRelationships = async (viewerId, userIds) => {
+    const [following, followedBy, blocking, blockedBy, muting, requested] =
+        await Promise.all([
+            Follow.distinct("followee", {
+                follower: viewerId,
+                followee: { $in: userIds },
+            }),
+            Follow.distinct("follower", {
+                follower: { $in: userIds },
+                followee: viewerId,
+            }),
+            Block.distinct("blocked", {
+                blocker: viewerId,
+                blocked: { $in: userIds },
+            }),
+            Block.distinct("blocker", {
+                blocker: { $in: userIds },
+                blocked: viewerId,
+            }),
+            Mute.distinct("mutedUser", {
+                user: viewerId,
+                type: "user",
+                mutedUser: { $in: userIds },
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+            }),
+            FollowRequest.distinct("target", {
+                requester: viewerId,
+                target: { $in: userIds },
+            }),
+        ]).then((results) => results.map(toIdSet));
+
+    return new Map(
+        userIds.map((id) => {
+            const key = id.toString();
+            return [
+                key,
+                {
+                    following: following.has(key),
+                    followedBy: followedBy.has(key),
+                    blocking: blocking.has(key),
+                    blockedBy: blockedBy.has(key),
+                    muting: muting.has(key),
+                    followRequested: requested.has(key),
+                },
+            ];
+        })
+    );
+};
+
+module.exports = {
+    getRelationships,
+};
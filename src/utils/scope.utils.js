@@ -0,0 +1,53 @@
+// Scopes a personal access token or OAuth app can be granted, with the
+// description shown to users. Session (login) tokens carry every scope.
+const SCOPES = {
+    "tweet:read":
+        "Read tweets, timelines, bookmarks, search results and trends",
+    "tweet:write":
+        "Post, delete, like, retweet and bookmark tweets, and upload tweet media",
+    "user:read": "Read profiles, followers and follow suggestions",
+    "user:write":
+        "Update the profile, avatar and header, follow, block or mute users, and manage muted words",
+    "list:read": "Read lists, their members and list timelines",
+    "list:write":
+        "Create, edit and delete lists, manage their members and subscribe to lists",
+    "notifications:read": "Read notifications",
+    "notifications:write": "Mark notifications as read",
+    "dm:read": "Read direct messages",
+    "dm:write": "Send direct messages",
+    "account:admin":
+        "Manage account security: sessions, two-factor authentication, email verification and access tokens",
+};
+
+// Scopes third-party (OAuth) apps may request; account security stays
+// first-party only
+const APP_SCOPES = Object.keys(SCOPES).filter(
+    (scope) => scope !== "account:admin"
+);
+
+/**
+ * Check whether a scope name exists
+ * @param {String} scope - Scope name (e.g. "tweet:read")
+ * @returns {Boolean} Whether the scope is known
+ */
+const isValidScope = (scope) => {
+    return Object.prototype.hasOwnProperty.call(SCOPES, scope);
+};
+
+/**
+ * List the required scopes a grant does not include
+ * @param {String[]|null} granted - Granted scopes, or null for full access
+ * @param {String[]} required - Scopes the action needs
+ * @returns {String[]} Missing scopes (empty if the grant is sufficient)
+ */
+const getMissingScopes = (granted, required) => {
+    if (!granted) return [];
+    return required.filter((scope) => !granted.includes(scope));
+};
+
+module.exports = {
+    SCOPES,
+    APP_SCOPES,
+    isValidScope,
+    getMissingScopes,
+};
@@ -0,0 +1,126 @@
+const SecurityEvent = require("../models/securityEvent.model");
+const Notification = require("../models/notification.model");
+const { getClientInfo } = require("./session.utils");
+const { hashToken } = require("./token.utils");
+const { getIoInstance } = require("../socketHandler");
+
+// Event types users can filter their security events by
+const SECURITY_EVENT_TYPES = SecurityEvent.schema.path("type").enumValues;
+
+/**
+ * Identify the device a request comes from. Devices are told apart by their
+ * user agent, so the ID survives IP changes (e.g. mobile networks).
+ * @param {String} userAgent - User-Agent header
+ * @returns {String} Device ID ("" if the client sent no user agent)
+ */
+const getDeviceId = (userAgent) =>
+    userAgent ? hashToken(`device:${userAgent}`) : "";
+
+/**
+ * Record a security event for a user. Failures are logged but never break
+ * the request that triggered the event.
+ * @param {Object} req - Express request object (IP and user agent)
+ * @param {String} userId - User the event belongs to
+ * @param {String} type - Event type (see SecurityEvent model)
+ * @param {Object} [options]
+ * @param {String} [options.session] - Related session ID
+ * @param {Object} [options.details] - Event-specific details
+ * @param {Boolean} [options.newDevice] - Whether a login used a new device
+ * @returns {Promise<Object|null>} The event, or null if it was not saved
+ */
+const recordSecurityEvent = async (
+    req,
+    userId,
+    type,
+    { session = null, details, newDevice } = {}
+) => {
+    try {
+        const { userAgent, ip } = getClientInfo(req);
+        return await SecurityEvent.create({
+            user: userId,
+            type,
+            session,
+            ip,
+            userAgent,
+            deviceId: getDeviceId(userAgent),
+            ...(newDevice !== undefined && { newDevice }),
+            ...(details && { details }),
+        });
+    } catch (error) {
+        console.error(`Error recording ${type} security event:`, error);
+        return null;
+    }
+};
+
+/**
+ * Notify a user (in-app and over Socket.IO) that their account was logged
+ * in to from a new device
+ * @param {String} userId - User ID
+ * @param {Object} event - The login security event
+ * @returns {Promise<void>}
+ */
+const notifyNewDeviceLogin = async (userId, event) => {
+    try {
+        const notification = await Notification.create({
+            recipient: userId,
+            type: "new_device_login",
+            securityEvent: event._id,
+        });
+
+        const io = getIoInstance();
+        io.to(userId.toString()).emit("notification:new", {
+            ...notification.toObject(),
+            securityEvent: {
+                _id: event._id,
+                ip: event.ip,
+                userAgent: event.userAgent,
+                createdAt: event.createdAt,
+            },
+        });
+    } catch (error) {
+        console.error("Error sending new device login notification:", error);
+    }
+};
+
+/**
+ * Record a successful login and alert the user when it comes from a device
+ * never seen on the account. Accounts without any login history yet (e.g.
+ * created before login history existed) are not alerted.
+ * @param {Object} req - Express request object
+ * @param {Object} user - User who logged in
+ * @param {Object} session - Session started by the login
+ * @param {String} method - How the user authenticated (e.g. "password")
+ * @returns {Promise<Object|null>} The login event
+ */
+const recordLogin = async (req, user, session, method) => {
+    const deviceId = getDeviceId(getClientInfo(req).userAgent);
+
+    let newDevice = false;
+    try {
+        const [hasHistory, knownDevice] = await Promise.all([
+            SecurityEvent.exists({ user: user._id, type: "login" }),
+            SecurityEvent.exists({ user: user._id, type: "login", deviceId }),
+        ]);
+        newDevice = Boolean(hasHistory) && !knownDevice;
+    } catch (error) {
+        console.error("Error checking login history:", error);
+    }
+
+    const event = await recordSecurityEvent(req, user._id, "login", {
+        session: session._id,
+        details: { method },
+        newDevice,
+    });
+
+    if (event && newDevice) {
+        await notifyNewDeviceLogin(user._id, event);
+    }
+    return event;
+};
+
+module.exports = {
+    SECURITY_EVENT_TYPES,
+    getDeviceId,
+    recordSecurityEvent,
+    recordLogin,
+};
@@ -0,0 +1,281 @@
+const mongoose = require("mongoose");
+const Session = require("../models/session.model");
+const User = require("../models/user.model");
+const {
+    generateAccessToken,
+    generateRefreshToken,
+    verifyRefreshToken,
+    getTokenExpiry,
+} = require("./jwt.utils");
+const { hashToken } = require("./token.utils");
+
+// Lifetime of access tokens issued to third-party (OAuth) apps
+const APP_ACCESS_TOKEN_EXPIRES_IN =
+    process.env.OAUTH_ACCESS_TOKEN_EXPIRES_IN || "1h";
+
+// How often (at most) an access token refreshes its session's lastUsedAt
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// How long a fresh authentication unlocks sensitive actions ("sudo mode")
+const SUDO_MODE_WINDOW_MS =
+    (parseInt(process.env.SUDO_MODE_WINDOW_MINUTES) || 10) * 60 * 1000;
+
+// Helper to build an error carrying an HTTP status code
+const createAuthError = (message, statusCode = 401) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Helper to issue an access token for a session; apps get shorter-lived ones
+const generateSessionAccessToken = (user, session) =>
+    session.client
+        ? generateAccessToken(
+              user,
+              { sid: session._id },
+              APP_ACCESS_TOKEN_EXPIRES_IN
+          )
+        : generateAccessToken(user, { sid: session._id });
+
+/**
+ * Extract the device details recorded on sessions and security events
+ * @param {Object} [req] - Express request object
+ * @returns {Object} { userAgent, ip }
+ */
+const getClientInfo = (req) => ({
+    userAgent: (req?.get?.("user-agent") || "").substring(0, 512),
+    ip: req?.ip || "",
+});
+
+/**
+ * Start a new session (refresh-token family) for a user
+ * @param {Object} user - User document
+ * @param {Object} [req] - Express request, used to record device details
+ * @param {Object} [options]
+ * @param {String} [options.client] - OAuth app the session is issued to
+ * @param {String[]} [options.scopes] - Scopes granted to the app
+ * @returns {Promise<Object>} The session and its access/refresh token pair
+ */
+const createSession = async (user, req, { client = null, scopes } = {}) => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refresh = generateRefreshToken(user._id, sessionId);
+
+    const session = await Session.create({
+        _id: sessionId,
+        user: user._id,
+        tokenHash: hashToken(refresh),
+        expiresAt: getTokenExpiry(refresh),
+        lastRotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        authenticatedAt: new Date(),
+        client,
+        scopes: client ? scopes : undefined,
+        ...getClientInfo(req),
+    });
+
+    return {
+        session,
+        tokens: {
+            access: generateSessionAccessToken(user, session),
+            refresh,
+        },
+    };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the family.
+ * Presenting a token that was already rotated revokes the whole family.
+ * @param {String} refreshToken - Refresh token presented by the client
+ * @param {Object} [req] - Express request, used to record device details
+ * @param {Object} [options]
+ * @param {String} [options.client] - OAuth app presenting the token; only
+ * that app's sessions can be refreshed (null for first-party clients)
+ * @returns {Promise<Object>} The user, session and new token pair
+ * @throws {Error} 401 error if the token is invalid, revoked or reused
+ */
+const rotateSession = async (refreshToken, req, { client = null } = {}) => {
+    const decoded = verifyRefreshToken(refreshToken);
+    if (!decoded) {
+        throw createAuthError("Invalid or expired refresh token");
+    }
+
+    const session = await Session.findById(decoded.sid).select("+tokenHash");
+    if (
+        !session ||
+        session.revokedAt ||
+        session.user.toString() !== decoded.id ||
+        String(session.client || "") !== String(client || "")
+    ) {
+        throw createAuthError("Invalid or expired refresh token");
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (session.tokenHash !== presentedHash) {
+        // An already-rotated token was replayed: assume it leaked
+        await revokeSession(session._id, "reuse_detected");
+        throw createAuthError(
+            "Refresh token reuse detected. Please log in again."
+        );
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+        throw createAuthError("User not found or inactive");
+    }
+
+    const refresh = generateRefreshToken(user._id, session._id);
+
+    // Only rotate if nobody else rotated the token in the meantime
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+            tokenHash: hashToken(refresh),
+            expiresAt: getTokenExpiry(refresh),
+            lastRotatedAt: new Date(),
+            lastUsedAt: new Date(),
+            ip: getClientInfo(req).ip,
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        await revokeSession(session._id, "reuse_detected");
+        throw createAuthError(
+            "Refresh token reuse detected. Please log in again."
+        );
+    }
+
+    return {
+        user,
+        session: rotated,
+        tokens: {
+            access: generateSessionAccessToken(user, rotated),
+            refresh,
+        },
+    };
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Object|null>} The revoked session, or null if not found
+ */
+const revokeSession = async (sessionId, reason) => {
+    return Session.findOneAndUpdate(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason },
+        { new: true }
+    );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {Object} [options]
+ * @param {String} [options.exceptSessionId] - Session to keep active
+ * @param {String} [options.client] - Only revoke this OAuth app's sessions
+ * @param {Boolean} [options.includeApps] - Also revoke OAuth app sessions
+ * (default true)
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (
+    userId,
+    reason,
+    { exceptSessionId, client, includeApps = true } = {}
+) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    if (client) {
+        filter.client = client;
+    } else if (!includeApps) {
+        filter.client = null;
+    }
+
+    const result = await Session.updateMany(filter, {
+        revokedAt: new Date(),
+        revokedReason: reason,
+    });
+    return result.modifiedCount;
+};
+
+/**
+ * Revoke every active session issued to an OAuth app, for all users
+ * @param {String} clientId - OAuthClient document ID
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeClientSessions = async (clientId, reason) => {
+    const result = await Session.updateMany(
+        { client: clientId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Load the session an access token is bound to, if it is still active.
+ * Also bumps the session's lastUsedAt (at most every few minutes).
+ * @param {String} sessionId - Session ID from the access token
+ * @returns {Promise<Object|null>} The lean session, or null if it was
+ * revoked or has expired
+ */
+const getActiveSession = async (sessionId) => {
+    const session = await Session.findById(sessionId)
+        .select(
+            "user client scopes revokedAt expiresAt lastUsedAt authenticatedAt createdAt"
+        )
+        .lean();
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return null;
+    }
+
+    const lastUsedAt = session.lastUsedAt?.getTime() || 0;
+    if (Date.now() - lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+        // Fire and forget: bookkeeping must not slow down or fail requests
+        Session.updateOne({ _id: sessionId }, { lastUsedAt: new Date() }).catch(
+            (error) =>
+                console.error("Failed to update session lastUsedAt:", error)
+        );
+    }
+
+    return session;
+};
+
+/**
+ * Record that the user just re-entered their credentials in a session,
+ * which opens a new sudo mode window
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Date>} The new authentication time
+ */
+const markSessionAuthenticated = async (sessionId) => {
+    const authenticatedAt = new Date();
+    await Session.updateOne({ _id: sessionId }, { authenticatedAt });
+    return authenticatedAt;
+};
+
+/**
+ * Get when the sudo mode window opened by an authentication closes
+ * @param {Date} [authenticatedAt] - Last authentication time of the session
+ * @returns {Date|null} Expiry of the window, or null without a session
+ */
+const getSudoModeExpiresAt = (authenticatedAt) => {
+    if (!authenticatedAt) return null;
+    return new Date(new Date(authenticatedAt).getTime() + SUDO_MODE_WINDOW_MS);
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeClientSessions,
+    getActiveSession,
+    markSessionAuthenticated,
+    getSudoModeExpiresAt,
+    getClientInfo,
+};
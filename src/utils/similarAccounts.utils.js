@@ -0,0 +1,184 @@
+const User = require("../models/user.model");
+const Tweet = require("../models/tweet.model");
+const Follow = require("../models/follow.model");
+const SimilarAccounts = require("../models/similarAccounts.model");
+const { getBlockedUserIds } = require("./block.utils");
+const { getFollowingIdsAmong } = require("./follow.utils");
+const { getActiveMutes } = require("./mute.utils");
+
+// How long a profile's similar accounts are cached before being recomputed
+const SIMILAR_ACCOUNTS_CACHE_MS =
+    (parseInt(process.env.SIMILAR_ACCOUNTS_CACHE_MINUTES) || 360) * 60 * 1000;
+
+// How many similar accounts are ranked and cached per profile. Viewers'
+// exclusions (follows, blocks, mutes) are applied after the cache, so the
+// ranking goes well past the largest rail to leave enough accounts for them.
+const MAX_SIMILAR_ACCOUNTS = 200;
+
+// How many of the profile's most recent followers are used for the
+// follower overlap
+const FOLLOWER_SAMPLE_SIZE = 500;
+
+// How far back hashtag use counts, and how many of the profile's hashtags
+const HASHTAG_WINDOW_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_HASHTAGS = 20;
+
+// How much each signal counts towards an account's similarity
+const SIMILARITY_WEIGHTS = {
+    followerOverlap: 2,
+    sharedHashtag: 1,
+};
+
+// Accounts also followed by the profile's followers, with how many of them
+const findFollowerOverlap = async (userId) => {
+    const followers = await Follow.find({ followee: userId })
+        .sort({ _id: -1 })
+        .limit(FOLLOWER_SAMPLE_SIZE)
+        .select("follower")
+        .lean();
+    if (followers.length === 0) {
+        return [];
+    }
+
+    return Follow.aggregate([
+        {
+            $match: {
+                follower: { $in: followers.map((edge) => edge.follower) },
+                followee: { $ne: userId },
+            },
+        },
+        { $group: { _id: "$followee", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: MAX_SIMILAR_ACCOUNTS * 2 },
+    ]);
+};
+
+// Accounts tweeting the profile's most used hashtags, with how many of
+// those hashtags they share
+const findSharedHashtags = async (userId) => {
+    const since = new Date(Date.now() - HASHTAG_WINDOW_MS);
+    const recentTweets = {
+        isDeleted: false,
+        isPublic: { $ne: false },
+        createdAt: { $gt: since },
+    };
+
+    const topHashtags = await Tweet.aggregate([
+        { $match: { author: userId, ...recentTweets } },
+        { $unwind: "$hashtags" },
+        { $group: { _id: "$hashtags", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: MAX_HASHTAGS },
+    ]);
+    if (topHashtags.length === 0) {
+        return [];
+    }
+    const hashtags = topHashtags.map((hashtag) => hashtag._id);
+
+    return Tweet.aggregate([
+        {
+            $match: {
+                hashtags: { $in: hashtags },
+                author: { $ne: userId },
+                ...recentTweets,
+            },
+        },
+        { $unwind: "$hashtags" },
+        { $match: { hashtags: { $in: hashtags } } },
+        { $group: { _id: "$author", hashtags: { $addToSet: "$hashtags" } } },
+        { $project: { count: { $size: "$hashtags" } } },
+        { $sort: { count: -1 } },
+        { $limit: MAX_SIMILAR_ACCOUNTS * 2 },
+    ]);
+};
+
+/**
+ * Get the accounts most similar to a profile, by follower overlap and
+ * shared hashtags. Rankings are cached per profile, so they may lag behind
+ * for up to SIMILAR_ACCOUNTS_CACHE_MINUTES.
+ * @param {Object} userId - Profile's user ID (ObjectId)
+ * @returns {Promise<Array>} User IDs, most similar first
+ */
+const getSimilarAccountIds = async (userId) => {
+    const cached = await SimilarAccounts.findOne({
+        user: userId,
+        expiresAt: { $gt: new Date() },
+    }).lean();
+    if (cached) {
+        return cached.accounts;
+    }
+
+    const [overlap, shared] = await Promise.all([
+        findFollowerOverlap(userId),
+        findSharedHashtags(userId),
+    ]);
+    const scores = new Map();
+    const addScores = (groups, weight) =>
+        groups.forEach(({ _id, count }) => {
+            const key = _id.toString();
+            const entry = scores.get(key) || { _id, score: 0 };
+            entry.score += count * weight;
+            scores.set(key, entry);
+        });
+    addScores(overlap, SIMILARITY_WEIGHTS.followerOverlap);
+    addScores(shared, SIMILARITY_WEIGHTS.sharedHashtag);
+
+    const accounts = [...scores.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SIMILAR_ACCOUNTS)
+        .map((entry) => entry._id);
+
+    await SimilarAccounts.updateOne(
+        { user: userId },
+        {
+            $set: {
+                accounts,
+                expiresAt: new Date(Date.now() + SIMILAR_ACCOUNTS_CACHE_MS),
+            },
+        },
+        { upsert: true }
+    );
+    return accounts;
+};
+
+/**
+ * Get the accounts similar to a profile that a viewer might want to
+ * follow: accounts the viewer already follows, blocked (either way) or
+ * muted are left out, as is the viewer
+ * @param {Object} userId - Profile's user ID (ObjectId)
+ * @param {Object} [viewer] - Authenticated user, if any
+ * @param {Number} limit - Maximum number of accounts
+ * @returns {Promise<Array>} Users, most similar first
+ */
+const getSimilarAccounts = async (userId, viewer, limit) => {
+    const accountIds = await getSimilarAccountIds(userId);
+
+    let excludedIds = [];
+    if (viewer) {
+        // Only the viewer's follows among the ranked accounts matter
+        const [following, blocked, mutes] = await Promise.all([
+            getFollowingIdsAmong(viewer._id, accountIds),
+            getBlockedUserIds(viewer._id),
+            getActiveMutes(viewer._id),
+        ]);
+        excludedIds = [viewer._id, ...following, ...blocked, ...mutes.userIds];
+    }
+
+    const users = await User.find({
+        _id: { $in: accountIds, $nin: excludedIds },
+        isActive: true,
+    })
+        .select("username name avatar bio followersCount")
+        .lean();
+
+    // Back in ranking order
+    const rank = new Map(accountIds.map((id, index) => [id.toString(), index]));
+    return users
+        .sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()))
+        .slice(0, limit);
+};
+
+module.exports = {
+    getSimilarAccountIds,
+    getSimilarAccounts,
+};
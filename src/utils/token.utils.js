@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const Token = require("../models/token.model");
+
+/**
+ * Generate a cryptographically secure random token
+ * @param {Number} bytes - Number of random bytes (default 32)
+ * @returns {String} URL-safe token string
+ */
+const generateRandomToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString("base64url");
+};
+
+/**
+ * Hash a token for storage (tokens are never persisted in plain text)
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Issue a single-use token for an out-of-band action (e.g. password reset)
+ * @param {String} userId - User the token belongs to
+ * @param {String} purpose - Token purpose (see Token model)
+ * @param {Number} ttlMs - Lifetime in milliseconds
+ * @param {Object} [data] - Optional purpose-specific payload
+ * @returns {Promise<String>} The raw token (only its hash is stored)
+ */
+const createActionToken = async (userId, purpose, ttlMs, data) => {
+    const token = generateRandomToken();
+
+    await Token.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+        ...(data && { data }),
+    });
+
+    return token;
+};
+
+/**
+ * Redeem a single-use token. Marks it as used atomically so it cannot be
+ * redeemed twice.
+ * @param {String} token - Raw token presented by the user
+ * @param {String} purpose - Expected token purpose
+ * @returns {Promise<Object|null>} The token document, or null if the token is
+ * unknown, expired, already used or issued for another purpose
+ */
+const consumeActionToken = async (token, purpose) => {
+    if (!token) return null;
+
+    return Token.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+/**
+ * Invalidate all outstanding tokens of a user for a purpose
+ * @param {String} userId - User ID
+ * @param {String} purpose - Token purpose
+ * @returns {Promise<void>}
+ */
+const invalidateActionTokens = async (userId, purpose) => {
+    await Token.deleteMany({ user: userId, purpose, usedAt: null });
+};
+
+module.exports = {
+    generateRandomToken,
+    hashToken,
+    createActionToken,
+    consumeActionToken,
+    invalidateActionTokens,
+};
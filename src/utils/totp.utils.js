@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// TOTP parameters (RFC 6238 defaults, supported by all common apps)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (without padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded data
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32-encoded secret (160 bits)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the TOTP time step for a point in time
+ * @param {Number} [timestamp] - Unix time in milliseconds (default: now)
+ * @returns {Number} Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) =>
+    Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the TOTP code for a time step (RFC 6238 / RFC 4226)
+ * @param {String} secret - Base32-encoded secret
+ * @param {Number} timeStep - Time step counter
+ * @returns {String} Zero-padded numeric code
+ */
+const generateTotp = (secret, timeStep) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timeStep));
+
+    const hmac = crypto
+        .createHmac("sha1", base32Decode(secret))
+        .update(counter)
+        .digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Check a TOTP code, allowing for small clock drift
+ * @param {String} secret - Base32-encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {Number} [options.window] - Accepted steps before/after now (default 1)
+ * @param {Number} [options.timestamp] - Time to check against (default now)
+ * @returns {Number|null} The matching time step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, { window = 1, timestamp } = {}) => {
+    const normalizedCode = String(code || "").replace(/\s/g, "");
+    if (
+        !/^\d+$/.test(normalizedCode) ||
+        normalizedCode.length !== TOTP_DIGITS
+    ) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(timestamp);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = generateTotp(secret, step);
+        if (
+            crypto.timingSafeEqual(
+                Buffer.from(expected),
+                Buffer.from(normalizedCode)
+            )
+        ) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} options
+ * @param {String} options.secret - Base32-encoded secret
+ * @param {String} options.accountName - Account label (e.g. username)
+ * @param {String} [options.issuer] - Service name shown in the app
+ * @returns {String} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = issuer
+        ? `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+        : encodeURIComponent(accountName);
+    const params = new URLSearchParams({
+        secret,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS),
+    });
+    if (issuer) {
+        params.set("issuer", issuer);
+    }
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes (e.g. "3f9a-c27e-81d0")
+ * @param {Number} [count] - Number of codes (default 10)
+ * @returns {String[]} Recovery codes
+ */
+const generateRecoveryCodes = (count = 10) =>
+    Array.from({ length: count }, () =>
+        crypto.randomBytes(6).toString("hex").match(/.{4}/g).join("-")
+    );
+
+/**
+ * Normalize a recovery code as typed by a user before hashing
+ * @param {String} code - Recovery code
+ * @returns {String} Normalized code
+ */
+const normalizeRecoveryCode = (code) =>
+    String(code || "")
+        .toLowerCase()
+        .replace(/[^0-9a-f]/g, "");
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    getTimeStep,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+};
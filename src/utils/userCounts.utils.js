@@ -0,0 +1,86 @@
+const User = require("../models/user.model");
+const Tweet = require("../models/tweet.model");
+const Follow = require("../models/follow.model");
+
+// Helper to count documents per value of a field, for the given values
+const countBy = async (Model, field, ids, extraMatch = {}) => {
+    const counts = await Model.aggregate([
+        { $match: { [field]: { $in: ids }, ...extraMatch } },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Recompute users' followersCount, followingCount and tweetsCount from the
+ * follow edges and tweets, fixing any counter that drifted. Users are
+ * processed in batches, and only users whose counters are wrong are written.
+ * @param {Object} [options]
+ * @param {Number} [options.batchSize] - Users read per batch
+ * @returns {Promise<Number>} Number of users whose counters were fixed
+ */
+const reconcileUserCounts = async ({ batchSize = 500 } = {}) => {
+    let fixed = 0;
+    let lastId = null;
+
+    for (;;) {
+        const users = await User.find(lastId ? { _id: { $gt: lastId } } : {})
+            .sort({ _id: 1 })
+            .limit(batchSize)
+            .select("followersCount followingCount tweetsCount")
+            .lean();
+        if (users.length === 0) {
+            break;
+        }
+        lastId = users[users.length - 1]._id;
+
+        const ids = users.map((user) => user._id);
+        const [followersByUser, followingByUser, tweetsByAuthor] =
+            await Promise.all([
+                countBy(Follow, "followee", ids),
+                countBy(Follow, "follower", ids),
+                countBy(Tweet, "author", ids, { isDeleted: false }),
+            ]);
+
+        const updates = users
+            .map((user) => ({
+                user,
+                counts: {
+                    followersCount:
+                        followersByUser.get(user._id.toString()) || 0,
+                    followingCount:
+                        followingByUser.get(user._id.toString()) || 0,
+                    tweetsCount: tweetsByAuthor.get(user._id.toString()) || 0,
+                },
+            }))
+            .filter(({ user, counts }) =>
+                Object.keys(counts).some(
+                    (field) => user[field] !== counts[field]
+                )
+            )
+            .map(({ user, counts }) => ({
+                updateOne: {
+                    // Skip users whose counters changed since they were read;
+                    // the next run picks them up
+                    filter: {
+                        _id: user._id,
+                        followersCount: user.followersCount ?? null,
+                        followingCount: user.followingCount ?? null,
+                        tweetsCount: user.tweetsCount ?? null,
+                    },
+                    update: { $set: counts },
+                },
+            }));
+
+        if (updates.length > 0) {
+            const result = await User.bulkWrite(updates, { ordered: false });
+            fixed += result.modifiedCount;
+        }
+    }
+
+    return fixed;
+};
+
+module.exports = {
+    reconcileUserCounts,
+};
@@ -0,0 +1,178 @@
+const User = require("../models/user.model");
+const UsernameHistory = require("../models/usernameHistory.model");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an old username keeps resolving to the account (and stays
+// reserved for it) after a change
+const USERNAME_REDIRECT_MS =
+    (parseInt(process.env.USERNAME_REDIRECT_DAYS) || 30) * DAY_MS;
+
+// How many username changes are allowed per window
+const USERNAME_CHANGE_LIMIT = parseInt(process.env.USERNAME_CHANGE_LIMIT) || 2;
+const USERNAME_CHANGE_WINDOW_MS =
+    (parseInt(process.env.USERNAME_CHANGE_WINDOW_DAYS) || 30) * DAY_MS;
+
+// Names that would be confused with the app itself or its pages. Includes
+// every static path segment of the user, tweet and list routes (e.g.
+// /api/users/blocks), which would otherwise shadow a profile with that name.
+const RESERVED_USERNAMES = new Set([
+    "about",
+    "admin",
+    "administrator",
+    "api",
+    "blocks",
+    "bookmarks",
+    "explore",
+    "help",
+    "home",
+    "lists",
+    "login",
+    "logout",
+    "messages",
+    "moderator",
+    "mutes",
+    "notifications",
+    "oauth",
+    "privacy",
+    "profile",
+    "recommendations",
+    "register",
+    "relationships",
+    "root",
+    "search",
+    "security",
+    "settings",
+    "signup",
+    "suggestions",
+    "support",
+    "system",
+    "terms",
+    "timeline",
+    "user",
+    "username",
+]);
+
+// Helper to escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper to match a username regardless of case (escaped, since callers
+// may pass names that were never validated)
+const caseInsensitive = (username) =>
+    new RegExp(`^${escapeRegex(username)}$`, "i");
+
+/**
+ * Explain why a username cannot be taken. Names differing only in case
+ * count as the same name, and old usernames stay reserved for their
+ * account during the redirect grace period.
+ * @param {String} username - Wanted username
+ * @param {String} [userId] - User who wants it (their own current and old
+ * usernames are available to them)
+ * @returns {Promise<String|null>} The reason, or null if it is available
+ */
+const getUsernameUnavailableReason = async (username, userId) => {
+    if (RESERVED_USERNAMES.has(username.toLowerCase())) {
+        return "This username is reserved";
+    }
+
+    const userQuery = { username: caseInsensitive(username) };
+    const historyQuery = {
+        username: caseInsensitive(username),
+        redirectUntil: { $gt: new Date() },
+    };
+    if (userId) {
+        userQuery._id = { $ne: userId };
+        historyQuery.user = { $ne: userId };
+    }
+
+    const [taken, recentlyUsed] = await Promise.all([
+        User.exists(userQuery),
+        UsernameHistory.exists(historyQuery),
+    ]);
+    if (taken) {
+        return "Username already taken";
+    }
+    if (recentlyUsed) {
+        return "This username was recently used by another account";
+    }
+    return null;
+};
+
+/**
+ * Get when a user may change their username again
+ * @param {String} userId - User ID
+ * @returns {Promise<Date|null>} null if a change is allowed now
+ */
+const getNextUsernameChangeAt = async (userId) => {
+    const recentChanges = await UsernameHistory.find({
+        user: userId,
+        createdAt: { $gt: new Date(Date.now() - USERNAME_CHANGE_WINDOW_MS) },
+    })
+        .sort({ createdAt: 1 })
+        .select("createdAt")
+        .lean();
+
+    if (recentChanges.length < USERNAME_CHANGE_LIMIT) {
+        return null;
+    }
+    // Allowed again once the oldest change in the window drops out of it
+    const oldest = recentChanges[recentChanges.length - USERNAME_CHANGE_LIMIT];
+    return new Date(oldest.createdAt.getTime() + USERNAME_CHANGE_WINDOW_MS);
+};
+
+/**
+ * Change a user's username. The old username keeps resolving to the account
+ * for the grace period; taking back one of the user's own old usernames
+ * ends its redirect.
+ * @param {Object} user - User document
+ * @param {String} newUsername - New username (checked by the caller)
+ * @returns {Promise<Date>} When the old username stops redirecting
+ */
+const updateUsername = async (user, newUsername) => {
+    const oldUsername = user.username;
+    const redirectUntil = new Date(Date.now() + USERNAME_REDIRECT_MS);
+
+    user.username = newUsername;
+    await user.save({ validateModifiedOnly: true });
+
+    await UsernameHistory.updateMany(
+        {
+            user: user._id,
+            username: caseInsensitive(newUsername),
+            redirectUntil: { $gt: new Date() },
+        },
+        { $set: { redirectUntil: new Date() } }
+    );
+    await UsernameHistory.create({
+        user: user._id,
+        username: oldUsername,
+        redirectUntil,
+    });
+
+    return redirectUntil;
+};
+
+/**
+ * Find the current username of the account that recently gave up a
+ * username
+ * @param {String} username - Old username
+ * @returns {Promise<String|null>} Current username, or null if the old one
+ * does not redirect
+ */
+const findRenamedUsername = async (username) => {
+    const entry = await UsernameHistory.findOne({
+        username,
+        redirectUntil: { $gt: new Date() },
+    })
+        .sort({ redirectUntil: -1 })
+        .populate("user", "username")
+        .lean();
+    return entry?.user?.username || null;
+};
+
+module.exports = {
+    getUsernameUnavailableReason,
+    getNextUsernameChangeAt,
+    updateUsername,
+    findRenamedUsername,
+};
@@ -0,0 +1,92 @@
+const Follow = require("../models/follow.model");
+const { getBlockedUserIds } = require("./block.utils");
+const { getProtectedFollowingIds } = require("./follow.utils");
+
+// Tweets of protected accounts are stored with isPublic: false and are only
+// visible to the author and their (approved) followers.
+
+/**
+ * Build the query conditions leaving out tweets the viewer may not see, to
+ * be merged into a tweet query
+ * @param {Object} [viewer] - Authenticated user, if any
+ * @returns {Promise<Object>} Query conditions
+ */
+const buildVisibilityQuery = async (viewer) => {
+    if (!viewer) {
+        return { isPublic: { $ne: false } };
+    }
+    // Only followed protected accounts matter, which keeps the $in small
+    // however many accounts the viewer follows
+    const protectedIds = await getProtectedFollowingIds(viewer._id);
+    return {
+        $or: [
+            { isPublic: { $ne: false } },
+            { author: { $in: [viewer._id, ...protectedIds] } },
+        ],
+    };
+};
+
+/**
+ * Check whether a viewer may see a tweet (the single-tweet version of
+ * buildVisibilityQuery)
+ * @param {Object} [viewer] - Authenticated user, if any
+ * @param {Object} tweet - Tweet, with its author populated or not
+ * @returns {Promise<Boolean>}
+ */
+const canViewTweet = async (viewer, tweet) => {
+    if (tweet.isPublic !== false) {
+        return true;
+    }
+    if (!viewer) {
+        return false;
+    }
+    const authorId = tweet.author?._id || tweet.author;
+    if (viewer._id.equals(authorId)) {
+        return true;
+    }
+    return Boolean(
+        await Follow.exists({ follower: viewer._id, followee: authorId })
+    );
+};
+
+/**
+ * Reduce each embedded quoted tweet the viewer may not see (a protected
+ * tweet, or one by an account blocked either way) to its ID, so quoting a
+ * tweet never shows it to more people
+ * @param {Object} [viewer] - Authenticated user, if any
+ * @param {Array} tweets - Tweets (documents or plain objects), with
+ * quotedTweet populated or not
+ * @param {Array} [blockedIds] - Accounts blocked by or blocking the viewer,
+ * if already loaded
+ * @returns {Promise<Array>} The same tweets
+ */
+const hideUnviewableQuotes = async (viewer, tweets, blockedIds) => {
+    if (viewer && !blockedIds) {
+        blockedIds = await getBlockedUserIds(viewer._id);
+    }
+
+    await Promise.all(
+        // Copied first: mapping a Mongoose array would cast the promises
+        [...tweets].map(async (tweet) => {
+            const quoted = tweet?.quotedTweet;
+            // Not populated (or the quoted tweet is gone)
+            if (!quoted?.author) {
+                return;
+            }
+            const authorId = quoted.author._id || quoted.author;
+            if (
+                (blockedIds || []).some((id) => id.equals(authorId)) ||
+                !(await canViewTweet(viewer, quoted))
+            ) {
+                tweet.quotedTweet = quoted._id;
+            }
+        })
+    );
+    return tweets;
+};
+
+module.exports = {
+    buildVisibilityQuery,
+    canViewTweet,
+    hideUnviewableQuotes,
+};
@@ -1,7 +1,15 @@
+const crypto = require("crypto");
 const request = require("supertest");
 const { app, httpServer } = require("../src/index");
 const mongoose = require("mongoose");
 const User = require("../src/models/user.model");
+const Session = require("../src/models/session.model");
+const Tweet = require("../src/models/tweet.model");
+const UsernameHistory = require("../src/models/usernameHistory.model");
+const { getOutboxMessages } = require("../src/utils/mail.utils");
+const { generateTotp, getTimeStep } = require("../src/utils/totp.utils");
+const { generateTwoFactorChallengeToken } = require("../src/utils/jwt.utils");
+const { purgeDeactivatedAccounts } = require("../src/utils/account.utils");
 
 beforeAll(async () => {
     // Connect to MongoDB before running tests
@@ -40,6 +48,7 @@ describe("Auth API", () => {
     beforeEach(async () => {
         // Ensure users collection is clear before registering the specific test user
         await User.deleteMany({});
+        await UsernameHistory.deleteMany({});
 
         // Register the user via the API endpoint
         const registerRes = await request(app)
@@ -165,6 +174,30 @@ describe("Auth API", () => {
         expect(res.body.data).toHaveProperty("access");
         expect(typeof res.body.data.access).toBe("string");
         expect(res.body.data.access.length).toBeGreaterThan(0);
+        // Refresh tokens are rotated on every use
+        expect(typeof res.body.data.refresh).toBe("string");
+        expect(res.body.data.refresh).not.toEqual(refreshToken);
+    });
+
+    it("should revoke the token family when a rotated refresh token is reused", async () => {
+        const firstRes = await request(app)
+            .post("/api/auth/refresh")
+            .send({ refreshToken: refreshToken });
+        expect(firstRes.statusCode).toEqual(200);
+        const rotatedToken = firstRes.body.data.refresh;
+
+        // Replaying the original (already rotated) token is treated as theft
+        const reuseRes = await request(app)
+            .post("/api/auth/refresh")
+            .send({ refreshToken: refreshToken });
+        expect(reuseRes.statusCode).toEqual(401);
+        expect(reuseRes.body.message).toContain("reuse detected");
+
+        // ...which also invalidates the legitimately rotated token
+        const rotatedRes = await request(app)
+            .post("/api/auth/refresh")
+            .send({ refreshToken: rotatedToken });
+        expect(rotatedRes.statusCode).toEqual(401);
     });
 
     it("should not refresh token with an invalid refresh token", async () => {
@@ -186,6 +219,863 @@ describe("Auth API", () => {
         expect(res.body.message).toContain("Logged out successfully");
     });
 
+    it("should invalidate the refresh token on logout", async () => {
+        await request(app)
+            .post("/api/auth/logout")
+            .set("Authorization", `Bearer ${accessToken}`);
+
+        const res = await request(app)
+            .post("/api/auth/refresh")
+            .send({ refreshToken: refreshToken });
+
+        expect(res.statusCode).toEqual(401);
+        expect(res.body.message).toContain("Invalid or expired refresh token");
+    });
+
+    it("should list the active sessions of the current user", async () => {
+        const res = await request(app)
+            .get("/api/auth/sessions")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .set("User-Agent", "jest-agent");
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.sessions).toHaveLength(1);
+        expect(res.body.data.sessions[0]).toHaveProperty("current", true);
+        expect(res.body.data.sessions[0]).toHaveProperty("lastUsedAt");
+    });
+
+    it("should reject access tokens of sessions signed out elsewhere", async () => {
+        // Log in a second device
+        const loginRes = await request(app).post("/api/auth/login").send({
+            usernameOrEmail: testUser.email,
+            password: testUser.password,
+        });
+        const otherAccessToken = loginRes.body.data.tokens.access;
+
+        const revokeRes = await request(app)
+            .post("/api/auth/sessions/revoke-others")
+            .set("Authorization", `Bearer ${otherAccessToken}`);
+        expect(revokeRes.statusCode).toEqual(200);
+        expect(revokeRes.body.data.revokedCount).toEqual(1);
+
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(meRes.statusCode).toEqual(401);
+        expect(meRes.body.message).toContain("session has been revoked");
+
+        const otherMeRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${otherAccessToken}`);
+        expect(otherMeRes.statusCode).toEqual(200);
+    });
+
+    it("should reset the password with an emailed reset token", async () => {
+        const forgotRes = await request(app)
+            .post("/api/auth/forgot-password")
+            .send({ email: testUser.email });
+        expect(forgotRes.statusCode).toEqual(200);
+
+        // Pick the reset link out of the local mail outbox
+        const [message] = await getOutboxMessages({ to: testUser.email });
+        expect(message.subject).toMatch(/reset your password/i);
+        const token = new URL(
+            message.text.match(/https?:\/\/\S+/)[0]
+        ).searchParams.get("token");
+
+        const resetRes = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token, password: "newpassword456" });
+        expect(resetRes.statusCode).toEqual(200);
+
+        // Tokens are single-use
+        const reuseRes = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token, password: "anotherpassword789" });
+        expect(reuseRes.statusCode).toEqual(400);
+
+        // Existing refresh tokens are revoked
+        const refreshRes = await request(app)
+            .post("/api/auth/refresh")
+            .send({ refreshToken: refreshToken });
+        expect(refreshRes.statusCode).toEqual(401);
+
+        const loginRes = await request(app).post("/api/auth/login").send({
+            usernameOrEmail: testUser.email,
+            password: "newpassword456",
+        });
+        expect(loginRes.statusCode).toEqual(200);
+    });
+
+    it("should not reveal whether an email has an account", async () => {
+        const res = await request(app)
+            .post("/api/auth/forgot-password")
+            .send({ email: "nobody@example.com" });
+        expect(res.statusCode).toEqual(200);
+        expect(await getOutboxMessages({ to: "nobody@example.com" })).toEqual(
+            []
+        );
+    });
+
+    it("should log in with a single-use magic link", async () => {
+        const requestRes = await request(app)
+            .post("/api/auth/magic-link")
+            .send({ email: "Test@Example.com" });
+        expect(requestRes.statusCode).toEqual(200);
+
+        const [message] = await getOutboxMessages({ to: testUser.email });
+        expect(message.subject).toMatch(/sign-in link/i);
+        const token = new URL(
+            message.text.match(/https?:\/\/\S+/)[0]
+        ).searchParams.get("token");
+
+        const loginRes = await request(app)
+            .post("/api/auth/magic-link/verify")
+            .send({ token });
+        expect(loginRes.statusCode).toEqual(200);
+        expect(loginRes.body.data.tokens).toHaveProperty("access");
+        expect(loginRes.body.data.tokens).toHaveProperty("refresh");
+
+        // Links are single-use
+        const reuseRes = await request(app)
+            .post("/api/auth/magic-link/verify")
+            .send({ token });
+        expect(reuseRes.statusCode).toEqual(400);
+
+        expect(await getOutboxMessages({ to: "nobody@example.com" })).toEqual(
+            []
+        );
+    });
+
+    it("should not send magic links to deactivated accounts past the grace period", async () => {
+        await User.updateOne(
+            { email: testUser.email },
+            {
+                isActive: false,
+                deactivatedAt: new Date(Date.now() - 60 * 1000),
+                scheduledDeletionAt: new Date(Date.now() - 1000),
+            }
+        );
+        const before = (await getOutboxMessages({ to: testUser.email })).length;
+
+        const res = await request(app)
+            .post("/api/auth/magic-link")
+            .send({ email: testUser.email });
+        expect(res.statusCode).toEqual(200);
+        expect(await getOutboxMessages({ to: testUser.email })).toHaveLength(
+            before
+        );
+    });
+
+    it("should verify the email address with the emailed token", async () => {
+        const [message] = await getOutboxMessages({ to: testUser.email });
+        expect(message.subject).toMatch(/verify your email/i);
+        const token = new URL(
+            message.text.match(/https?:\/\/\S+/)[0]
+        ).searchParams.get("token");
+
+        const res = await request(app)
+            .post("/api/auth/verify-email")
+            .send({ token });
+        expect(res.statusCode).toEqual(200);
+
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(meRes.body.data.user).toHaveProperty("emailVerified", true);
+    });
+
+    it("should require a second factor to log in once 2FA is enabled", async () => {
+        const setupRes = await request(app)
+            .post("/api/auth/2fa/setup")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(setupRes.statusCode).toEqual(200);
+        expect(setupRes.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+        const { secret } = setupRes.body.data;
+
+        const code = generateTotp(secret, getTimeStep());
+        const confirmRes = await request(app)
+            .post("/api/auth/2fa/confirm")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ code });
+        expect(confirmRes.statusCode).toEqual(200);
+        const { recoveryCodes } = confirmRes.body.data;
+        expect(recoveryCodes).toHaveLength(10);
+
+        // The password alone now only yields a challenge
+        const loginRes = await request(app).post("/api/auth/login").send({
+            usernameOrEmail: testUser.email,
+            password: testUser.password,
+        });
+        expect(loginRes.statusCode).toEqual(200);
+        expect(loginRes.body.data).toHaveProperty("twoFactorRequired", true);
+        expect(loginRes.body.data).not.toHaveProperty("tokens");
+        const { challengeToken } = loginRes.body.data;
+
+        // The code used for enrollment cannot be replayed
+        const replayRes = await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken, code });
+        expect(replayRes.statusCode).toEqual(401);
+
+        const verifyRes = await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(verifyRes.statusCode).toEqual(200);
+        expect(verifyRes.body.data).toHaveProperty("tokens");
+
+        // Recovery codes are single-use
+        const reuseRes = await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(reuseRes.statusCode).toEqual(401);
+
+        // Wrong codes for turning 2FA off count towards the lockout too
+        const disableRes = await request(app)
+            .post("/api/auth/2fa/disable")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ recoveryCode: "not-a-recovery-code" });
+        expect(disableRes.statusCode).toEqual(400);
+        const eventsRes = await request(app)
+            .get("/api/auth/security-events")
+            .query({ type: "login_failed" })
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(eventsRes.body.data.events).toHaveLength(3);
+        expect(eventsRes.body.data.events[0].details).toEqual({
+            reason: "invalid_two_factor_code",
+        });
+    });
+
+    it("should change the password and sign out other sessions", async () => {
+        const otherLogin = await request(app).post("/api/auth/login").send({
+            usernameOrEmail: testUser.email,
+            password: testUser.password,
+        });
+        const otherAccessToken = otherLogin.body.data.tokens.access;
+
+        const wrongRes = await request(app)
+            .post("/api/auth/change-password")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({
+                currentPassword: "wrongpassword",
+                newPassword: "newpass123",
+            });
+        expect(wrongRes.statusCode).toEqual(400);
+
+        const res = await request(app)
+            .post("/api/auth/change-password")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({
+                currentPassword: testUser.password,
+                newPassword: "newpass123",
+            });
+        expect(res.statusCode).toEqual(200);
+
+        // The current session survives, the other one is signed out
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(meRes.statusCode).toEqual(200);
+        const otherMeRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${otherAccessToken}`);
+        expect(otherMeRes.statusCode).toEqual(401);
+
+        const loginRes = await request(app).post("/api/auth/login").send({
+            usernameOrEmail: testUser.email,
+            password: "newpass123",
+        });
+        expect(loginRes.statusCode).toEqual(200);
+    });
+
+    it("should require a recent re-authentication for sensitive actions", async () => {
+        // Pretend the session logged in an hour ago
+        await Session.updateMany(
+            {},
+            { authenticatedAt: new Date(Date.now() - 60 * 60 * 1000) }
+        );
+
+        const blockedRes = await request(app)
+            .post("/api/auth/change-email")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ newEmail: "new@example.com" });
+        expect(blockedRes.statusCode).toEqual(403);
+
+        const wrongRes = await request(app)
+            .post("/api/auth/reauthenticate")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ password: "wrongpassword" });
+        expect(wrongRes.statusCode).toEqual(400);
+
+        const reauthRes = await request(app)
+            .post("/api/auth/reauthenticate")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ password: testUser.password });
+        expect(reauthRes.statusCode).toEqual(200);
+        expect(reauthRes.body.data).toHaveProperty("sudoModeExpiresAt");
+
+        const res = await request(app)
+            .post("/api/auth/change-email")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ newEmail: "new@example.com" });
+        expect(res.statusCode).toEqual(200);
+    });
+
+    it("should change the email once the new address is confirmed", async () => {
+        const res = await request(app)
+            .post("/api/auth/change-email")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ newEmail: "changed@example.com" });
+        expect(res.statusCode).toEqual(200);
+
+        // The old address is told about the request
+        const [notice] = await getOutboxMessages({ to: testUser.email });
+        expect(notice.subject).toEqual("Email change requested");
+
+        const [message] = await getOutboxMessages({
+            to: "changed@example.com",
+        });
+        const token = new URL(
+            message.text.match(/https?:\/\/\S+/)[0]
+        ).searchParams.get("token");
+
+        const confirmRes = await request(app)
+            .post("/api/auth/change-email/confirm")
+            .send({ token });
+        expect(confirmRes.statusCode).toEqual(200);
+
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(meRes.body.data.user).toHaveProperty(
+            "email",
+            "changed@example.com"
+        );
+        expect(meRes.body.data.user).toHaveProperty("emailVerified", true);
+
+        // Links are single-use
+        const reuseRes = await request(app)
+            .post("/api/auth/change-email/confirm")
+            .send({ token });
+        expect(reuseRes.statusCode).toEqual(400);
+    });
+
+    it("should reject registration with a malformed username", async () => {
+        const res = await request(app)
+            .post("/api/auth/register")
+            .send({
+                ...testUser,
+                username: "a.*(b|c)*",
+                email: "pattern@example.com",
+            });
+        expect(res.statusCode).toBe(422);
+        expect(await User.exists({ email: "pattern@example.com" })).toBeNull();
+    });
+
+    it("should change the username and redirect the old one", async () => {
+        const takenRes = await request(app).get(
+            `/api/auth/username-availability?username=${testUser.username}`
+        );
+        expect(takenRes.body.data.available).toBe(false);
+        const reservedRes = await request(app).get(
+            "/api/auth/username-availability?username=admin"
+        );
+        expect(reservedRes.body.data.reason).toEqual(
+            "This username is reserved"
+        );
+
+        const res = await request(app)
+            .post("/api/auth/change-username")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ newUsername: "renamed_user" });
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.username).toEqual("renamed_user");
+
+        // The old username still leads to the account
+        const profileRes = await request(app).get(
+            `/api/users/${testUser.username}`
+        );
+        expect(profileRes.statusCode).toEqual(200);
+        expect(profileRes.body.data.user.username).toEqual("renamed_user");
+        expect(profileRes.headers["x-username-redirect"]).toEqual(
+            "renamed_user"
+        );
+
+        // ...and stays reserved for it during the grace period
+        const registerRes = await request(app)
+            .post("/api/auth/register")
+            .send({ ...testUser, email: "other@example.com" });
+        expect(registerRes.statusCode).toEqual(409);
+
+        const secondRes = await request(app)
+            .post("/api/auth/change-username")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ newUsername: "renamed_again" });
+        expect(secondRes.statusCode).toEqual(200);
+        const limitedRes = await request(app)
+            .post("/api/auth/change-username")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ newUsername: "one_more_time" });
+        expect(limitedRes.statusCode).toEqual(429);
+        expect(limitedRes.headers).toHaveProperty("retry-after");
+    });
+
+    it("should deactivate the account and reactivate it on login", async () => {
+        const res = await request(app)
+            .post("/api/auth/deactivate")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data).toHaveProperty("scheduledDeletionAt");
+
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(meRes.statusCode).toEqual(401);
+
+        const profileRes = await request(app).get(
+            `/api/users/${testUser.username}`
+        );
+        expect(profileRes.statusCode).toEqual(404);
+
+        const loginRes = await request(app).post("/api/auth/login").send({
+            usernameOrEmail: testUser.email,
+            password: testUser.password,
+        });
+        expect(loginRes.statusCode).toEqual(200);
+        expect(loginRes.body.data).toHaveProperty("reactivated", true);
+        expect(loginRes.body.data.user).toHaveProperty("isActive", true);
+    });
+
+    it("should purge deactivated accounts after the grace period", async () => {
+        const other = await User.create({
+            username: "otheruser",
+            email: "other@example.com",
+            password: "password123",
+            name: "Other User",
+        });
+        const otherTweet = await Tweet.create({
+            content: "Hello",
+            author: other._id,
+        });
+
+        // Like and reply to the other user's tweet before leaving
+        await request(app)
+            .post(`/api/tweets/${otherTweet._id}/like`)
+            .set("Authorization", `Bearer ${accessToken}`);
+        await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ content: "A reply", inReplyToId: otherTweet._id });
+
+        await request(app)
+            .post("/api/auth/deactivate")
+            .set("Authorization", `Bearer ${accessToken}`);
+        const user = await User.findOne({ username: testUser.username });
+
+        // Nothing happens during the grace period
+        expect(await purgeDeactivatedAccounts()).toEqual(0);
+
+        const afterGracePeriod = new Date(
+            user.scheduledDeletionAt.getTime() + 1000
+        );
+        expect(await purgeDeactivatedAccounts(afterGracePeriod)).toEqual(1);
+
+        expect(await User.findById(user._id)).toBeNull();
+        expect(await Tweet.countDocuments({ author: user._id })).toEqual(0);
+        const updatedTweet = await Tweet.findById(otherTweet._id);
+        expect(updatedTweet.likes).toHaveLength(0);
+        expect(updatedTweet.engagementCount.likes).toEqual(0);
+        expect(updatedTweet.engagementCount.replies).toEqual(0);
+    });
+
+    it("should authenticate with a scoped personal access token", async () => {
+        const createRes = await request(app)
+            .post("/api/auth/tokens")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ name: "CI script", scopes: ["tweet:read", "user:read"] });
+        expect(createRes.statusCode).toEqual(201);
+        const { token, tokenInfo } = createRes.body.data;
+        expect(token).toMatch(/^rtw_pat_/);
+
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${token}`);
+        expect(meRes.statusCode).toEqual(200);
+
+        // Scopes the token was not granted are refused
+        const tweetRes = await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ content: "Posted by a script" });
+        expect(tweetRes.statusCode).toEqual(403);
+
+        // Tokens cannot create further tokens
+        const mintRes = await request(app)
+            .post("/api/auth/tokens")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: "Another", scopes: ["tweet:read"] });
+        expect(mintRes.statusCode).toEqual(403);
+
+        const listRes = await request(app)
+            .get("/api/auth/tokens")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(listRes.body.data.tokens).toHaveLength(1);
+        expect(listRes.body.data.tokens[0]).not.toHaveProperty("tokenHash");
+
+        const revokeRes = await request(app)
+            .delete(`/api/auth/tokens/${tokenInfo._id}`)
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(revokeRes.statusCode).toEqual(200);
+
+        const revokedRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${token}`);
+        expect(revokedRes.statusCode).toEqual(401);
+    });
+
+    it("should reject personal access tokens with unknown scopes", async () => {
+        const res = await request(app)
+            .post("/api/auth/tokens")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ name: "Bad", scopes: ["everything"] });
+        expect(res.statusCode).toEqual(400);
+    });
+
+    it("should record security events and alert on logins from new devices", async () => {
+        const failedRes = await request(app)
+            .post("/api/auth/login")
+            .set("User-Agent", "Laptop Browser")
+            .send({ usernameOrEmail: testUser.email, password: "wrongpass" });
+        expect(failedRes.statusCode).toEqual(401);
+
+        const login = (userAgent) =>
+            request(app)
+                .post("/api/auth/login")
+                .set("User-Agent", userAgent)
+                .send({
+                    usernameOrEmail: testUser.email,
+                    password: testUser.password,
+                });
+
+        expect((await login("Phone Browser")).statusCode).toEqual(200);
+        // Same device again: no second alert
+        expect((await login("Phone Browser")).statusCode).toEqual(200);
+
+        const notificationsRes = await request(app)
+            .get("/api/notifications")
+            .set("Authorization", `Bearer ${accessToken}`);
+        const alerts = notificationsRes.body.data.notifications.filter(
+            (notification) => notification.type === "new_device_login"
+        );
+        expect(alerts).toHaveLength(1);
+        expect(alerts[0].securityEvent.userAgent).toEqual("Phone Browser");
+
+        const eventsRes = await request(app)
+            .get("/api/auth/security-events")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(eventsRes.statusCode).toEqual(200);
+        const types = eventsRes.body.data.events.map((event) => event.type);
+        expect(types).toEqual(["login", "login", "login_failed", "login"]);
+        expect(eventsRes.body.data.events[2].details).toEqual({
+            reason: "incorrect_password",
+        });
+        expect(eventsRes.body.data.events[1].newDevice).toBe(true);
+
+        const filteredRes = await request(app)
+            .get("/api/auth/security-events")
+            .query({ type: "login_failed" })
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(filteredRes.body.data.events).toHaveLength(1);
+    });
+
+    it("should let admins impersonate users read-only with an audit trail", async () => {
+        const adminRes = await request(app).post("/api/auth/register").send({
+            username: "supportadmin",
+            email: "support@example.com",
+            password: "password123",
+            name: "Support Admin",
+        });
+        await User.updateOne({ username: "supportadmin" }, { role: "admin" });
+        const adminToken = adminRes.body.data.tokens.access;
+        const { _id: userId } = (
+            await User.findOne({ username: "testuser" })
+        ).toObject();
+
+        // Regular users cannot impersonate
+        const forbiddenRes = await request(app)
+            .post(`/api/admin/users/${adminRes.body.data.user._id}/impersonate`)
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ reason: "Curious" });
+        expect(forbiddenRes.statusCode).toEqual(403);
+
+        const impersonateRes = await request(app)
+            .post(`/api/admin/users/${userId}/impersonate`)
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ reason: "Timeline missing tweets (ticket 42)" });
+        expect(impersonateRes.statusCode).toEqual(201);
+        const { token, impersonation } = impersonateRes.body.data;
+        expect(impersonation.readOnly).toBe(true);
+
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${token}`);
+        expect(meRes.statusCode).toEqual(200);
+        expect(meRes.body.data.user.username).toEqual("testuser");
+        expect(meRes.headers["x-impersonation-id"]).toEqual(impersonation._id);
+
+        const writeRes = await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ content: "Posted by support" });
+        expect(writeRes.statusCode).toEqual(403);
+
+        // Security settings stay out of reach
+        const sessionsRes = await request(app)
+            .get("/api/auth/sessions")
+            .set("Authorization", `Bearer ${token}`);
+        expect(sessionsRes.statusCode).toEqual(403);
+
+        const endRes = await request(app)
+            .post(`/api/admin/impersonations/${impersonation._id}/end`)
+            .set("Authorization", `Bearer ${adminToken}`);
+        expect(endRes.statusCode).toEqual(200);
+
+        const endedRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${token}`);
+        expect(endedRes.statusCode).toEqual(401);
+
+        // The user can see who impersonated them and what was requested
+        const historyRes = await request(app)
+            .get("/api/auth/impersonations")
+            .set("Authorization", `Bearer ${accessToken}`);
+        const [record] = historyRes.body.data.impersonations;
+        expect(record.admin.username).toEqual("supportadmin");
+        expect(record.reason).toEqual("Timeline missing tweets (ticket 42)");
+        expect(record.requests.map((entry) => entry.statusCode)).toEqual([
+            200, 403, 403,
+        ]);
+    });
+
+    it("should authenticate with HttpOnly cookies and require a CSRF token", async () => {
+        const agent = request.agent(app);
+
+        const loginRes = await agent
+            .post("/api/auth/login")
+            .set("X-Auth-Mode", "cookie")
+            .send({
+                usernameOrEmail: testUser.email,
+                password: testUser.password,
+            });
+        expect(loginRes.statusCode).toEqual(200);
+        expect(loginRes.body.data).not.toHaveProperty("tokens");
+        const { csrfToken } = loginRes.body.data;
+        expect(csrfToken).toBeDefined();
+
+        const cookies = loginRes.headers["set-cookie"].join("\n");
+        expect(cookies).toMatch(/access_token=[^;]+;.*HttpOnly/);
+        expect(cookies).toMatch(
+            /refresh_token=[^;]+; Path=\/api\/auth;.*HttpOnly/
+        );
+
+        const meRes = await agent.get("/api/auth/me");
+        expect(meRes.statusCode).toEqual(200);
+        expect(meRes.body.data.user.email).toEqual(testUser.email);
+
+        // State-changing requests without the token are refused
+        const forgedRes = await agent
+            .post("/api/tweets")
+            .send({ content: "Forged tweet" });
+        expect(forgedRes.statusCode).toEqual(403);
+
+        const tweetRes = await agent
+            .post("/api/tweets")
+            .set("X-CSRF-Token", csrfToken)
+            .send({ content: "Tweet from the browser" });
+        expect(tweetRes.statusCode).toEqual(201);
+
+        const csrfRes = await agent.get("/api/auth/csrf");
+        expect(csrfRes.body.data.csrfToken).toEqual(csrfToken);
+
+        const refreshRes = await agent
+            .post("/api/auth/refresh")
+            .set("X-CSRF-Token", csrfToken)
+            .send({});
+        expect(refreshRes.statusCode).toEqual(200);
+        const rotatedCsrfToken = refreshRes.body.data.csrfToken;
+        expect(rotatedCsrfToken).not.toEqual(csrfToken);
+
+        const logoutRes = await agent
+            .post("/api/auth/logout")
+            .set("X-CSRF-Token", rotatedCsrfToken);
+        expect(logoutRes.statusCode).toEqual(200);
+
+        const afterLogoutRes = await agent.get("/api/auth/me");
+        expect(afterLogoutRes.statusCode).toEqual(401);
+    });
+
+    it("should grant a third-party app scoped access with OAuth and PKCE", async () => {
+        const appRes = await request(app)
+            .post("/api/oauth/apps")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({
+                name: "Scheduler",
+                redirectUris: ["https://scheduler.example.com/callback"],
+            });
+        expect(appRes.statusCode).toEqual(201);
+        const { clientId } = appRes.body.data.app;
+        const { clientSecret } = appRes.body.data;
+
+        const codeVerifier = crypto.randomBytes(32).toString("base64url");
+        const authorizeParams = {
+            response_type: "code",
+            client_id: clientId,
+            redirect_uri: "https://scheduler.example.com/callback",
+            scope: "tweet:read",
+            state: "xyz",
+            code_challenge: crypto
+                .createHash("sha256")
+                .update(codeVerifier)
+                .digest("base64url"),
+            code_challenge_method: "S256",
+        };
+
+        const consentRes = await request(app)
+            .get("/api/oauth/authorize")
+            .query(authorizeParams)
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(consentRes.statusCode).toEqual(200);
+        expect(consentRes.body.data.app.name).toEqual("Scheduler");
+
+        const decisionRes = await request(app)
+            .post("/api/oauth/authorize")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ ...authorizeParams, approve: true });
+        const redirectTo = new URL(decisionRes.body.data.redirectTo);
+        expect(redirectTo.searchParams.get("state")).toEqual("xyz");
+        const code = redirectTo.searchParams.get("code");
+
+        const tokenRequest = {
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: authorizeParams.redirect_uri,
+            code_verifier: codeVerifier,
+            client_id: clientId,
+            client_secret: clientSecret,
+        };
+        const tokenRes = await request(app)
+            .post("/api/oauth/token")
+            .type("form")
+            .send(tokenRequest);
+        expect(tokenRes.statusCode).toEqual(200);
+        expect(tokenRes.body).toHaveProperty("scope", "tweet:read");
+        const appAccessToken = tokenRes.body.access_token;
+
+        // Codes are single-use; replaying one revokes what it issued
+        const replayRes = await request(app)
+            .post("/api/oauth/token")
+            .type("form")
+            .send(tokenRequest);
+        expect(replayRes.statusCode).toEqual(400);
+        expect(replayRes.body).toHaveProperty("error", "invalid_grant");
+
+        const introspectRes = await request(app)
+            .post("/api/oauth/introspect")
+            .auth(clientId, clientSecret)
+            .type("form")
+            .send({ token: appAccessToken });
+        expect(introspectRes.body).toHaveProperty("active", false);
+    });
+
+    it("should only let app tokens use the scopes the user granted", async () => {
+        const appRes = await request(app)
+            .post("/api/oauth/apps")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({
+                name: "Reader",
+                redirectUris: ["http://localhost:4000/callback"],
+                confidential: false,
+            });
+        const { clientId } = appRes.body.data.app;
+        expect(appRes.body.data).not.toHaveProperty("clientSecret");
+
+        const codeVerifier = crypto.randomBytes(32).toString("base64url");
+        const authorizeParams = {
+            response_type: "code",
+            client_id: clientId,
+            redirect_uri: "http://localhost:4000/callback",
+            scope: "tweet:read user:read",
+            code_challenge: crypto
+                .createHash("sha256")
+                .update(codeVerifier)
+                .digest("base64url"),
+            code_challenge_method: "S256",
+        };
+        const decisionRes = await request(app)
+            .post("/api/oauth/authorize")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .send({ ...authorizeParams, approve: true });
+        const code = new URL(decisionRes.body.data.redirectTo).searchParams.get(
+            "code"
+        );
+
+        const tokenRes = await request(app)
+            .post("/api/oauth/token")
+            .type("form")
+            .send({
+                grant_type: "authorization_code",
+                code,
+                redirect_uri: authorizeParams.redirect_uri,
+                code_verifier: codeVerifier,
+                client_id: clientId,
+            });
+        expect(tokenRes.statusCode).toEqual(200);
+        const appAccessToken = tokenRes.body.access_token;
+
+        const meRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${appAccessToken}`);
+        expect(meRes.statusCode).toEqual(200);
+
+        const tweetRes = await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${appAccessToken}`)
+            .send({ content: "Posted by an app" });
+        expect(tweetRes.statusCode).toEqual(403);
+
+        // App tokens cannot be refreshed through the first-party endpoint
+        const refreshRes = await request(app)
+            .post("/api/auth/refresh")
+            .send({ refreshToken: tokenRes.body.refresh_token });
+        expect(refreshRes.statusCode).toEqual(401);
+
+        const authorizationsRes = await request(app)
+            .get("/api/oauth/authorizations")
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(authorizationsRes.body.data.authorizations).toHaveLength(1);
+
+        const revokeRes = await request(app)
+            .delete(`/api/oauth/authorizations/${appRes.body.data.app._id}`)
+            .set("Authorization", `Bearer ${accessToken}`);
+        expect(revokeRes.statusCode).toEqual(200);
+
+        const revokedRes = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${appAccessToken}`);
+        expect(revokedRes.statusCode).toEqual(401);
+    });
+
+    it("should not accept a challenge token as an access token", async () => {
+        const challengeToken = generateTwoFactorChallengeToken(
+            new mongoose.Types.ObjectId()
+        );
+
+        const res = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${challengeToken}`);
+        expect(res.statusCode).toEqual(401);
+    });
+
     it("should not log out without a token", async () => {
         const res = await request(app).post("/api/auth/logout");
         expect(res.statusCode).toEqual(401);
@@ -0,0 +1,99 @@
+const {
+    createMemoryAttemptStore,
+    setAttemptStore,
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+} = require("../src/utils/loginThrottle.utils");
+
+const attempt = { ip: "203.0.113.7", accountId: "507f1f77bcf86cd799439011" };
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2024-01-01T00:00:00Z"));
+    setAttemptStore(createMemoryAttemptStore());
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe("Login throttling", () => {
+    it("should allow the first few failed attempts without delay", async () => {
+        await recordFailedLogin(attempt);
+        await recordFailedLogin(attempt);
+
+        expect(await checkLoginAllowed(attempt)).toEqual({ allowed: true });
+    });
+
+    it("should back off exponentially once free attempts are used", async () => {
+        for (let i = 0; i < 3; i++) await recordFailedLogin(attempt);
+
+        let result = await checkLoginAllowed(attempt);
+        expect(result.allowed).toBe(false);
+        expect(result.statusCode).toEqual(429);
+        expect(result.retryAfterSeconds).toEqual(1);
+
+        jest.advanceTimersByTime(1000);
+        expect((await checkLoginAllowed(attempt)).allowed).toBe(true);
+
+        // Next failure doubles the delay
+        await recordFailedLogin(attempt);
+        result = await checkLoginAllowed(attempt);
+        expect(result.retryAfterSeconds).toEqual(2);
+    });
+
+    it("should lock the account after the lockout threshold", async () => {
+        let outcome;
+        for (let i = 0; i < 10; i++) outcome = await recordFailedLogin(attempt);
+
+        expect(outcome.locked).toBe(true);
+        const result = await checkLoginAllowed(attempt);
+        expect(result.statusCode).toEqual(423);
+        expect(result.retryAfterSeconds).toEqual(15 * 60);
+
+        // Lockout is temporary
+        jest.advanceTimersByTime(15 * 60 * 1000);
+        expect(
+            (await checkLoginAllowed({ accountId: attempt.accountId })).allowed
+        ).toBe(true);
+    });
+
+    it("should reset the account counter after a successful login", async () => {
+        for (let i = 0; i < 3; i++) await recordFailedLogin(attempt);
+        await recordSuccessfulLogin(attempt);
+
+        // The account is clear; the IP still has a few failures on record
+        expect(await checkLoginAllowed(attempt)).toEqual({ allowed: true });
+    });
+
+    it("should throttle an IP spraying many accounts", async () => {
+        for (let i = 0; i < 20; i++) {
+            await recordFailedLogin({ ip: attempt.ip, accountId: `user${i}` });
+        }
+
+        const result = await checkLoginAllowed({
+            ip: attempt.ip,
+            accountId: "another-user",
+        });
+        expect(result.statusCode).toEqual(429);
+        // Other clients are not affected
+        expect(
+            (
+                await checkLoginAllowed({
+                    ip: "198.51.100.1",
+                    accountId: "another-user",
+                })
+            ).allowed
+        ).toBe(true);
+    });
+
+    it("should forget failures once the counting window has passed", async () => {
+        for (let i = 0; i < 5; i++) await recordFailedLogin(attempt);
+
+        jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+        await recordFailedLogin(attempt);
+
+        expect(await checkLoginAllowed(attempt)).toEqual({ allowed: true });
+    });
+});
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+const {
+    isValidRedirectUri,
+    buildRedirectUrl,
+    parseScopes,
+    verifyPkce,
+} = require("../src/utils/oauth.utils");
+
+describe("OAuth utils", () => {
+    it("should only accept HTTPS redirect URIs (HTTP on localhost)", () => {
+        expect(isValidRedirectUri("https://app.example.com/callback")).toBe(
+            true
+        );
+        expect(isValidRedirectUri("http://localhost:3000/callback")).toBe(true);
+        expect(isValidRedirectUri("http://app.example.com/callback")).toBe(
+            false
+        );
+        expect(isValidRedirectUri("https://app.example.com/cb#frag")).toBe(
+            false
+        );
+        expect(isValidRedirectUri("/callback")).toBe(false);
+    });
+
+    it("should append parameters to the redirect URI", () => {
+        expect(
+            buildRedirectUrl("https://app.example.com/cb?tab=1", {
+                code: "abc",
+                state: undefined,
+            })
+        ).toEqual("https://app.example.com/cb?tab=1&code=abc");
+    });
+
+    it("should parse requested scopes", () => {
+        expect(parseScopes("tweet:read  user:read tweet:read")).toEqual([
+            "tweet:read",
+            "user:read",
+        ]);
+        expect(() => parseScopes("")).toThrow();
+        expect(() => parseScopes("tweet:read everything")).toThrow();
+        // Account security is never delegated to apps
+        expect(() => parseScopes("account:admin")).toThrow();
+    });
+
+    it("should verify PKCE S256 code verifiers", () => {
+        const verifier = crypto.randomBytes(32).toString("base64url");
+        const challenge = crypto
+            .createHash("sha256")
+            .update(verifier)
+            .digest("base64url");
+
+        expect(verifyPkce(verifier, challenge)).toBe(true);
+        expect(verifyPkce(`${verifier}x`, challenge)).toBe(false);
+        expect(verifyPkce(undefined, challenge)).toBe(false);
+        // Too short to be a valid verifier
+        expect(verifyPkce("abc", "abc")).toBe(false);
+    });
+});
@@ -0,0 +1,80 @@
+const {
+    base32Encode,
+    base32Decode,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+} = require("../src/utils/totp.utils");
+
+// RFC 6238 test secret ("12345678901234567890" as ASCII)
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP utils", () => {
+    it("should round-trip base32 encoding", () => {
+        expect(RFC_SECRET).toEqual("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+        expect(base32Decode(RFC_SECRET).toString()).toEqual(
+            "12345678901234567890"
+        );
+        // Lowercase, spaces and padding are tolerated
+        expect(base32Decode("gezd gnbv gy3t qojq====").toString()).toEqual(
+            "1234567890"
+        );
+    });
+
+    it("should match the RFC 6238 SHA-1 test vectors", () => {
+        // The RFC lists 8-digit codes; we use the last 6 digits
+        expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toEqual("287082");
+        expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toEqual(
+            "081804"
+        );
+        expect(generateTotp(RFC_SECRET, Math.floor(2000000000 / 30))).toEqual(
+            "279037"
+        );
+    });
+
+    it("should accept codes within the drift window only", () => {
+        const timestamp = 1111111109 * 1000;
+        const step = Math.floor(1111111109 / 30);
+
+        expect(verifyTotp(RFC_SECRET, "081804", { timestamp })).toEqual(step);
+        // Previous step is accepted with the default window of 1
+        const previousCode = generateTotp(RFC_SECRET, step - 1);
+        expect(verifyTotp(RFC_SECRET, previousCode, { timestamp })).toEqual(
+            step - 1
+        );
+        // Two steps away is rejected
+        const oldCode = generateTotp(RFC_SECRET, step - 2);
+        expect(verifyTotp(RFC_SECRET, oldCode, { timestamp })).toBeNull();
+    });
+
+    it("should reject malformed codes", () => {
+        expect(verifyTotp(RFC_SECRET, "")).toBeNull();
+        expect(verifyTotp(RFC_SECRET, "12345")).toBeNull();
+        expect(verifyTotp(RFC_SECRET, "abcdef")).toBeNull();
+    });
+
+    it("should build an otpauth URI for authenticator apps", () => {
+        const uri = buildOtpauthUri({
+            secret: RFC_SECRET,
+            accountName: "testuser",
+            issuer: "Twitter Clone",
+        });
+        expect(uri).toMatch(/^otpauth:\/\/totp\/Twitter%20Clone:testuser\?/);
+        const params = new URL(uri).searchParams;
+        expect(params.get("secret")).toEqual(RFC_SECRET);
+        expect(params.get("issuer")).toEqual("Twitter Clone");
+        expect(params.get("digits")).toEqual("6");
+    });
+
+    it("should generate distinct, normalizable recovery codes", () => {
+        const codes = generateRecoveryCodes();
+        expect(codes).toHaveLength(10);
+        expect(new Set(codes).size).toEqual(10);
+        expect(codes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/);
+        expect(normalizeRecoveryCode(` ${codes[0].toUpperCase()} `)).toEqual(
+            codes[0].replace(/-/g, "")
+        );
+    });
+});
@@ -4,6 +4,9 @@ const { app, httpServer } = require("../src/index");
 const mongoose = require("mongoose");
 const User = require("../src/models/user.model");
 const Tweet = require("../src/models/tweet.model");
+const Follow = require("../src/models/follow.model");
+const { reconcileUserCounts } = require("../src/utils/userCounts.utils");
+const { migrateFollows } = require("../src/scripts/migrateFollows");
 
 // Connect DB before all tests
 beforeAll(async () => {
@@ -16,6 +19,7 @@ beforeAll(async () => {
     // Clean up database
     await User.deleteMany({});
     await Tweet.deleteMany({});
+    await Follow.deleteMany({});
 });
 
 // Disconnect DB and close server after all tests
@@ -301,4 +305,646 @@ describe("Tweet API", () => {
             ).not.toContain(liker._id);
         }
     });
+
+    // --- Block Tests ---
+
+    it("should hide blocked accounts and stop them from interacting", async () => {
+        const { user: blocker, token: blockerToken } =
+            await createUserAndGetToken();
+        const { user: blocked, token: blockedToken } =
+            await createUserAndGetToken();
+
+        const followRes = await request(app)
+            .post(`/api/users/${blocker.username}/follow`)
+            .set("Authorization", `Bearer ${blockedToken}`);
+        expect(followRes.statusCode).toBe(200);
+
+        const tweet = await Tweet.create({
+            content: "Not for you",
+            author: blocker._id,
+        });
+
+        const blockRes = await request(app)
+            .post(`/api/users/${blocked.username}/block`)
+            .set("Authorization", `Bearer ${blockerToken}`);
+        expect(blockRes.statusCode).toBe(200);
+
+        // The follow was removed on both sides
+        const [blockerAfter, blockedAfter] = await Promise.all([
+            User.findById(blocker._id),
+            User.findById(blocked._id),
+        ]);
+        expect(
+            await Follow.exists({
+                follower: blocked._id,
+                followee: blocker._id,
+            })
+        ).toBeNull();
+        expect(blockerAfter.followersCount).toBe(0);
+        expect(blockedAfter.followingCount).toBe(0);
+
+        const blocksRes = await request(app)
+            .get("/api/users/blocks")
+            .set("Authorization", `Bearer ${blockerToken}`);
+        expect(blocksRes.statusCode).toBe(200);
+        expect(blocksRes.body.data.users.map((u) => u.username)).toEqual([
+            blocked.username,
+        ]);
+
+        // Neither side can follow, like, retweet or reply
+        const refollowRes = await request(app)
+            .post(`/api/users/${blocker.username}/follow`)
+            .set("Authorization", `Bearer ${blockedToken}`);
+        expect(refollowRes.statusCode).toBe(403);
+
+        const likeRes = await request(app)
+            .post(`/api/tweets/${tweet._id}/like`)
+            .set("Authorization", `Bearer ${blockedToken}`);
+        expect(likeRes.statusCode).toBe(403);
+
+        const retweetRes = await request(app)
+            .post(`/api/tweets/${tweet._id}/retweet`)
+            .set("Authorization", `Bearer ${blockedToken}`);
+        expect(retweetRes.statusCode).toBe(403);
+
+        const replyRes = await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${blockedToken}`)
+            .send({ content: "Reply", inReplyToId: tweet._id.toString() });
+        expect(replyRes.statusCode).toBe(403);
+
+        const followBackRes = await request(app)
+            .post(`/api/users/${blocked.username}/follow`)
+            .set("Authorization", `Bearer ${blockerToken}`);
+        expect(followBackRes.statusCode).toBe(403);
+
+        // The blocker's tweets are gone for the blocked user
+        const threadRes = await request(app)
+            .get(`/api/tweets/${tweet._id}/thread`)
+            .set("Authorization", `Bearer ${blockedToken}`);
+        expect(threadRes.statusCode).toBe(404);
+
+        // Unblocking allows following again
+        const unblockRes = await request(app)
+            .delete(`/api/users/${blocked.username}/block`)
+            .set("Authorization", `Bearer ${blockerToken}`);
+        expect(unblockRes.statusCode).toBe(200);
+
+        const followAgainRes = await request(app)
+            .post(`/api/users/${blocker.username}/follow`)
+            .set("Authorization", `Bearer ${blockedToken}`);
+        expect(followAgainRes.statusCode).toBe(200);
+    });
+
+    // --- Mute Tests ---
+
+    it("should filter muted accounts, keywords, hashtags and conversations", async () => {
+        const { user: viewer, token: viewerToken } =
+            await createUserAndGetToken();
+        const { user: muted, token: mutedToken } =
+            await createUserAndGetToken();
+        const { user: other } = await createUserAndGetToken();
+
+        await Follow.create([
+            { follower: viewer._id, followee: muted._id },
+            { follower: viewer._id, followee: other._id },
+        ]);
+
+        const [fromMuted, spoiler, , root, visible] = await Promise.all([
+            Tweet.create({ content: "Hello", author: muted._id }),
+            Tweet.create({ content: "Big Spoiler ahead", author: other._id }),
+            Tweet.create({ content: "Game day #finals", author: other._id }),
+            Tweet.create({ content: "Start of a thread", author: other._id }),
+            Tweet.create({ content: "Nothing to hide", author: other._id }),
+        ]);
+        const reply = await Tweet.create({
+            content: "More of the thread",
+            author: other._id,
+            inReplyTo: root._id,
+        });
+        expect(reply.conversation.toString()).toBe(root._id.toString());
+
+        const mutes = [
+            request(app)
+                .post(`/api/users/${muted.username}/mute`)
+                .set("Authorization", `Bearer ${viewerToken}`),
+            request(app)
+                .post("/api/users/mutes")
+                .set("Authorization", `Bearer ${viewerToken}`)
+                .send({ type: "keyword", value: "spoiler", expiresInDays: 7 }),
+            request(app)
+                .post("/api/users/mutes")
+                .set("Authorization", `Bearer ${viewerToken}`)
+                .send({ type: "hashtag", value: "#Finals" }),
+            request(app)
+                .post(`/api/tweets/${reply._id}/mute`)
+                .set("Authorization", `Bearer ${viewerToken}`),
+        ];
+        for (const mute of mutes) {
+            expect((await mute).statusCode).toBe(200);
+        }
+
+        const timelineRes = await request(app)
+            .get("/api/tweets/timeline?includeReplies=true")
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(timelineRes.statusCode).toBe(200);
+        expect(timelineRes.body.data.tweets.map((t) => t._id)).toEqual([
+            visible._id.toString(),
+        ]);
+
+        // The muted user sees nothing different and is not told
+        const mutedTimelineRes = await request(app)
+            .get("/api/tweets/timeline")
+            .set("Authorization", `Bearer ${mutedToken}`);
+        expect(mutedTimelineRes.body.data.tweets.map((t) => t._id)).toContain(
+            fromMuted._id.toString()
+        );
+
+        // Muted accounts don't notify
+        const likeRes = await request(app)
+            .post(`/api/tweets/${visible._id}/like`)
+            .set("Authorization", `Bearer ${mutedToken}`);
+        expect(likeRes.statusCode).toBe(200);
+        const notificationsRes = await request(app)
+            .get("/api/notifications")
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(notificationsRes.body.data.notifications).toHaveLength(0);
+
+        const listRes = await request(app)
+            .get("/api/users/mutes")
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(listRes.body.data.mutes).toHaveLength(4);
+        const keywordMute = listRes.body.data.mutes.find(
+            (mute) => mute.type === "keyword"
+        );
+        expect(keywordMute.keyword).toBe("spoiler");
+        expect(keywordMute.expiresAt).toBeTruthy();
+
+        const deleteRes = await request(app)
+            .delete(`/api/users/mutes/${keywordMute._id}`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(deleteRes.statusCode).toBe(200);
+
+        const afterRes = await request(app)
+            .get("/api/tweets/timeline")
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(afterRes.body.data.tweets.map((t) => t._id)).toContain(
+            spoiler._id.toString()
+        );
+    });
+
+    // --- Protected Account Tests ---
+
+    it("should only show protected tweets to approved followers", async () => {
+        const { user: owner, token: ownerToken } =
+            await createUserAndGetToken();
+        const { user: viewer, token: viewerToken } =
+            await createUserAndGetToken();
+
+        const protectRes = await request(app)
+            .patch("/api/users/profile")
+            .set("Authorization", `Bearer ${ownerToken}`)
+            .send({ isProtected: true });
+        expect(protectRes.statusCode).toBe(200);
+        expect(protectRes.body.data.user.isProtected).toBe(true);
+
+        const tweetRes = await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${ownerToken}`)
+            .send({ content: "Followers only #innercircle" });
+        expect(tweetRes.statusCode).toBe(201);
+        const tweetId = tweetRes.body.data.tweet._id;
+
+        const hiddenRes = await request(app)
+            .get(`/api/tweets/${tweetId}`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(hiddenRes.statusCode).toBe(404);
+        const anonymousRes = await request(app).get(`/api/tweets/${tweetId}`);
+        expect(anonymousRes.statusCode).toBe(404);
+        const listRes = await request(app)
+            .get(`/api/tweets/user/${owner.username}`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(listRes.body.data.tweets).toHaveLength(0);
+        const hashtagSearchRes = await request(app).get(
+            "/api/search?q=innercircle&type=hashtags"
+        );
+        expect(hashtagSearchRes.body.data.results.hashtags).toEqual([]);
+        expect(hashtagSearchRes.body.data.pagination.total).toBe(0);
+
+        // Following becomes a request the owner approves
+        const followRes = await request(app)
+            .post(`/api/users/${owner.username}/follow`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(followRes.statusCode).toBe(202);
+        expect(followRes.body.data.pending).toBe(true);
+
+        const notificationsRes = await request(app)
+            .get("/api/notifications")
+            .set("Authorization", `Bearer ${ownerToken}`);
+        expect(
+            notificationsRes.body.data.notifications.map((n) => n.type)
+        ).toContain("follow_request");
+
+        const requestsRes = await request(app)
+            .get("/api/users/follow-requests")
+            .set("Authorization", `Bearer ${ownerToken}`);
+        expect(requestsRes.statusCode).toBe(200);
+        expect(requestsRes.body.data.requests).toHaveLength(1);
+        expect(requestsRes.body.data.requests[0].requester.username).toBe(
+            viewer.username
+        );
+
+        const approveRes = await request(app)
+            .post(
+                `/api/users/follow-requests/${requestsRes.body.data.requests[0]._id}/approve`
+            )
+            .set("Authorization", `Bearer ${ownerToken}`);
+        expect(approveRes.statusCode).toBe(200);
+
+        const ownerFollows = await Follow.find({ followee: owner._id });
+        expect(ownerFollows.map((edge) => edge.follower.toString())).toEqual([
+            viewer._id,
+        ]);
+        expect(ownerFollows[0].isProtected).toBe(true);
+
+        const visibleRes = await request(app)
+            .get(`/api/tweets/${tweetId}`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(visibleRes.statusCode).toBe(200);
+
+        // A follower's public quote does not show the protected tweet to
+        // anyone else
+        const quoteRes = await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${viewerToken}`)
+            .send({ content: "Look at this", quotedTweetId: tweetId });
+        expect(quoteRes.statusCode).toBe(201);
+        const quoteId = quoteRes.body.data.tweet._id;
+
+        const followerQuoteRes = await request(app)
+            .get(`/api/tweets/${quoteId}`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(followerQuoteRes.body.data.tweet.quotedTweet.content).toBe(
+            "Followers only #innercircle"
+        );
+        const anonymousQuoteRes = await request(app).get(
+            `/api/tweets/${quoteId}`
+        );
+        expect(anonymousQuoteRes.statusCode).toBe(200);
+        expect(anonymousQuoteRes.body.data.tweet.quotedTweet).toBe(tweetId);
+        const anonymousListRes = await request(app).get(
+            `/api/tweets/user/${viewer.username}`
+        );
+        expect(anonymousListRes.body.data.tweets[0].quotedTweet).toBe(tweetId);
+    });
+
+    it("should build list timelines from members' tweets", async () => {
+        const { token: ownerToken } = await createUserAndGetToken();
+        const { user: member, token: memberToken } =
+            await createUserAndGetToken();
+        const { user: blocker, token: blockerToken } =
+            await createUserAndGetToken();
+        const { token: subscriberToken } = await createUserAndGetToken();
+
+        const createRes = await request(app)
+            .post("/api/lists")
+            .set("Authorization", `Bearer ${ownerToken}`)
+            .send({ name: "Friends", description: "People I know" });
+        expect(createRes.statusCode).toBe(201);
+        const listId = createRes.body.data.list._id;
+
+        const addRes = await request(app)
+            .post(`/api/lists/${listId}/members`)
+            .set("Authorization", `Bearer ${ownerToken}`)
+            .send({ username: member.username });
+        expect(addRes.statusCode).toBe(200);
+
+        const notificationsRes = await request(app)
+            .get("/api/notifications")
+            .set("Authorization", `Bearer ${memberToken}`);
+        expect(
+            notificationsRes.body.data.notifications.map((n) => n.type)
+        ).toContain("list_added");
+
+        // Users who block the owner cannot be added
+        const ownerRes = await request(app)
+            .get(`/api/lists/${listId}`)
+            .set("Authorization", `Bearer ${ownerToken}`);
+        await request(app)
+            .post(`/api/users/${ownerRes.body.data.list.owner.username}/block`)
+            .set("Authorization", `Bearer ${blockerToken}`);
+        const blockedAddRes = await request(app)
+            .post(`/api/lists/${listId}/members`)
+            .set("Authorization", `Bearer ${ownerToken}`)
+            .send({ username: blocker.username });
+        expect(blockedAddRes.statusCode).toBe(403);
+
+        await request(app)
+            .post("/api/tweets")
+            .set("Authorization", `Bearer ${memberToken}`)
+            .send({ content: "Hello list" });
+
+        const subscribeRes = await request(app)
+            .post(`/api/lists/${listId}/subscribe`)
+            .set("Authorization", `Bearer ${subscriberToken}`);
+        expect(subscribeRes.statusCode).toBe(200);
+
+        const timelineRes = await request(app)
+            .get(`/api/lists/${listId}/tweets`)
+            .set("Authorization", `Bearer ${subscriberToken}`);
+        expect(timelineRes.statusCode).toBe(200);
+        expect(timelineRes.body.data.tweets).toHaveLength(1);
+        expect(timelineRes.body.data.tweets[0].author.username).toBe(
+            member.username
+        );
+        expect(timelineRes.body.data.tweets[0].bookmarked).toBe(false);
+        expect(timelineRes.body.data.pagination.total).toBe(1);
+
+        // Private lists are only visible to their owner
+        await request(app)
+            .patch(`/api/lists/${listId}`)
+            .set("Authorization", `Bearer ${ownerToken}`)
+            .send({ isPrivate: true });
+        const privateRes = await request(app)
+            .get(`/api/lists/${listId}/tweets`)
+            .set("Authorization", `Bearer ${subscriberToken}`);
+        expect(privateRes.statusCode).toBe(404);
+    });
+
+    it("should show the pinned tweet first on the profile", async () => {
+        const { user, token } = await createUserAndGetToken();
+
+        const postTweet = async (content) => {
+            const res = await request(app)
+                .post("/api/tweets")
+                .set("Authorization", `Bearer ${token}`)
+                .send({ content });
+            return res.body.data.tweet._id;
+        };
+        const oldestId = await postTweet("First tweet");
+        await postTweet("Second tweet");
+        await postTweet("Third tweet");
+
+        const pinRes = await request(app)
+            .post(`/api/tweets/${oldestId}/pin`)
+            .set("Authorization", `Bearer ${token}`);
+        expect(pinRes.statusCode).toBe(200);
+
+        const profileRes = await request(app).get(
+            `/api/users/${user.username}`
+        );
+        expect(profileRes.body.data.pinnedTweet._id).toBe(oldestId);
+
+        const pageOne = await request(app).get(
+            `/api/tweets/user/${user.username}?limit=2`
+        );
+        expect(pageOne.body.data.tweets.map((t) => t.content)).toEqual([
+            "First tweet",
+            "Third tweet",
+        ]);
+        expect(pageOne.body.data.tweets[0].pinned).toBe(true);
+        expect(pageOne.body.data.pagination.total).toBe(3);
+        const pageTwo = await request(app).get(
+            `/api/tweets/user/${user.username}?limit=2&page=2`
+        );
+        expect(pageTwo.body.data.tweets.map((t) => t.content)).toEqual([
+            "Second tweet",
+        ]);
+
+        // Deleting the tweet unpins it
+        await request(app)
+            .delete(`/api/tweets/${oldestId}`)
+            .set("Authorization", `Bearer ${token}`);
+        const userAfter = await User.findById(user._id);
+        expect(userAfter.pinnedTweet).toBeNull();
+    });
+
+    it("should keep follower, following and tweet counts up to date", async () => {
+        const { user: author, token: authorToken } =
+            await createUserAndGetToken();
+        const { user: fan, token: fanToken } = await createUserAndGetToken();
+
+        await request(app)
+            .post(`/api/users/${author.username}/follow`)
+            .set("Authorization", `Bearer ${fanToken}`);
+        const tweetIds = [];
+        for (const content of ["One", "Two"]) {
+            const res = await request(app)
+                .post("/api/tweets")
+                .set("Authorization", `Bearer ${authorToken}`)
+                .send({ content });
+            tweetIds.push(res.body.data.tweet._id);
+        }
+        await request(app)
+            .delete(`/api/tweets/${tweetIds[0]}`)
+            .set("Authorization", `Bearer ${authorToken}`);
+
+        const profileRes = await request(app)
+            .get(`/api/users/${author.username}`)
+            .set("Authorization", `Bearer ${fanToken}`);
+        expect(profileRes.body.data.user.followersCount).toBe(1);
+        expect(profileRes.body.data.user.tweetsCount).toBe(1);
+        expect(profileRes.body.data.user).not.toHaveProperty("followers");
+        expect(profileRes.body.data.isFollowing).toBe(true);
+
+        await request(app)
+            .delete(`/api/users/${author.username}/follow`)
+            .set("Authorization", `Bearer ${fanToken}`);
+        const fanAfter = await User.findById(fan._id);
+        expect(fanAfter.followingCount).toBe(0);
+
+        // The reconciliation job repairs counters that drifted
+        await User.updateOne(
+            { _id: author._id },
+            { followersCount: 42, tweetsCount: 7 }
+        );
+        await reconcileUserCounts();
+        const authorAfter = await User.findById(author._id);
+        expect(authorAfter.followersCount).toBe(0);
+        expect(authorAfter.tweetsCount).toBe(1);
+    });
+
+    it("should page followers with a cursor and migrate old follow arrays", async () => {
+        const { user: star, token: starToken } = await createUserAndGetToken();
+        const fans = [];
+        for (let i = 0; i < 3; i++) {
+            const fan = await createUserAndGetToken();
+            await request(app)
+                .post(`/api/users/${star.username}/follow`)
+                .set("Authorization", `Bearer ${fan.token}`);
+            fans.push(fan.user);
+        }
+
+        // Newest followers first, two per page
+        const firstRes = await request(app)
+            .get(`/api/users/${star.username}/followers?limit=2`)
+            .set("Authorization", `Bearer ${starToken}`);
+        expect(firstRes.statusCode).toBe(200);
+        expect(
+            firstRes.body.data.followers.map((user) => user.username)
+        ).toEqual([fans[2].username, fans[1].username]);
+        expect(firstRes.body.data.nextCursor).toBeTruthy();
+
+        const secondRes = await request(app)
+            .get(
+                `/api/users/${star.username}/followers?limit=2&cursor=${firstRes.body.data.nextCursor}`
+            )
+            .set("Authorization", `Bearer ${starToken}`);
+        expect(
+            secondRes.body.data.followers.map((user) => user.username)
+        ).toEqual([fans[0].username]);
+        expect(secondRes.body.data.nextCursor).toBeNull();
+
+        // Relationships still held in the old user arrays are moved over
+        const { user: legacy } = await createUserAndGetToken();
+        await User.collection.updateOne(
+            { _id: new mongoose.Types.ObjectId(legacy._id) },
+            {
+                $set: {
+                    following: [new mongoose.Types.ObjectId(star._id)],
+                    followers: [],
+                },
+            }
+        );
+        expect(await migrateFollows()).toBe(1);
+        expect(await migrateFollows()).toBe(0);
+
+        const legacyAfter = await User.collection.findOne({
+            _id: new mongoose.Types.ObjectId(legacy._id),
+        });
+        expect(legacyAfter).not.toHaveProperty("following");
+        expect(legacyAfter.followingCount).toBe(1);
+        const starAfter = await User.findById(star._id);
+        expect(starAfter.followersCount).toBe(4);
+    });
+
+    it("should look up relationships in bulk and show followers you know", async () => {
+        const { user: viewer, token: viewerToken } =
+            await createUserAndGetToken();
+        const { user: friend, token: friendToken } =
+            await createUserAndGetToken();
+        const { user: target } = await createUserAndGetToken();
+        const { user: blocked } = await createUserAndGetToken();
+
+        await request(app)
+            .post(`/api/users/${friend.username}/follow`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        await request(app)
+            .post(`/api/users/${viewer.username}/follow`)
+            .set("Authorization", `Bearer ${friendToken}`);
+        await request(app)
+            .post(`/api/users/${target.username}/follow`)
+            .set("Authorization", `Bearer ${friendToken}`);
+        await request(app)
+            .post(`/api/users/${blocked.username}/block`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+
+        const relRes = await request(app)
+            .get(
+                `/api/users/relationships?usernames=${target.username},${friend.username},nosuchuser,${blocked.username}`
+            )
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(relRes.statusCode).toBe(200);
+        const [toTarget, toFriend, toBlocked] = relRes.body.data.relationships;
+        expect(relRes.body.data.relationships).toHaveLength(3);
+        expect(toTarget).toMatchObject({
+            username: target.username,
+            following: false,
+            followedBy: false,
+        });
+        expect(toFriend).toMatchObject({ following: true, followedBy: true });
+        expect(toBlocked).toMatchObject({ blocking: true, blockedBy: false });
+
+        const profileRes = await request(app)
+            .get(`/api/users/${target.username}`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(profileRes.body.data.knownFollowers.count).toBe(1);
+        expect(profileRes.body.data.knownFollowers.users[0].username).toBe(
+            friend.username
+        );
+
+        const anonymousRes = await request(app).get(
+            `/api/users/${target.username}`
+        );
+        expect(anonymousRes.body.data.knownFollowers).toBeNull();
+
+        // Deactivated followers are neither counted nor shown
+        await User.updateOne({ _id: friend._id }, { isActive: false });
+        const deactivatedRes = await request(app)
+            .get(`/api/users/${target.username}`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(deactivatedRes.body.data.knownFollowers).toEqual({
+            count: 0,
+            users: [],
+        });
+    });
+
+    it("should suggest friends of friends with a reason and honor dismissals", async () => {
+        const { user: viewer, token: viewerToken } =
+            await createUserAndGetToken();
+        const { user: friend, token: friendToken } =
+            await createUserAndGetToken();
+        const { user: target } = await createUserAndGetToken();
+
+        await request(app)
+            .post(`/api/users/${friend.username}/follow`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        await request(app)
+            .post(`/api/users/${target.username}/follow`)
+            .set("Authorization", `Bearer ${friendToken}`);
+
+        const recRes = await request(app)
+            .get("/api/users/recommendations/paginated")
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(recRes.statusCode).toBe(200);
+        const [first] = recRes.body.data.users;
+        expect(first.username).toBe(target.username);
+        expect(first.reason).toBe(`Followed by ${friend.name}`);
+        const suggestedIds = recRes.body.data.users.map((user) => user._id);
+        expect(suggestedIds).not.toContain(viewer._id);
+        expect(suggestedIds).not.toContain(friend._id);
+
+        const dismissRes = await request(app)
+            .post(`/api/users/recommendations/${target.username}/dismiss`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(dismissRes.statusCode).toBe(200);
+
+        const afterRes = await request(app)
+            .get("/api/trends/who-to-follow?limit=50")
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(
+            afterRes.body.data.users.map((user) => user.username)
+        ).not.toContain(target.username);
+    });
+
+    it("should show similar accounts by follower overlap, minus muted ones", async () => {
+        const { user: profile } = await createUserAndGetToken();
+        const { user: similar } = await createUserAndGetToken();
+        const { token: viewerToken } = await createUserAndGetToken();
+        for (let i = 0; i < 2; i++) {
+            const fan = await createUserAndGetToken();
+            for (const followed of [profile, similar]) {
+                await request(app)
+                    .post(`/api/users/${followed.username}/follow`)
+                    .set("Authorization", `Bearer ${fan.token}`);
+            }
+        }
+
+        const similarRes = await request(app)
+            .get(`/api/users/${profile.username}/similar`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(similarRes.statusCode).toBe(200);
+        expect(similarRes.body.data.users[0].username).toBe(similar.username);
+
+        // The cached ranking is still filtered for the viewer
+        await request(app)
+            .post(`/api/users/${similar.username}/mute`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        const mutedRes = await request(app)
+            .get(`/api/users/${profile.username}/similar`)
+            .set("Authorization", `Bearer ${viewerToken}`);
+        expect(
+            mutedRes.body.data.users.map((user) => user.username)
+        ).not.toContain(similar.username);
+    });
 });